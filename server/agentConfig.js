@@ -1,4 +1,6 @@
 // Unified agent configuration for Ekpa startup workspace
+import path from 'path';
+import modeStore from './modeStore.js';
 
 const SYSTEM_PROMPT = `You are an AI assistant for Ekpa, a startup workspace platform.
 You help founders build and grow their startups by assisting with all aspects of the business.
@@ -17,11 +19,22 @@ You can help with:
 - **Customers**: Outreach planning, feedback synthesis, user interview insights
 
 You have access to these tools:
-- edit_file: Edit or create a file (path + content)
+- edit_file: Create a file or replace its whole content (path + content)
+- patch_file: Change part of an existing file (path + search/replace edits or a unified diff)
+- append_to_file: Add text to the end of a file (path + content)
 - read_file: Read a file's content (path)
 - get_file_tree: Get the full workspace file tree structure
+- search_files: Search the text of all workspace files (query)
+- search_memory: Search the Memory Bank (query, optional type and idea)
+- get_memory: Read a Memory Bank item with its details (id)
+- create_memory: Record a DECISION, LESSON, EVIDENCE or other item in the Memory Bank
+- update_memory: Change a Memory Bank item (id + the fields to change)
+- list_conversations / get_conversation: Look up logged customer conversations and their money signals
+- draft_conversation: Draft a customer conversation log from the founder's notes (the founder completes it)
 
-Use read_file and get_file_tree to understand the current workspace state before making changes.
+Use read_file, get_file_tree and search_files to understand the current workspace state before making changes.
+When the founder makes a decision, learns a lesson or finds evidence, record it with create_memory (search_memory first, and update the existing item instead of adding a duplicate).
+Prefer patch_file or append_to_file over edit_file for existing files, so sections you don't touch are kept intact.
 Always write clear, well-structured markdown content.
 Be proactive, insightful, and actionable in your responses.`;
 
@@ -47,7 +60,9 @@ The workspace contains idea folders with:
 You have access to:
 - read_file: Read a file's content
 - get_file_tree: Get workspace structure
-- Memory Bank: Past assumptions, decisions, customer conversations, and lessons
+- search_files: Search the text of all workspace files
+- search_memory / get_memory: Dig through the Memory Bank for past assumptions, decisions, customer conversations, and lessons
+- list_conversations / get_conversation: Check what customers actually said and whether anyone paid
 
 Output structure:
 1. **Top Assumptions** (from ideas + memory) - What are the biggest untested assumptions?
@@ -59,6 +74,156 @@ Always cite MemoryItem IDs in your responses (e.g., "[Memory #abc123]").
 Be direct, skeptical, and focused on rapid evidence gathering.
 Your goal is to save the founder time by killing bad ideas faster.`;
 
+const DEBATE_VERDICT_PROMPT = `You are the moderator of a debate between Copilot (who builds the case for the founder's plan) and the Devil's Advocate (who attacks it).
+
+Weigh both sides on evidence, not on confidence. Claims backed by files, customer conversations or memories beat opinions.
+
+Output structure:
+1. **Decision** - One sentence: what the founder should do
+2. **Strongest case for** - The best points made by Copilot
+3. **Strongest case against** - The best points made by the Devil's Advocate
+4. **Open questions** - What neither side could settle, and the fastest test for each
+5. **Evidence cited** - MemoryItem IDs the verdict relies on (e.g., "[Memory #abc123]")
+
+Only cite memory IDs that appear in the Memory Bank section. Keep it under 300 words.`;
+
+/**
+ * Built-in agent modes and what their tools may do.
+ * Founders add their own modes as JSON files (see modeStore.js); built-in IDs win on conflicts.
+ *
+ * Permissions Schema:
+ * {
+ *   readOnly: boolean,       // Only tools marked readOnly in the registry may run
+ *   tools: string[] | null,  // Allowed tool names (null = every registered tool)
+ *   paths: string[]          // Globs of workspace paths tools may read or write ("*" = one segment, "**" = any depth)
+ * }
+ *
+ * A mode with `debate` set runs its speaker modes in turns; its own systemPrompt
+ * writes the verdict. Speakers are read-only during a debate.
+ */
+const MODES = {
+  copilot: {
+    id: 'copilot',
+    label: 'Copilot',
+    description: 'Builds the startup with you: research, product and customer work',
+    color: 'blue',
+    builtIn: true,
+    systemPrompt: SYSTEM_PROMPT,
+    permissions: { readOnly: false, tools: null, paths: ['**'] },
+  },
+  devils_advocate: {
+    id: 'devils_advocate',
+    label: "Devil's Advocate",
+    description: 'Challenges assumptions and looks for the fastest way to kill a bad idea',
+    color: 'red',
+    builtIn: true,
+    systemPrompt: DEVILS_ADVOCATE_PROMPT,
+    permissions: { readOnly: true, tools: null, paths: ['**'] },
+  },
+  debate: {
+    id: 'debate',
+    label: 'Debate',
+    description: "Copilot and Devil's Advocate argue the question, then a moderator gives a verdict",
+    color: 'violet',
+    builtIn: true,
+    debate: { speakers: ['copilot', 'devils_advocate'], defaultRounds: 2, maxRounds: 5 },
+    systemPrompt: DEBATE_VERDICT_PROMPT,
+    permissions: { readOnly: true, tools: null, paths: ['**'] },
+  },
+};
+
+const DEFAULT_MODE = 'copilot';
+
+/** Get a mode by ID, built-in or user-defined (unknown IDs fall back to Copilot) */
+function getMode(modeId) {
+  return MODES[modeId] || modeStore.getMode(modeId) || MODES[DEFAULT_MODE];
+}
+
+/** List built-in and user-defined modes for the mode toggle (without prompts) */
+function listModes() {
+  const custom = modeStore.getModes().filter((mode) => !MODES[mode.id]);
+  return [...Object.values(MODES), ...custom].map((mode) => ({
+    id: mode.id,
+    label: mode.label,
+    description: mode.description,
+    color: mode.color,
+    builtIn: Boolean(mode.builtIn),
+    debate: mode.debate || null,
+    permissions: mode.permissions,
+    provider: mode.provider || null,
+    model: mode.model || null,
+  }));
+}
+
+/**
+ * Get the tool permissions of a mode for one request
+ * @param {string} modeId
+ * @param {{ allowEdits?: boolean }} options - allowEdits lifts read-only when the founder explicitly allows edits
+ * @returns {{ readOnly: boolean, tools: string[]|null, paths: string[] }}
+ */
+function getModePermissions(modeId, { allowEdits = false } = {}) {
+  const { permissions } = getMode(modeId);
+  return allowEdits ? { ...permissions, readOnly: false } : permissions;
+}
+
+/** Convert a path glob to a RegExp ("**" matches across folders, "*" and "?" within one) */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches zero folders
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/** Check whether a tool may run under the given permissions */
+function isToolAllowed(permissions, tool) {
+  if (permissions.tools && !permissions.tools.includes(tool.name)) return false;
+  return !permissions.readOnly || tool.readOnly;
+}
+
+/**
+ * Normalize a workspace path ("Idea 1/./MVP//a.md" -> "Idea 1/MVP/a.md")
+ * @param {string} filePath - Relative to the workspace root
+ * @returns {string|null} Null for absolute paths and paths that leave the workspace ("..")
+ */
+function normalizePath(filePath) {
+  if (typeof filePath !== 'string' || !filePath) return null;
+
+  const slashed = filePath.replace(/\\/g, '/');
+  if (path.posix.isAbsolute(slashed) || /^[a-z]:/i.test(slashed)) return null;
+
+  const normalized = path.posix.normalize(slashed).replace(/\/$/, '');
+  return normalized.split('/').includes('..') || normalized === '.' ? null : normalized;
+}
+
+/** Check if a file path matches one of the allowed path globs (never for paths outside the workspace) */
+function isPathAllowed(permissions, filePath) {
+  const normalized = normalizePath(filePath);
+  return normalized !== null && permissions.paths.some((glob) => globToRegExp(glob).test(normalized));
+}
+
+/**
+ * Instructions appended to a speaker's own prompt for one debate turn
+ * @param {{ opponent: string, round: number, rounds: number }} turn - Opponent label and 1-based round
+ * @returns {string}
+ */
+function getDebateTurnNote({ opponent, round, rounds }) {
+  return `You are in a debate with ${opponent} about the founder's question (round ${round} of ${rounds}).
+Argue your side in under 200 words. Respond directly to ${opponent}'s latest points instead of repeating yourself.
+Back claims with workspace files or memories (cite memory IDs). Do not edit files during the debate.`;
+}
+
 /** Get the unified agent configuration */
 function getAgent() {
   return {
@@ -68,12 +233,6 @@ function getAgent() {
   };
 }
 
-/** Check if a file path is allowed (all paths are allowed for the unified agent) */
-function isPathAllowed(sessionId, filePath) {
-  // All paths are allowed for the unified agent
-  return true;
-}
-
 /** Get the system prompt */
 function getSystemPrompt() {
   return SYSTEM_PROMPT;
@@ -84,4 +243,15 @@ function getDevilsAdvocatePrompt() {
   return DEVILS_ADVOCATE_PROMPT;
 }
 
-export default { getAgent, isPathAllowed, getSystemPrompt, getDevilsAdvocatePrompt };
+export default {
+  getAgent,
+  getMode,
+  listModes,
+  getDebateTurnNote,
+  getModePermissions,
+  isToolAllowed,
+  isPathAllowed,
+  normalizePath,
+  getSystemPrompt,
+  getDevilsAdvocatePrompt,
+};
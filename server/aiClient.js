@@ -1,22 +1,122 @@
-import { createProviderFromEnv, getAvailableProviders } from './providers/index.js';
+import {
+  PROVIDERS,
+  createProvider,
+  createProviderFromEnv,
+  getAvailableProviders,
+  describeProviders,
+  getRetryPolicy,
+  getFallbackChain,
+} from './providers/index.js';
+import { nanoid } from 'nanoid';
+import { callWithRetry, isRetryable } from './providers/retry.js';
 import agentConfig from './agentConfig.js';
 import fileStore from './fileStore.js';
 import memoryStore from './memoryStore.js';
+import conversationStore from './conversationStore.js';
+import sessionStore from './sessionStore.js';
+import pendingChangeStore from './pendingChangeStore.js';
+import revisionStore from './revisionStore.js';
+import usageStore from './usageStore.js';
+import commands from './commands.js';
+import { createUserMessage, createAssistantMessage, createToolResultsMessage, getText, getToolCalls } from './messageFormat.js';
+import { getTools, getTool, validateArgs } from './tools/index.js';
+import { SUMMARY_PROMPT, applyCompaction, elideToolResults, formatForSummary } from './compaction.js';
 
-// Create provider instance from environment configuration
-const provider = createProviderFromEnv();
+// Create default provider instance from environment configuration
+const defaultProvider = createProviderFromEnv();
 
-console.log(`[AI Client] Initialized with ${provider.name} provider (model: ${provider.model})`);
+console.log(`[AI Client] Initialized with ${defaultProvider.name} provider (model: ${defaultProvider.model})`);
 
-// Session management (in-memory storage)
-const sessions = new Map(); // sessionId -> { id, title, createdAt, updatedAt }
-let sessionCounter = 0;
+// Pool of provider instances keyed by "name:model", created on first use
+const providerPool = new Map([
+  [`${defaultProvider.name}:${defaultProvider.model}`, defaultProvider],
+]);
+
+// Ends a stopped reply in the model history, so the model knows it was cut off
+const STOPPED_NOTE = '[Stopped by the founder]';
+
+// Ends a failed reply in the model history
+const FAILED_NOTE = '[The reply failed with an error]';
+
+// Share of the context window the prompt may fill before older turns are compacted;
+// the rest is left for the reply and the tool results of the turn itself
+const CONTEXT_BUDGET = 0.5;
+
+// Latest turns (counting the new one) that are never compacted
+const KEEP_RECENT_TURNS = 2;
+
+// Customer conversations summarized in the system prompt (the agent's tools reach the rest)
+const RECENT_CONVERSATIONS = 5;
+
+/**
+ * Get (or create) the provider instance for a provider/model pair
+ * @param {string} providerName - Defaults to the environment provider
+ * @param {string} model - Defaults to the provider's default model
+ * @returns {BaseProvider}
+ */
+function getProvider(providerName = null, model = null) {
+  const name = providerName?.toLowerCase() || defaultProvider.name;
+  const resolvedModel = model
+    || (name === defaultProvider.name ? defaultProvider.model : PROVIDERS[name]?.getDefaultModel());
+  const key = `${name}:${resolvedModel}`;
+
+  if (!providerPool.has(key)) {
+    providerPool.set(key, createProvider(name, { model: resolvedModel }));
+  }
+  return providerPool.get(key);
+}
 
 /**
- * Generate a unique session ID
+ * Get the providers a turn may use: the selected one, then the fallbacks of
+ * AI_FALLBACK_PROVIDERS that are configured here (see getFallbackChain)
+ * @param {BaseProvider} provider - The selected provider
+ * @returns {BaseProvider[]}
  */
-function generateSessionId() {
-  return `session_${++sessionCounter}_${Date.now()}`;
+function getProviderChain(provider) {
+  const chain = [provider];
+  for (const fallback of getFallbackChain()) {
+    try {
+      const candidate = getProvider(fallback.provider, fallback.model);
+      if (!chain.includes(candidate)) chain.push(candidate);
+    } catch (error) {
+      // E.g. a fallback whose API key is not set
+      console.warn(`[AI Client] Skipping fallback provider ${fallback.provider}: ${error.message}`);
+    }
+  }
+  return chain;
+}
+
+// Name a provider in status messages
+function describeProvider(provider) {
+  return `${provider.name} (${provider.model})`;
+}
+
+/**
+ * Resolve the provider for a session and mode.
+ * A per-mode selection in the session wins over the mode's own default model,
+ * then the session-wide selection, then the environment default.
+ * @param {string} sessionId
+ * @param {string} mode
+ * @returns {BaseProvider}
+ */
+function resolveProvider(sessionId, mode) {
+  const session = sessionStore.getSession(sessionId);
+  const modeSelection = session?.modeProviders?.[mode];
+
+  if (modeSelection?.provider || modeSelection?.model) {
+    return getProvider(modeSelection.provider, modeSelection.model);
+  }
+
+  const modeConfig = agentConfig.getMode(mode);
+  if (modeConfig.provider || modeConfig.model) {
+    try {
+      return getProvider(modeConfig.provider || session?.provider, modeConfig.model);
+    } catch (error) {
+      // A mode file may name a provider that is not configured here
+      console.warn(`[AI Client] Mode ${modeConfig.id} default model unavailable: ${error.message}`);
+    }
+  }
+  return getProvider(session?.provider, session?.model);
 }
 
 /**
@@ -25,17 +125,24 @@ function generateSessionId() {
  * @returns {{ id: string, title: string, createdAt: string, updatedAt: string }}
  */
 function createSession(title = null) {
-  const id = generateSessionId();
-  const now = new Date().toISOString();
-  
-  const session = {
-    id,
-    title: title || `Chat ${sessions.size + 1}`,
-    createdAt: now,
-    updatedAt: now,
-  };
-  
-  sessions.set(id, session);
+  return sessionStore.createSession({ title });
+}
+
+/**
+ * Fork a session: a new session continues from a copy of its branch up to a message
+ * @param {string} sessionId
+ * @param {string|null} messageId - Last message to copy (default: the end of the active branch)
+ * @returns {Object} The new session (forkedFrom points back at the original)
+ * @throws {Error} With status 404 if the session or message does not exist
+ */
+function forkSession(sessionId, messageId = null) {
+  if (!sessionStore.hasSession(sessionId)) {
+    throw createError(404, 'Session not found');
+  }
+  const session = sessionStore.forkSession(sessionId, messageId);
+  if (!session) {
+    throw createError(404, 'Message not found');
+  }
   return session;
 }
 
@@ -44,117 +151,224 @@ function createSession(title = null) {
  * @returns {Array} Array of session objects sorted by updatedAt (newest first)
  */
 function getSessions() {
-  return Array.from(sessions.values())
-    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  return sessionStore.getSessions();
 }
 
 /**
- * Update a session (e.g., rename)
+ * Update a session (e.g., rename, pick its provider and model, or turn edit review on).
+ * When `mode` is given, the provider/model selection only applies to that agent mode.
  * @param {string} sessionId 
- * @param {{ title?: string }} updates 
+ * @param {{ title?: string, provider?: string|null, model?: string|null, mode?: string, reviewEdits?: boolean }} updates 
  * @returns {Object|null}
  */
 function updateSession(sessionId, updates) {
-  const session = sessions.get(sessionId);
-  if (!session) return null;
-  
-  if (updates.title) {
-    session.title = updates.title;
-  }
-  session.updatedAt = new Date().toISOString();
-  
-  return session;
+  // Fail early on unknown providers or missing credentials
+  if (updates.provider || updates.model) {
+    getProvider(updates.provider, updates.model);
+  }
+  return sessionStore.updateSession(sessionId, updates);
 }
 
 /**
- * Delete a session and its history
+ * Delete a session, its history and its pending changes
  * @param {string} sessionId 
  */
 function deleteSession(sessionId) {
-  sessions.delete(sessionId);
-  provider.clearHistory(sessionId);
+  sessionStore.deleteSession(sessionId);
+  pendingChangeStore.clearChanges(sessionId);
+}
+
+/**
+ * Get the persisted transcript of a session's active branch
+ * @param {string} sessionId
+ * @returns {Array|null} Messages (with `siblingIds` where there are alternatives), or null if the session does not exist
+ */
+function getMessages(sessionId) {
+  return sessionStore.getMessages(sessionId);
+}
+
+/**
+ * Switch a session to the branch through a message (its newest continuation)
+ * @param {string} sessionId
+ * @param {string} messageId - Usually one of a message's `siblingIds`
+ * @returns {Array} The transcript of the new active branch
+ * @throws {Error} With status 404 if the session or message does not exist
+ */
+function selectBranch(sessionId, messageId) {
+  if (!sessionStore.selectBranch(sessionId, messageId)) {
+    throw createError(404, 'Message not found');
+  }
+  return sessionStore.getMessages(sessionId);
+}
+
+/**
+ * Get the model history of a session in the canonical format
+ * @param {string} sessionId
+ * @returns {Array|null} History messages, or null if the session does not exist
+ */
+function getHistory(sessionId) {
+  if (!sessionStore.hasSession(sessionId)) return null;
+  return sessionStore.getHistory(sessionId);
 }
 
 /**
  * Get a human-readable description of a function call
  */
 function getStatusMessage(name, args) {
-  switch (name) {
-    case 'edit_file':
-      const fileName = args.path?.split('/').pop() || 'file';
-      return `Editing ${fileName}...`;
-    case 'read_file':
-      const readFile = args.path?.split('/').pop() || 'file';
-      return `Reading ${readFile}...`;
-    case 'get_file_tree':
-      return 'Scanning workspace...';
-    default:
-      return `Running ${name}...`;
+  const tool = getTool(name);
+  return tool ? tool.status(args || {}) : `Running ${name}...`;
+}
+
+/**
+ * Get a human-readable description of a batch of function calls run together
+ */
+function getBatchStatusMessage(calls) {
+  if (calls.length === 1) return getStatusMessage(calls[0].name, calls[0].args);
+
+  const tool = getTool(calls[0].name);
+  const sameTool = calls.every((call) => call.name === calls[0].name);
+  return sameTool && tool?.batchStatus ? tool.batchStatus(calls.length) : `Running ${calls.length} tools...`;
+}
+
+/**
+ * Split a response's function calls into batches: consecutive read-only calls run
+ * together, any other call runs alone, so it sees the changes of the calls before it
+ * @param {Array<{ name: string }>} calls
+ * @returns {Array<Array>} The calls, in order
+ */
+function batchToolCalls(calls) {
+  const batches = [];
+  for (const call of calls) {
+    const readOnly = Boolean(getTool(call.name)?.readOnly);
+    const last = batches.at(-1);
+    if (readOnly && last?.readOnly) {
+      last.calls.push(call);
+    } else {
+      batches.push({ readOnly, calls: [call] });
+    }
   }
+  return batches.map((batch) => batch.calls);
 }
 
 /**
- * Execute a function call and return the result
+ * Build the file view tool handlers use to write the workspace for a session.
+ * Writes are attributed to the session in the revision log.
+ * @param {string} sessionId
+ * @param {Function} onWrite - Optional callback per write: (path, { before, after }) => void, with revision IDs
+ * @returns {{ getFile: Function, setFile: Function }}
+ */
+function createAgentFiles(sessionId, onWrite = null) {
+  return {
+    getFile: fileStore.getFile,
+    setFile(filePath, content) {
+      const revisions = fileStore.setFile(filePath, content, { author: 'agent', sessionId });
+      if (onWrite) onWrite(filePath, revisions);
+    },
+  };
+}
+
+/**
+ * Add a file write to a changeset, keeping the first `before` when the file was written already
+ * @param {Array} changeset - { path, before, after } revision IDs per file
+ * @param {string} filePath
+ * @param {{ before: string|null, after: string }} revisions - From fileStore.setFile
+ */
+function trackWrite(changeset, filePath, { before, after }) {
+  const entry = changeset.find((f) => f.path === filePath);
+  if (entry) {
+    entry.after = after;
+  } else {
+    changeset.push({ path: filePath, before, after });
+  }
+}
+
+/**
+ * Build the file view a turn writes the workspace through: in review mode, the
+ * pending-change overlay (accepted edits join the turn's changeset later, see acceptChange);
+ * otherwise the agent view, recording the turn's changeset.
+ * @param {string} sessionId
+ * @param {Array} changeset - Filled with { path, before, after } revision IDs per file written, for reverting the turn
+ * @param {Function} onChange - Optional callback per staged edit in review mode: (summary) => void
+ * @param {string} turnId - ID the turn's agent message will get
+ * @returns {{ getFile: Function, setFile: Function }}
+ */
+function createTurnFiles(sessionId, changeset, onChange = null, turnId = null) {
+  if (sessionStore.getSession(sessionId).reviewEdits) {
+    return pendingChangeStore.createOverlay(sessionId, onChange, turnId);
+  }
+
+  return createAgentFiles(sessionId, (filePath, revisions) => trackWrite(changeset, filePath, revisions));
+}
+
+/**
+ * Execute a function call through the tool registry and return the result
  * @param {string} name - Function name
  * @param {Object} args - Function arguments
- * @param {string} toolUseId - Tool use ID (for Claude)
- * @returns {Object} - { name, response, toolUseId }
+ * @param {string} callId - Tool call ID from the canonical history
+ * @param {Object} context - Passed to the tool handler: { sessionId, files?, permissions? }; `files` defaults to fileStore,
+ *   attributing writes to the session; `permissions` (see agentConfig.js) default to allowing everything
+ * @returns {Object|Promise<Object>} - { name, response, callId, edited, editedPath? }; a Promise if the tool's handler is asynchronous
  */
-function executeFunctionCall(name, args, toolUseId = null) {
-  if (name === 'edit_file') {
-    const { path, content } = args;
+function executeFunctionCall(name, args, callId = null, context = {}) {
+  const tool = getTool(name);
 
-    fileStore.setFile(path, content);
+  if (!tool) {
     return {
       name,
-      toolUseId,
-      response: {
-        success: true,
-        path,
-        message: `File "${path}" updated successfully.`,
-      },
-      edited: true,
-      editedPath: path,
+      callId,
+      response: { error: `Unknown function: ${name}` },
+      edited: false,
     };
   }
 
-  if (name === 'read_file') {
-    const { path } = args;
-    const content = fileStore.getFile(path);
-    
-    if (content === null) {
-      return {
-        name,
-        toolUseId,
-        response: { error: `File not found: "${path}"` },
-        edited: false,
-      };
-    }
+  // Tools get workspace paths in normal form; absolute paths and ".." out of the workspace are refused
+  const normalizedPath = typeof args?.path === 'string' ? agentConfig.normalizePath(args.path) : undefined;
+  const toolArgs = normalizedPath ? { ...args, path: normalizedPath } : args || {};
+
+  // Mode permissions are enforced here, whatever tools the model was offered
+  const { permissions } = context;
+  let permissionError = null;
+  if (permissions && !agentConfig.isToolAllowed(permissions, tool)) {
+    permissionError = permissions.readOnly && !tool.readOnly
+      ? `${name} is not allowed: this mode is read-only unless the founder allows edits`
+      : `${name} is not allowed in this mode`;
+  } else if (normalizedPath === null) {
+    permissionError = `Invalid path "${args.path}": paths are relative to the workspace root and stay inside it`;
+  } else if (permissions && normalizedPath && !agentConfig.isPathAllowed(permissions, normalizedPath)) {
+    permissionError = `Access to "${args.path}" is not allowed in this mode`;
+  }
 
+  if (permissionError) {
     return {
       name,
-      toolUseId,
-      response: { path, content },
+      callId,
+      response: { error: permissionError },
       edited: false,
     };
   }
 
-  if (name === 'get_file_tree') {
-    const treeText = fileStore.getTreeText();
+  const validationError = validateArgs(tool, toolArgs);
+  if (validationError) {
     return {
       name,
-      toolUseId,
-      response: { tree: treeText },
+      callId,
+      response: { error: validationError },
       edited: false,
     };
   }
 
-  return {
+  const files = context.files || createAgentFiles(context.sessionId);
+  const result = tool.handler(toolArgs, { ...context, files });
+  const toCallResult = ({ response, editedPath }) => ({
     name,
-    toolUseId,
-    response: { error: `Unknown function: ${name}` },
-    edited: false,
-  };
+    callId,
+    response,
+    edited: Boolean(editedPath),
+    editedPath,
+  });
+
+  // Asynchronous handlers give a Promise of the result
+  return typeof result?.then === 'function' ? result.then(toCallResult) : toCallResult(result);
 }
 
 /**
@@ -181,9 +395,11 @@ function extractIdeasFromTree(fileTreeText) {
 
 /**
  * Build agent context with memory retrieval
+ * @param {Object} [permissions] - Mode permissions; the file tree only lists the paths they allow
  */
-function buildAgentContext(userMessage, sessionId) {
-  const fileTreeText = fileStore.getTreeText();
+function buildAgentContext(userMessage, sessionId, permissions) {
+  const filter = permissions && ((filePath) => agentConfig.isPathAllowed(permissions, filePath));
+  const fileTreeText = fileStore.getTreeText({ filter });
   const activeIdeas = extractIdeasFromTree(fileTreeText);
 
   const memoryPack = memoryStore.retrieveMemory(userMessage, {
@@ -191,7 +407,45 @@ function buildAgentContext(userMessage, sessionId) {
     maxResults: 15
   });
 
-  return { fileTreeText, memoryPack, activeIdeas };
+  const conversations = conversationStore.getAllConversations();
+
+  return {
+    fileTreeText,
+    memoryPack,
+    activeIdeas,
+    recentConversations: conversations.slice(0, RECENT_CONVERSATIONS),
+    conversationCount: conversations.length,
+  };
+}
+
+/**
+ * Format recent customer conversations for system prompt
+ */
+function formatRecentConversations(conversations, total) {
+  if (conversations.length === 0) {
+    return '';
+  }
+
+  let text = '\n\n## CUSTOMER CONVERSATIONS (Most Recent)\n';
+  text += `${conversations.length} of ${total} logged conversations (list_conversations and get_conversation show all, with full notes):\n\n`;
+
+  for (const conv of conversations) {
+    text += `**${conv.customerName || 'Unnamed customer'}** (ID: ${conv.id}, ${conv.date || 'no date'}, ${conv.completed ? 'completed' : 'draft'})\n`;
+    text += `Potential customer: ${conv.potentialCustomer || 'unknown'}, Put money down: ${conv.putMoneyDown || 'unknown'}\n`;
+
+    if (conv.linkedIdeas?.length) {
+      text += `Related ideas: ${conv.linkedIdeas.join(', ')}\n`;
+    }
+
+    if (conv.notes) {
+      const notes = conv.notes.replace(/\s+/g, ' ').trim();
+      text += `Notes: ${notes.length > 160 ? `${notes.slice(0, 160)}…` : notes}\n`;
+    }
+
+    text += '\n';
+  }
+
+  return text;
 }
 
 /**
@@ -203,7 +457,7 @@ function formatMemoryPack(memoryPack) {
   }
 
   let text = '\n\n## MEMORY BANK (Relevant Context)\n';
-  text += `Retrieved ${memoryPack.length} relevant memories:\n\n`;
+  text += `Retrieved ${memoryPack.length} relevant memories (get_memory shows an item's details, search_memory finds more):\n\n`;
 
   for (const mem of memoryPack) {
     text += `**[${mem.type}]** (ID: ${mem.id}, Importance: ${mem.importance})\n`;
@@ -228,114 +482,339 @@ function formatMemoryPack(memoryPack) {
 }
 
 /**
- * Send a message to a chat session and process function calls in a loop.
- * Returns { text, editedFiles, memoryUsed }
+ * Build an error carrying an HTTP status for the routes
+ * @param {number} status
+ * @param {string} message
+ * @param {Object} details - Extra properties, e.g. { conflicts }
+ * @returns {Error}
+ */
+function createError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Start a turn in the session's message tree.
+ * Without `branchFrom` the turn continues the active branch. Branching from a user
+ * message sends new text as its sibling (edit & resend); branching from an agent
+ * reply asks its user message again (regenerate). Earlier branches are kept.
  * @param {string} sessionId
- * @param {string} userMessage
- * @param {Function} onStatus - Optional callback for status updates: (status: string) => void
- * @param {string} mode - Agent mode: 'copilot' or 'devils_advocate'
- * @returns {Promise<{text: string, editedFiles: string[], memoryUsed?: any[]}>}
+ * @param {string|null} userMessage - Text to send (not needed to regenerate)
+ * @param {{ mode: string, branchFrom?: string|null, prompt?: string|null }} options - `prompt` is sent to
+ *   the model instead of the text (the expansion of a slash command)
+ * @returns {{ userEntry: Object, text: string }} The user transcript message and its text
+ * @throws {Error} With status 404 (unknown message) or 400 (cannot branch from it)
  */
-async function chat(sessionId, userMessage, onStatus = null, mode = 'copilot') {
-  // Auto-create session if it doesn't exist
-  if (!sessions.has(sessionId)) {
-    const session = {
-      id: sessionId,
-      title: 'New Chat',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-    sessions.set(sessionId, session);
+function startTurn(sessionId, userMessage, { mode, branchFrom = null, prompt = null }) {
+  let parentId = sessionStore.getActiveLeafId(sessionId);
+
+  if (branchFrom) {
+    const message = sessionStore.getMessage(sessionId, branchFrom);
+    if (!message) {
+      throw createError(404, 'Message not found');
+    }
+
+    if (message.role === 'agent') {
+      const userEntry = message.parentId ? sessionStore.getMessage(sessionId, message.parentId) : null;
+      if (userEntry?.role !== 'user') {
+        throw createError(400, 'Only a reply to a user message can be regenerated');
+      }
+      return { userEntry, text: userEntry.text };
+    }
+
+    if (message.role !== 'user') {
+      throw createError(400, 'Only user messages can be edited');
+    }
+    parentId = message.parentId;
   }
 
-  // Update session timestamp
-  const session = sessions.get(sessionId);
-  session.updatedAt = new Date().toISOString();
+  if (!userMessage) {
+    throw createError(400, 'message is required');
+  }
 
-  const history = provider.getHistory(sessionId);
-  const editedFiles = [];
+  const userEntry = sessionStore.addMessage(sessionId, {
+    role: 'user',
+    text: userMessage,
+    mode,
+    parentId,
+    history: [createUserMessage(prompt || userMessage)],
+  });
+  return { userEntry, text: userMessage };
+}
 
-  // Add user message to history
-  provider.addUserMessage(history, userMessage);
+/**
+ * Get the text a turn sends: the new text, or the user message of a reply being regenerated
+ * @param {string} sessionId
+ * @param {string|null} userMessage
+ * @param {string|null} branchFrom
+ * @returns {string|null}
+ */
+function getTurnText(sessionId, userMessage, branchFrom) {
+  if (userMessage || !branchFrom || !sessionStore.hasSession(sessionId)) return userMessage;
 
-  // Build system prompt with file tree context and memory injection
-  const context = buildAgentContext(userMessage, sessionId);
-  const memorySection = formatMemoryPack(context.memoryPack);
+  const message = sessionStore.getMessage(sessionId, branchFrom);
+  const parent = message?.role === 'agent' && message.parentId ? sessionStore.getMessage(sessionId, message.parentId) : null;
+  return parent?.role === 'user' ? parent.text : null;
+}
 
-  // Select base prompt based on mode
-  const basePrompt = mode === 'devils_advocate'
-    ? agentConfig.getDevilsAdvocatePrompt()
-    : agentConfig.getSystemPrompt();
+/**
+ * Run a slash command's direct action as a turn (see commands.js): the command and the
+ * action's reply are recorded in the transcript without a model call
+ * @param {string} sessionId
+ * @param {string|null} userMessage - The command as typed (not needed to run it again)
+ * @param {{ command: Object, arg: string }} invocation - From commands.parseCommand
+ * @param {Object} options - Like chat()
+ * @returns {Object} Like chat()
+ */
+function runCommand(sessionId, userMessage, { command, arg }, { mode = 'copilot', allowEdits = false, onStatus = null, onChange = null, branchFrom = null }) {
+  if (!sessionStore.hasSession(sessionId)) {
+    sessionStore.createSession({ id: sessionId, title: 'New Chat' });
+  }
+
+  const { userEntry, text } = startTurn(sessionId, userMessage, { mode, branchFrom });
+  setTitleFromFirstMessage(sessionId, text);
+  if (onStatus) onStatus(`Running /${command.name}...`);
+
+  // Actions write like the agent's tools: logged as the session's revisions, or staged for review
+  const replyId = nanoid();
+  const changeset = [];
+  const proposedFiles = [];
+  const files = createTurnFiles(sessionId, changeset, (change) => {
+    if (!proposedFiles.includes(change.path)) proposedFiles.push(change.path);
+    if (onChange) onChange(change);
+  }, replyId);
 
-  const systemPrompt = `${basePrompt}\n\nCurrent workspace file tree:\n${context.fileTreeText}${memorySection}\n\nUse read_file to read specific file contents when needed. Use get_file_tree to refresh the tree if it may have changed.`;
+  // Writing actions get the same mode check as writing tools
+  const { text: reply } = command.writes && agentConfig.getModePermissions(mode, { allowEdits }).readOnly
+    ? { text: `/${command.name} is not allowed: this mode is read-only unless the founder allows edits` }
+    : command.action(arg, { sessionId, files });
+  const editedFiles = changeset.map((f) => f.path);
+  const agentMessage = sessionStore.addMessage(sessionId, {
+    id: replyId,
+    parentId: userEntry.id,
+    role: 'agent',
+    text: reply,
+    mode,
+    command: command.name,
+    toolCalls: [],
+    editedFiles,
+    proposedFiles,
+    ...(changeset.length > 0 && { changeset: { files: changeset } }),
+    history: [createAssistantMessage(reply)],
+  });
+  sessionStore.saveToDisk(sessionId);
+
+  return {
+    messageId: agentMessage.id,
+    userMessageId: userEntry.id,
+    changeset: agentMessage.changeset,
+    text: reply,
+    editedFiles,
+    proposedFiles,
+    memoryUsed: [],
+    provider: null,
+    model: null,
+    stopped: false,
+  };
+}
 
-  // Get tool declarations for this provider
-  const tools = provider.getToolDeclarations();
+/**
+ * Name a new session after its first message
+ * @param {string} sessionId
+ * @param {string} userMessage
+ */
+function setTitleFromFirstMessage(sessionId, userMessage) {
+  const session = sessionStore.getSession(sessionId);
+  if (session.title === 'New Chat' && sessionStore.getMessages(sessionId).length <= 1) {
+    // Use first 50 chars of first message as title
+    sessionStore.updateSession(sessionId, {
+      title: userMessage.slice(0, 50) + (userMessage.length > 50 ? '...' : ''),
+    });
+  }
+}
+
+/**
+ * Count the tokens of a model call into a turn's usage list.
+ * Calls whose API reported no usage are estimated from their size.
+ * @param {Array|null} usage - The turn's list of { provider, model, inputTokens, outputTokens, estimated }
+ * @param {BaseProvider} provider
+ * @param {{ systemPrompt: string, history: Array, tools: Object }} request
+ * @param {Object} response - From generateContent / generateContentStream
+ */
+function tallyUsage(usage, provider, request, response) {
+  if (!usage) return;
+  const counts = response.usage
+    ? { ...response.usage, estimated: false }
+    : {
+        inputTokens: provider.estimateTokens(request),
+        outputTokens: Math.ceil(JSON.stringify(response.message.content).length / provider.constructor.charsPerToken),
+        estimated: true,
+      };
+  usage.push({ provider: provider.name, model: provider.model, ...counts });
+}
 
+/**
+ * Record the token usage of a turn, attributed to the idea it worked on: the idea folder
+ * its tool calls touched most, else the first idea named in the founder's message
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.mode
+ * @param {string} params.text - The founder's message
+ * @param {Array<{ name: string, args: Object }>} params.toolCalls
+ * @param {Array} params.usage - The turn's usage list (see tallyUsage)
+ */
+function recordUsage({ sessionId, mode, text, toolCalls, usage }) {
+  const ideas = fileStore.getTree().children
+    .filter((node) => node.type === 'idea' && node.name !== 'memory')
+    .map((node) => node.name);
+
+  const touched = new Map();
+  for (const call of toolCalls) {
+    for (const value of Object.values(call.args || {})) {
+      const idea = typeof value === 'string' ? value.split('/')[0] : null;
+      if (ideas.includes(idea)) touched.set(idea, (touched.get(idea) || 0) + 1);
+    }
+  }
+
+  const idea = [...touched].sort((a, b) => b[1] - a[1])[0]?.[0]
+    || ideas.find((name) => text.toLowerCase().includes(name.toLowerCase()))
+    || null;
+  usageStore.recordTurn({ sessionId, mode, idea, calls: usage });
+}
+
+/**
+ * Call the model until it answers without tool calls, running the tools it asks for.
+ * Every response and tool result is appended to `history`.
+ * Failed model calls are retried (see retry.js); when the provider keeps failing before
+ * any text was streamed, the turn switches to the next fallback provider and stays on it.
+ * @param {Object} params
+ * @param {BaseProvider} params.provider
+ * @param {string} params.systemPrompt
+ * @param {Array} params.history - Canonical history ending with the user message
+ * @param {Array} params.tools - Tools the model may call (from tools/index.js; declared per provider)
+ * @param {Object} params.toolContext - Passed to executeFunctionCall: { sessionId, files?, permissions? }
+ * @param {Function} params.onStatus - Optional callback for status updates (including retries and provider switches)
+ * @param {Function} params.onDelta - Optional callback for streamed reply text; streams when given
+ * @param {Function} params.onToolResult - Optional callback with each executeFunctionCall result
+ * @param {AbortSignal} params.signal - Optional; stops the turn, cancelling the model call in flight
+ * @param {Array} params.usage - Optional; every model call's token counts are added to it (see tallyUsage)
+ * @returns {Promise<{ text: string, toolCalls: Array<{ name: string, args: Object }>, stopped: boolean, provider: BaseProvider }>}
+ *   `provider` is the one that gave the last response
+ * @throws {Error} If the model keeps calling tools for too many iterations, or every provider failed
+ */
+async function runToolLoop({ provider, systemPrompt, history, tools, toolContext, onStatus = null, onDelta = null, onToolResult = null, signal = null, usage = null }) {
+  const toolCalls = [];
+  const textSegments = []; // Text from every model response in this turn
+  const chain = getProviderChain(provider);
+  const policy = getRetryPolicy();
+  let active = 0; // Index in the chain of the provider in use
   let maxIterations = 10;
 
-  // Send initial status
-  if (onStatus) onStatus('Thinking...');
+  // End a stopped turn with the text received so far; tool calls not yet run are dropped,
+  // so the history still alternates cleanly and the next message can continue from it
+  const stop = (partialText) => {
+    if (partialText) textSegments.push(partialText);
+    history.push(createAssistantMessage(partialText ? `${partialText}\n\n${STOPPED_NOTE}` : STOPPED_NOTE));
+    return { text: textSegments.join('\n\n') || '(Stopped)', toolCalls, stopped: true, provider: chain[active] };
+  };
 
   while (maxIterations-- > 0) {
-    // Generate response from the AI
-    const response = await provider.generateContent({
-      systemPrompt,
-      history,
-      tools,
-    });
+    if (signal?.aborted) return stop('');
 
-    // Extract function calls
-    const functionCalls = provider.extractFunctionCalls(response);
+    // Generate response from the AI, streaming text when a delta callback is given
+    let response;
+    let request;
+    let streamedText = ''; // Kept if the call is aborted mid-stream
+    while (!response) {
+      const current = chain[active];
+      request = { systemPrompt, history, tools: current.getToolDeclarations(tools) };
+      try {
+        response = await callWithRetry(({ signal: callSignal, touch }) => {
+          if (!onDelta) return current.generateContent({ ...request, signal: callSignal });
 
-    if (functionCalls.length === 0) {
-      // No function calls -- extract text and return
-      const text = provider.extractText(response) || '(No response)';
+          let segmentStarted = false;
+          return current.generateContentStream({
+            ...request,
+            signal: callSignal,
+            // Any streamed data counts as progress, including tool call input without text
+            onProgress: touch,
+            onDelta: (delta) => {
+              // Text streamed before earlier tool calls stays on screen, so separate the new segment
+              if (!segmentStarted && textSegments.length > 0) onDelta('\n\n');
+              segmentStarted = true;
+              streamedText += delta;
+              onDelta(delta);
+            },
+          });
+        }, {
+          policy,
+          signal,
+          // Text already on screen cannot be taken back, so a broken stream is not retried
+          shouldRetry: () => !streamedText,
+          onRetry: ({ delayMs }) => {
+            if (onStatus) onStatus(`${describeProvider(current)} is busy, retrying in ${Math.ceil(delayMs / 1000)}s...`);
+          },
+        });
+      } catch (error) {
+        if (signal?.aborted) return stop(streamedText);
 
-      // Add assistant response to history
-      provider.addAssistantMessage(history, response);
+        // Authentication errors may be specific to this provider too
+        const unavailable = isRetryable(error) || error.status === 401 || error.status === 403;
+        if (streamedText || !unavailable || active === chain.length - 1) throw error;
 
-      // Auto-generate title from first user message if still default
-      if (session.title === 'New Chat' && history.length <= 2) {
-        // Use first 50 chars of first message as title
-        session.title = userMessage.slice(0, 50) + (userMessage.length > 50 ? '...' : '');
+        console.warn(`[AI Client] ${describeProvider(current)} failed: ${error.message}`);
+        active++;
+        if (onStatus) onStatus(`${describeProvider(current)} is unavailable, switching to ${describeProvider(chain[active])}...`);
       }
-
-      // Return with memory used
-      return {
-        text,
-        editedFiles,
-        memoryUsed: context.memoryPack
-      };
     }
+    tallyUsage(usage, chain[active], request, response);
+
+    // Aborted while the response arrived: keep its text, skip its tool calls
+    if (signal?.aborted) return stop(getText(response.message));
 
-    // Add assistant response with function calls to history
-    provider.addAssistantMessage(history, response);
+    const segment = getText(response.message);
+    if (segment) textSegments.push(segment);
 
-    // Process each function call
+    // Add the response (with any function calls) to history
+    history.push(response.message);
+
+    // Extract function calls
+    const functionCalls = getToolCalls(response.message);
+
+    if (functionCalls.length === 0) {
+      // No function calls -- join the text of the whole turn and return
+      return { text: textSegments.join('\n\n') || '(No response)', toolCalls, stopped: false, provider: chain[active] };
+    }
+
+    // Process the function calls: read-only ones concurrently, writes one at a time in order
     const functionResponses = [];
 
-    for (const call of functionCalls) {
-      // Send status update for each function call
+    for (const batch of batchToolCalls(functionCalls)) {
+      // Send one status update per batch
       if (onStatus) {
-        onStatus(getStatusMessage(call.name, call.args));
+        onStatus(getBatchStatusMessage(batch));
       }
 
-      const result = executeFunctionCall(call.name, call.args, call.id);
-      
-      if (result.edited) {
-        editedFiles.push(result.editedPath);
-      }
+      toolCalls.push(...batch.map((call) => ({ name: call.name, args: call.args })));
+      const results = await Promise.all(
+        batch.map((call) => executeFunctionCall(call.name, call.args, call.id, toolContext))
+      );
 
-      functionResponses.push({
-        name: result.name,
-        toolUseId: result.toolUseId,
-        response: result.response,
-      });
+      // Results go back in the order of the calls, as providers pair them by position
+      for (const result of results) {
+        if (onToolResult) onToolResult(result);
+        functionResponses.push({
+          id: result.callId,
+          name: result.name,
+          result: result.response,
+        });
+      }
     }
 
     // Add function responses to history
-    provider.addFunctionResponses(history, functionResponses);
+    history.push(createToolResultsMessage(functionResponses));
 
     // Update status after processing function calls
     if (onStatus) onStatus('Thinking...');
@@ -344,32 +823,693 @@ async function chat(sessionId, userMessage, onStatus = null, mode = 'copilot') {
   throw new Error('Too many function call iterations');
 }
 
+/**
+ * Add the summary of compacted turns to a system prompt
+ * @param {string} systemPrompt
+ * @param {string|null} summary
+ * @returns {string}
+ */
+function withSummary(systemPrompt, summary) {
+  return summary ? `${systemPrompt}\n\nSummary of the earlier conversation:\n${summary}` : systemPrompt;
+}
+
+/**
+ * Ask the model to summarize compacted turns (with the previous summary, if any)
+ * @param {Object} params
+ * @param {BaseProvider} params.provider
+ * @param {string|null} params.previousSummary
+ * @param {Array} params.history - Canonical history of the turns to summarize
+ * @param {Object} params.tools - Tool declarations (sent unchanged; the prompt asks not to use them)
+ * @param {AbortSignal} params.signal
+ * @param {Array} params.usage - Optional; the call's token counts are added to it
+ * @returns {Promise<string>} The summary (empty if the model gave none)
+ */
+async function summarizeHistory({ provider, previousSummary, history, tools, signal, usage = null }) {
+  const transcript = formatForSummary(history);
+  const prompt = previousSummary
+    ? `Summary of the conversation before this part:\n${previousSummary}\n\nConversation since then:\n${transcript}`
+    : transcript;
+
+  const request = { systemPrompt: SUMMARY_PROMPT, history: [createUserMessage(prompt)], tools };
+  const response = await callWithRetry(
+    ({ signal: callSignal }) => provider.generateContent({ ...request, signal: callSignal }),
+    { policy: getRetryPolicy(), signal }
+  );
+  tallyUsage(usage, provider, request, response);
+  return getText(response.message).trim();
+}
+
+/**
+ * Build the model history of a turn, compacting older turns when the prompt would exceed
+ * CONTEXT_BUDGET of the provider's context window (see compaction.js). A new compaction is
+ * recorded on the turn's user message, so later turns of the branch reuse it.
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {Object} params.userEntry - User transcript message of the turn
+ * @param {BaseProvider} params.provider
+ * @param {string} params.systemPrompt
+ * @param {Object} params.tools - Tool declarations for this provider
+ * @param {Function} params.onStatus - Optional callback for status updates
+ * @param {AbortSignal} params.signal - Optional; skips the summary when aborted
+ * @param {Array} params.usage - Optional; the summary call's token counts are added to it
+ * @returns {Promise<{ history: Array, summary: string|null, compaction: Object|null }>} Compaction is
+ *   set only when this turn compacted
+ */
+async function compactContext({ sessionId, userEntry, provider, systemPrompt, tools, onStatus = null, signal = null, usage = null }) {
+  const path = sessionStore.getBranch(sessionId, userEntry.id);
+  const budget = Math.floor(provider.contextWindow * CONTEXT_BUDGET);
+  const measure = ({ history, summary }) => provider.estimateTokens({
+    systemPrompt: withSummary(systemPrompt, summary),
+    history,
+    tools,
+  });
+
+  const current = applyCompaction(path);
+  const tokensBefore = measure(current);
+  const turnStarts = path.flatMap((m, i) => (m.role === 'user' ? [i] : []));
+  if (tokensBefore <= budget || turnStarts.length <= KEEP_RECENT_TURNS) {
+    return { ...current, compaction: null };
+  }
+
+  // Everything before the turns kept verbatim may be compacted
+  const boundary = turnStarts.at(-KEEP_RECENT_TURNS) - 1;
+  const previous = path.slice(0, -1).findLast((m) => m.compaction)?.compaction || {};
+  if (onStatus) onStatus('Compacting context...');
+
+  let compaction = {
+    ...(previous.summary && { summarizedThrough: previous.summarizedThrough, summary: previous.summary }),
+    elidedThrough: path[boundary].id,
+  };
+  let compacted = applyCompaction(path, compaction);
+
+  if (measure(compacted) > budget && previous.summarizedThrough !== path[boundary].id) {
+    if (onStatus) onStatus('Summarizing earlier conversation...');
+    const start = path.findIndex((m) => m.id === previous.summarizedThrough) + 1;
+    const older = path.slice(start, boundary + 1).flatMap((m) => m.history || []).map(elideToolResults);
+
+    try {
+      const summary = await summarizeHistory({ provider, previousSummary: previous.summary || null, history: older, tools, signal, usage });
+      if (summary) {
+        compaction = { ...compaction, summarizedThrough: path[boundary].id, summary };
+        compacted = applyCompaction(path, compaction);
+      }
+    } catch (error) {
+      // Eliding alone still helps; a failed summary should not fail the turn
+      if (!signal?.aborted) console.warn(`Could not summarize chat session ${sessionId}:`, error.message);
+    }
+  }
+
+  // Nothing new to compact (e.g. the kept turns alone exceed the budget)
+  if (compaction.elidedThrough === previous.elidedThrough && compaction.summarizedThrough === previous.summarizedThrough) {
+    return { ...current, compaction: null };
+  }
+
+  userEntry.compaction = {
+    ...compaction,
+    tokensBefore,
+    tokensAfter: measure(compacted),
+    createdAt: new Date().toISOString(),
+  };
+  sessionStore.saveToDisk(sessionId);
+  return { ...compacted, compaction: userEntry.compaction };
+}
+
+/**
+ * Send a message to a chat session and process function calls in a loop.
+ * Returns { text, editedFiles, memoryUsed }
+ * @param {string} sessionId
+ * @param {string} userMessage
+ * @param {Object} options
+ * @param {string} options.mode - Agent mode ID (see agentConfig.listModes); debate modes run debate()
+ * @param {boolean} options.allowEdits - Let a read-only mode write files for this message
+ * @param {Function} options.onStatus - Optional callback for status updates: (status: string) => void
+ * @param {Function} options.onDelta - Optional callback for streamed reply text: (text: string) => void
+ * @param {Function} options.onChange - Optional callback when an edit is staged for review: (change: Object) => void
+ * @param {AbortSignal} options.signal - Optional; stops the turn, keeping the text received so far
+ * @param {string} options.branchFrom - Optional message ID: a user message to edit, or an agent reply to regenerate (see startTurn)
+ *
+ * A message starting with a slash command (see commands.js) runs the command's action, or sends its prompt in its mode.
+ * @returns {Promise<{text: string, editedFiles: string[], proposedFiles: string[], memoryUsed?: any[], stopped: boolean, compaction?: Object}>}
+ */
+async function chat(sessionId, userMessage, options = {}) {
+  // Slash commands run a direct action, or send their prompt in their mode (see commands.js)
+  const invocation = commands.parseCommand(getTurnText(sessionId, userMessage, options.branchFrom));
+  if (invocation?.command.argRequired && !invocation.arg) {
+    throw createError(400, `Usage: ${invocation.command.usage}`);
+  }
+  if (invocation?.command.action) {
+    return runCommand(sessionId, userMessage, invocation, options);
+  }
+  const turnOptions = invocation
+    ? { ...options, mode: invocation.command.mode || options.mode, prompt: invocation.command.prompt(invocation.arg) }
+    : options;
+
+  const { mode = 'copilot', allowEdits = false, onStatus = null, onDelta = null, onChange = null, signal = null, branchFrom = null, prompt = null } = turnOptions;
+
+  if (agentConfig.getMode(mode).debate) {
+    return debate(sessionId, userMessage, turnOptions);
+  }
+
+  // Auto-create session if it doesn't exist
+  if (!sessionStore.hasSession(sessionId)) {
+    sessionStore.createSession({ id: sessionId, title: 'New Chat' });
+  }
+
+  const provider = resolveProvider(sessionId, mode);
+  const editedFiles = [];
+  const proposedFiles = []; // Edits staged for review instead of written
+  const changeset = []; // Files written this turn: { path, before, after } revision IDs, for reverting the turn
+  const usage = []; // Token counts of this turn's model calls
+
+  // Add the user message to the transcript (or reuse it to regenerate a reply)
+  const { userEntry, text: userText } = startTurn(sessionId, userMessage, { mode, branchFrom, prompt });
+
+  // Select base prompt and tool permissions based on mode
+  const basePrompt = agentConfig.getMode(mode).systemPrompt;
+  const permissions = agentConfig.getModePermissions(mode, { allowEdits });
+
+  // Build system prompt with file tree context and memory injection
+  const context = buildAgentContext(prompt || userText, sessionId, permissions);
+  const memorySection = formatMemoryPack(context.memoryPack)
+    + formatRecentConversations(context.recentConversations, context.conversationCount);
+  const editsNote = allowEdits && agentConfig.getModePermissions(mode).readOnly
+    ? '\n\nThe founder has allowed file edits for this message.'
+    : '';
+
+  // In review mode, tools write to a pending-change overlay instead of the workspace
+  const reviewEdits = Boolean(sessionStore.getSession(sessionId).reviewEdits);
+  const replyId = nanoid(); // Known before the reply is recorded, so staged edits can name their turn
+  const files = createTurnFiles(sessionId, changeset, onChange, replyId);
+  const reviewNote = reviewEdits
+    ? '\n\nFile edits in this chat are proposals: they are shown to the founder as diffs and only applied once accepted. read_file shows your proposed version.'
+    : '';
+
+  const systemPrompt = `${basePrompt}\n\nCurrent workspace file tree:\n${context.fileTreeText}${memorySection}\n\nUse read_file to read specific file contents when needed. Use get_file_tree to refresh the tree if it may have changed.${reviewNote}${editsNote}`;
+
+  // Only the tools this mode may use
+  const tools = getTools().filter((tool) => agentConfig.isToolAllowed(permissions, tool));
+
+  // Send initial status
+  if (onStatus) onStatus('Thinking...');
+
+  let history = null;
+  let replyStart = 0;
+  let compaction = null;
+  let turn;
+  try {
+    // Long sessions are compacted to fit the model's context window
+    let summary;
+    ({ history, summary, compaction } = await compactContext({
+      sessionId,
+      userEntry,
+      provider,
+      systemPrompt,
+      tools: provider.getToolDeclarations(tools),
+      onStatus,
+      signal,
+      usage,
+    }));
+    replyStart = history.length;
+    if (compaction && onStatus) onStatus('Thinking...');
+
+    turn = await runToolLoop({
+      provider,
+      systemPrompt: withSummary(systemPrompt, summary),
+      history,
+      tools,
+      toolContext: { sessionId, files, permissions },
+      onStatus,
+      onDelta,
+      signal,
+      usage,
+      onToolResult: (result) => {
+        if (!result.edited) return;
+        const list = reviewEdits ? proposedFiles : editedFiles;
+        if (!list.includes(result.editedPath)) list.push(result.editedPath);
+      },
+    });
+  } catch (error) {
+    // Record the partial turn as a failed reply: the next message continues from it
+    // (the model history still alternates) and the files its tools wrote can be reverted
+    const reply = history ? history.slice(replyStart) : [];
+    const partialText = reply.map(getText).filter(Boolean).join('\n\n');
+    const toolCalls = reply.flatMap(getToolCalls).map((call) => ({ name: call.name, args: call.args }));
+    reply.push(createAssistantMessage(partialText ? `${partialText}\n\n${FAILED_NOTE}` : FAILED_NOTE));
+
+    sessionStore.addMessage(sessionId, {
+      id: replyId,
+      parentId: userEntry.id,
+      role: 'agent',
+      text: partialText ? `${partialText}\n\nError: ${error.message}` : `Error: ${error.message}`,
+      mode,
+      toolCalls,
+      editedFiles,
+      proposedFiles,
+      ...(changeset.length > 0 && { changeset: { files: changeset } }),
+      failed: true,
+      history: reply,
+    });
+    sessionStore.saveToDisk(sessionId);
+    recordUsage({ sessionId, mode, text: prompt || userText, toolCalls, usage });
+    throw error;
+  }
+
+  setTitleFromFirstMessage(sessionId, userText);
+  recordUsage({ sessionId, mode, text: prompt || userText, toolCalls: turn.toolCalls, usage });
+
+  // Record the reply in the transcript and persist the session
+  const agentMessage = sessionStore.addMessage(sessionId, {
+    id: replyId,
+    parentId: userEntry.id,
+    role: 'agent',
+    text: turn.text,
+    mode,
+    provider: turn.provider.name,
+    model: turn.provider.model,
+    toolCalls: turn.toolCalls,
+    editedFiles,
+    proposedFiles,
+    ...(changeset.length > 0 && { changeset: { files: changeset } }),
+    ...(turn.stopped && { stopped: true }),
+    memoryUsed: context.memoryPack,
+    history: history.slice(replyStart),
+  });
+  sessionStore.saveToDisk(sessionId);
+
+  // Return with memory used
+  return {
+    messageId: agentMessage.id,
+    userMessageId: userEntry.id,
+    ...(compaction && { compaction }),
+    changeset: agentMessage.changeset,
+    text: turn.text,
+    editedFiles,
+    proposedFiles,
+    memoryUsed: context.memoryPack,
+    provider: turn.provider.name,
+    model: turn.provider.model,
+    stopped: turn.stopped,
+  };
+}
+
+/**
+ * Pull a one-line summary out of a debate verdict for its DECISION memory
+ * @param {string} verdict
+ * @returns {string}
+ */
+function summarizeVerdict(verdict) {
+  // Drop markdown emphasis and heading/quote markers; IDs may contain "_" and citations "#"
+  const lines = verdict.split('\n').map((line) => line.replace(/\*/g, '').replace(/^[#>\s]+/, '').trim()).filter(Boolean);
+  const decisionLine = lines.find((line) => /^(\d+\.\s*)?Decision\b/i.test(line));
+  const summary = (decisionLine || lines[0] || 'Debate verdict')
+    .replace(/^(\d+\.\s*)?Decision\s*[-:–—]?\s*/i, '')
+    .trim();
+  return summary.length > 200 ? `${summary.slice(0, 197)}...` : summary;
+}
+
+/**
+ * Debate a question: the mode's speakers (Copilot and Devil's Advocate) take turns
+ * for a number of rounds, then the debate mode's prompt writes a verdict citing memory IDs.
+ * Speakers are read-only and each sees the question plus the debate so far.
+ * Every turn is its own transcript message with `debate: { label, round }` (round is null for the verdict).
+ * @param {string} sessionId
+ * @param {string|null} userMessage - The question (not needed to run a debate again)
+ * @param {Object} options
+ * @param {string} options.mode - Debate mode ID (default 'debate')
+ * @param {number} options.rounds - Rounds of speaker turns (clamped to the mode's maximum)
+ * @param {boolean} options.saveDecision - Save the verdict with the transcript as a DECISION memory
+ * @param {Function} options.onStatus - Optional callback for status updates: (status: string) => void
+ * @param {Function} options.onDelta - Optional callback for the current speaker's streamed text: (text: string) => void
+ * @param {Function} options.onSpeaker - Optional callback when a turn starts: ({ mode, label, round }) => void
+ * @param {AbortSignal} options.signal - Optional; stops the debate after the current turn's partial text, without a verdict
+ * @param {string} options.branchFrom - Optional message ID: a user message to edit, or the debate's first turn to run it again
+ * @param {string} options.prompt - Optional question to debate instead of the message (the expansion of a slash command)
+ * @returns {Promise<Object>} Like chat(), for the verdict (or the stopped turn), plus { turns, citedMemories, decisionMemoryId }
+ */
+async function debate(sessionId, userMessage, options = {}) {
+  const { mode = 'debate', rounds: requestedRounds, saveDecision = false, onStatus = null, onDelta = null, onSpeaker = null, signal = null, branchFrom = null, prompt = null } = options;
+  const debateMode = agentConfig.getMode(mode);
+  const { speakers, defaultRounds, maxRounds } = debateMode.debate;
+  const rounds = Math.min(Math.max(parseInt(requestedRounds, 10) || defaultRounds, 1), maxRounds);
+
+  // Auto-create session if it doesn't exist
+  if (!sessionStore.hasSession(sessionId)) {
+    sessionStore.createSession({ id: sessionId, title: 'New Chat' });
+  }
+
+  const { userEntry, text } = startTurn(sessionId, userMessage, { mode, branchFrom, prompt });
+  const question = prompt || text;
+  setTitleFromFirstMessage(sessionId, text);
+  let previousId = userEntry.id; // Turns chain after the question
+
+  // Speakers are read-only, and their prompts show only the files their mode may access
+  const getSpeakerPermissions = (modeId) => ({ ...agentConfig.getModePermissions(modeId), readOnly: true });
+  const contexts = new Map(); // Mode ID -> agent context
+  const getContext = (modeId) => {
+    if (!contexts.has(modeId)) contexts.set(modeId, buildAgentContext(question, sessionId, getSpeakerPermissions(modeId)));
+    return contexts.get(modeId);
+  };
+  const getWorkspaceSection = (modeId) => {
+    const { fileTreeText, memoryPack, recentConversations, conversationCount } = getContext(modeId);
+    return `Current workspace file tree:\n${fileTreeText}${formatMemoryPack(memoryPack)}${formatRecentConversations(recentConversations, conversationCount)}`;
+  };
+  const context = getContext(mode); // The verdict's
+  const turns = [];
+  const usage = []; // Token counts of every speaker's and the verdict's model calls
+
+  // The debate so far, as speakers and the moderator read it
+  const formatTranscript = (messages = turns) => messages
+    .map(({ debate: { label, round }, text }) => `**${label}**${round ? ` (round ${round})` : ''}:\n${text}`)
+    .join('\n\n');
+
+  // Run one turn with a fresh history and record it in the transcript
+  const runTurn = async ({ modeId, label, round, systemPrompt, prompt }) => {
+    const provider = resolveProvider(sessionId, modeId);
+    const permissions = getSpeakerPermissions(modeId);
+    const tools = getTools().filter((tool) => agentConfig.isToolAllowed(permissions, tool));
+
+    if (onSpeaker) onSpeaker({ mode: modeId, label, round });
+    if (onStatus) onStatus(`${label} is thinking...`);
+
+    const result = await runToolLoop({
+      provider,
+      systemPrompt,
+      history: [createUserMessage(prompt)],
+      tools,
+      toolContext: { sessionId, permissions },
+      onStatus,
+      onDelta,
+      signal,
+      usage,
+    });
+
+    const message = sessionStore.addMessage(sessionId, {
+      parentId: previousId,
+      role: 'agent',
+      text: result.text,
+      mode: modeId,
+      provider: result.provider.name,
+      model: result.provider.model,
+      toolCalls: result.toolCalls,
+      editedFiles: [],
+      proposedFiles: [],
+      debate: { label, round },
+      ...(result.stopped && { stopped: true }),
+    });
+    previousId = message.id;
+    return { message, provider: result.provider, stopped: result.stopped };
+  };
+
+  let last; // The verdict, or the turn that was stopped
+  try {
+    for (let round = 1; round <= rounds && !last; round++) {
+      for (const speaker of speakers) {
+        const speakerMode = agentConfig.getMode(speaker);
+        const opponent = speakers
+          .filter((other) => other !== speaker)
+          .map((other) => agentConfig.getMode(other).label)
+          .join(' and ');
+
+        const turn = await runTurn({
+          modeId: speaker,
+          label: speakerMode.label,
+          round,
+          systemPrompt: `${speakerMode.systemPrompt}\n\n${agentConfig.getDebateTurnNote({ opponent, round, rounds })}\n\n${getWorkspaceSection(speaker)}`,
+          prompt: turns.length > 0
+            ? `Question: ${question}\n\nDebate so far:\n\n${formatTranscript()}\n\nYour turn, ${speakerMode.label}.`
+            : `Question: ${question}\n\nYou open the debate.`,
+        });
+        if (turn.stopped) {
+          last = turn;
+          break;
+        }
+        turns.push(turn.message);
+      }
+    }
+
+    last = last || await runTurn({
+      modeId: mode,
+      label: 'Verdict',
+      round: null,
+      systemPrompt: `${debateMode.systemPrompt}\n\n${getWorkspaceSection(mode)}`,
+      prompt: `Question: ${question}\n\nDebate transcript:\n\n${formatTranscript()}\n\nGive your verdict.`,
+    });
+  } catch (error) {
+    // Keep the finished turns in the transcript
+    sessionStore.saveToDisk(sessionId);
+    recordUsage({ sessionId, mode, text: question, toolCalls: turns.flatMap((m) => m.toolCalls), usage });
+    throw error;
+  }
+
+  recordUsage({
+    sessionId,
+    mode,
+    text: question,
+    toolCalls: [...turns, last.message].flatMap((m) => m.toolCalls),
+    usage,
+  });
+
+  const result = {
+    messageId: last.message.id,
+    userMessageId: userEntry.id,
+    text: last.message.text,
+    turns,
+    citedMemories: [],
+    decisionMemoryId: null,
+    editedFiles: [],
+    proposedFiles: [],
+    memoryUsed: context.memoryPack,
+    provider: last.provider.name,
+    model: last.provider.model,
+    stopped: last.stopped,
+  };
+
+  // A stopped debate has no verdict; later turns see how far it got
+  if (last.stopped) {
+    const record = formatTranscript([...turns, last.message]);
+    last.message.history = [createAssistantMessage(`${record}\n\n${STOPPED_NOTE}`)];
+    sessionStore.saveToDisk(sessionId);
+    return result;
+  }
+
+  const verdict = last;
+  const citedMemories = context.memoryPack
+    .filter((memory) => verdict.message.text.includes(memory.id))
+    .map((memory) => memory.id);
+  const record = `${formatTranscript()}\n\n**Verdict:**\n${verdict.message.text}`;
+
+  const decision = saveDecision
+    ? memoryStore.createMemory({
+        type: 'DECISION',
+        summary: summarizeVerdict(verdict.message.text),
+        details: `Question: ${question}\n\n${record}`,
+        entities: {
+          ideas: context.activeIdeas.filter((idea) => question.includes(idea)),
+          tags: ['debate'],
+        },
+        importance: 0.8,
+        source: { kind: 'AGENT_OUTPUT', ref: sessionId },
+      })
+    : null;
+
+  // Attach to the verdict's transcript entry before it is persisted.
+  // Later turns in this chat see the whole debate as one reply to the question.
+  Object.assign(verdict.message, {
+    memoryUsed: context.memoryPack,
+    citedMemories,
+    ...(decision && { decisionMemoryId: decision.id }),
+    history: [createAssistantMessage(record)],
+  });
+  sessionStore.saveToDisk(sessionId);
+
+  return { ...result, citedMemories, decisionMemoryId: decision?.id || null };
+}
+
+/**
+ * Undo every file write of a chat turn (or of an earlier revert).
+ * Files the turn created are deleted; the others are restored to their prior revision.
+ * The revert is logged as an 'event' transcript message with its own changeset, so it can be reverted too.
+ * @param {string} sessionId
+ * @param {string} messageId - Transcript message holding the changeset
+ * @param {{ force?: boolean }} options - Revert even if files were changed after the turn
+ * @returns {Object} The event message
+ * @throws {Error} With status 404 (no changeset), 409 (already reverted, or files changed since; see `conflicts`)
+ */
+function revertTurn(sessionId, messageId, { force = false } = {}) {
+  const message = sessionStore.getMessage(sessionId, messageId);
+
+  if (!message?.changeset) {
+    throw createError(404, 'This message did not change any files');
+  }
+  if (message.changeset.revertedBy) {
+    throw createError(409, 'This turn has already been reverted');
+  }
+
+  const { files } = message.changeset;
+
+  // Files edited since the turn would lose those later edits
+  const conflicts = files
+    .filter((f) => (f.after === null
+      ? fileStore.getFile(f.path) !== null
+      : fileStore.getFile(f.path) === null || revisionStore.getLatestRevisionId(f.path) !== f.after))
+    .map((f) => f.path);
+  if (conflicts.length > 0 && !force) {
+    throw createError(409, `Changed since this turn: ${conflicts.join(', ')}`, { conflicts });
+  }
+
+  const missing = files.filter((f) => f.before !== null && !revisionStore.getRevision(f.path, f.before));
+  if (missing.length > 0) {
+    throw createError(409, `Earlier version no longer in history: ${missing.map((f) => f.path).join(', ')}`);
+  }
+
+  const revertFiles = [];
+  for (const file of files) {
+    const revisions = file.before === null
+      ? fileStore.deleteFile(file.path)
+      : fileStore.setFile(file.path, revisionStore.getRevision(file.path, file.before).content, {
+          author: 'user',
+          restoredFrom: file.before,
+        });
+    if (revisions) revertFiles.push({ path: file.path, ...revisions });
+  }
+
+  const count = files.length;
+  const event = sessionStore.addMessage(sessionId, {
+    role: 'event',
+    text: `Reverted ${count} ${count === 1 ? 'file' : 'files'} changed by an earlier turn`,
+    revertOf: messageId,
+    editedFiles: files.map((f) => f.path),
+    changeset: { files: revertFiles },
+  });
+  message.changeset.revertedBy = event.id;
+  sessionStore.saveToDisk(sessionId);
+
+  return event;
+}
+
+/**
+ * Get the edits staged for review in a session
+ * @param {string} sessionId
+ * @returns {Array} Change summaries: { path, isNew, additions, deletions, ... }
+ */
+function getPendingChanges(sessionId) {
+  return pendingChangeStore.getChanges(sessionId);
+}
+
+/**
+ * Get one staged edit with its contents and side-by-side diff rows
+ * @param {string} sessionId
+ * @param {string} filePath
+ * @returns {Object|null}
+ */
+function getPendingChange(sessionId, filePath) {
+  return pendingChangeStore.getChange(sessionId, filePath);
+}
+
+/**
+ * Apply a staged edit to the workspace. The write joins the changeset of the turn
+ * that proposed it, so "Revert this turn" undoes accepted edits too.
+ * @param {string} sessionId
+ * @param {string} filePath
+ * @returns {Object|null} The applied change summary with `turnId` and the turn's updated `changeset`
+ *   (null if the turn is gone or reverted), or null if there was no change
+ * @throws {Error} With status 409 if the file changed since the edit was proposed
+ */
+function acceptChange(sessionId, filePath) {
+  const { revisions, ...change } = pendingChangeStore.acceptChange(sessionId, filePath) || {};
+  if (!revisions) return null;
+
+  const turn = change.turnId ? sessionStore.getMessage(sessionId, change.turnId) : null;
+  if (!turn || turn.changeset?.revertedBy) {
+    return { ...change, changeset: null };
+  }
+
+  turn.changeset = turn.changeset || { files: [] };
+  trackWrite(turn.changeset.files, filePath, revisions);
+  sessionStore.saveToDisk(sessionId);
+  return { ...change, changeset: turn.changeset };
+}
+
+/**
+ * Discard a staged edit
+ * @param {string} sessionId
+ * @param {string} filePath
+ * @returns {boolean} Whether there was a change to discard
+ */
+function rejectChange(sessionId, filePath) {
+  return pendingChangeStore.removeChange(sessionId, filePath);
+}
+
 /**
  * Clear conversation history for a session
  * @param {string} sessionId 
  */
 function clearHistory(sessionId) {
-  provider.clearHistory(sessionId);
+  sessionStore.clearHistory(sessionId);
+}
+
+/**
+ * List the agent modes (built-in and user-defined) for the mode toggle
+ * @returns {Array} Modes: { id, label, description, color, permissions, builtIn?, provider?, model? }
+ */
+function getModes() {
+  return agentConfig.listModes();
+}
+
+/**
+ * Get the slash commands for the chat input
+ */
+function getCommands() {
+  return commands.listCommands();
+}
+
+/**
+ * Get a token usage and cost report (see usageStore.getReport), with session titles
+ * @param {{ sessionId?: string|null, since?: string|null }} filters - `since` is an ISO date
+ * @returns {{ totals: Object, bySession: Array, byMode: Array, byIdea: Array, byModel: Array }}
+ */
+function getUsage(filters = {}) {
+  const report = usageStore.getReport(filters);
+  return {
+    ...report,
+    bySession: report.bySession.map((row) => ({ ...row, title: sessionStore.getSession(row.sessionId)?.title || null })),
+  };
 }
 
 /**
- * Get current provider info
- * @returns {{ name: string, model: string, availableProviders: string[] }}
+ * Get default provider info and the providers/models that can be picked per session
+ * @returns {{ name: string, model: string, availableProviders: string[], providers: Array }}
  */
 function getProviderInfo() {
   return {
-    name: provider.name,
-    model: provider.model,
+    name: defaultProvider.name,
+    model: defaultProvider.model,
     availableProviders: getAvailableProviders(),
+    providers: describeProviders(),
   };
 }
 
 export default { 
   chat, 
+  debate,
+  executeFunctionCall,
+  getProvider,
   clearHistory, 
   getProviderInfo,
+  getUsage,
+  getModes,
+  getCommands,
   createSession,
+  forkSession,
   getSessions,
   updateSession,
   deleteSession,
+  getMessages,
+  selectBranch,
+  getHistory,
+  revertTurn,
+  getPendingChanges,
+  getPendingChange,
+  acceptChange,
+  rejectChange,
 };
@@ -0,0 +1,112 @@
+// Slash commands for the chat input (e.g. "/summarize Idea 1/MVP/features.md")
+import fileStore from './fileStore.js';
+import memoryStore from './memoryStore.js';
+
+/**
+ * Command Schema:
+ * {
+ *   name: string,                 // Typed after the slash
+ *   usage: string,                // Shown in the autocomplete, e.g. "/memory <query>"
+ *   description: string,
+ *   argRequired: boolean,         // Reject the command without text after its name
+ *   mode?: string,                // Agent mode the turn runs in (default: the chat's mode)
+ *   prompt?(arg): string,         // Prompt template: the turn sends this to the model instead of the command
+ *   action?(arg, context): {      // Direct action, no model call; context: { sessionId, files }
+ *     text: string                // Recorded as the reply
+ *   },
+ *   writes?: boolean              // The action writes files: refused in read-only modes unless edits are allowed
+ * }
+ *
+ * A command has either a prompt or an action. The transcript keeps the command
+ * as typed; the model history of a prompt command holds the expanded prompt.
+ * Actions write the workspace through `context.files`, like tools, so their
+ * edits are logged for the session (and can be reverted) or staged for review.
+ */
+const COMMANDS = [
+  {
+    name: 'devil',
+    usage: '/devil [question]',
+    description: "Ask the Devil's Advocate to challenge your plan",
+    argRequired: false,
+    mode: 'devils_advocate',
+    prompt: (arg) => arg || 'Challenge my current plan. What are the riskiest untested assumptions, and what is the fastest way to test each?',
+  },
+  {
+    name: 'memory',
+    usage: '/memory <query>',
+    description: 'Search the Memory Bank',
+    argRequired: true,
+    action(query) {
+      const results = memoryStore.retrieveMemory(query, { maxResults: 10, matchingOnly: true });
+      if (results.length === 0) {
+        return { text: `No memories match "${query}".` };
+      }
+
+      const lines = results.map((mem) => `- **[${mem.type}]** ${mem.summary} (ID: ${mem.id})`);
+      return { text: `Memories matching "${query}":\n\n${lines.join('\n')}` };
+    },
+  },
+  {
+    name: 'log-convo',
+    usage: '/log-convo <notes>',
+    description: 'Draft a customer conversation log from your notes',
+    argRequired: true,
+    mode: 'copilot',
+    prompt: (notes) => `Draft a customer conversation log from these notes with draft_conversation. Fill in only what the notes say, then tell me what is missing before I can complete it in the Pipeline.\n\nNotes:\n${notes}`,
+  },
+  {
+    name: 'new-idea',
+    usage: '/new-idea',
+    description: 'Create a new idea folder with the template files',
+    argRequired: false,
+    writes: true,
+    action(arg, { files }) {
+      const ideaName = fileStore.createIdea(files);
+      return { text: `Created **${ideaName}** with the template files.` };
+    },
+  },
+  {
+    name: 'summarize',
+    usage: '/summarize <file>',
+    description: 'Summarize a workspace file',
+    argRequired: true,
+    prompt: (filePath) => `Read "${filePath}" and summarize it: the key points, open questions, and the next steps it implies. Do not edit any files.`,
+  },
+  {
+    name: 'kill',
+    usage: '/kill <idea>',
+    description: 'Kill an idea and record why, with a post-mortem',
+    argRequired: true,
+    mode: 'copilot',
+    prompt: (idea) => `I am killing "${idea}". Look through its files, the Memory Bank and customer conversations for the evidence that led here. Record a DECISION memory that the idea is killed, with the reasons, and a LESSON memory with what to carry into the next idea. Then give me a short post-mortem.`,
+  },
+];
+
+const commandsByName = new Map(COMMANDS.map((command) => [command.name, command]));
+
+/** List the commands for the chat autocomplete */
+function listCommands() {
+  return COMMANDS.map(({ name, usage, description, argRequired, mode }) => ({
+    name,
+    usage,
+    description,
+    argRequired,
+    mode: mode || null,
+  }));
+}
+
+/**
+ * Parse a chat message as a command
+ * @param {string|null} text
+ * @returns {{ command: Object, arg: string }|null} Null if the text is not a known command
+ */
+function parseCommand(text) {
+  const match = text?.trim().match(/^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+  const command = match && commandsByName.get(match[1].toLowerCase());
+  return command ? { command, arg: (match[2] || '').trim() } : null;
+}
+
+export default {
+  listCommands,
+  parseCommand,
+};
@@ -0,0 +1,109 @@
+/**
+ * Keeping chat histories within a model's context window.
+ *
+ * Each turn's model history is stored on its transcript messages (see
+ * sessionStore.js), so the prompt of a long session keeps growing, mostly with
+ * file contents returned by read_file. When the estimated prompt exceeds its
+ * budget, aiClient compacts the history of older turns in two steps:
+ *
+ *   1. Elide stale tool outputs: large results are replaced by a placeholder.
+ *      The files are still in the workspace, so the agent can read them again.
+ *   2. Summarize: if that is not enough, older turns are replaced by a summary
+ *      written by the model, which is added to the system prompt.
+ *
+ * Compaction Schema (stored on the user message of the turn that compacted):
+ * {
+ *   elidedThrough: string,        // Tool outputs up to this message are elided
+ *   summarizedThrough?: string,   // Messages up to this one are replaced by `summary`
+ *   summary?: string,             // Covers every earlier summary too
+ *   tokensBefore: number,         // Estimated prompt tokens before and after compacting
+ *   tokensAfter: number,
+ *   createdAt: string
+ * }
+ *
+ * A compaction applies to every later turn of its branch until a newer one
+ * replaces it. The exported session history keeps everything.
+ */
+
+export const SUMMARY_PROMPT = `You compress the early part of a conversation between a founder and their AI co-pilot in the Ekpa workspace, so the conversation can continue within the model's context window.
+
+Write a concise summary that keeps:
+- What the founder asked for and decided, with their reasons
+- Facts, numbers and names that came up
+- Files the agent read or changed (by path) and what changed
+- Open questions and agreed next steps
+
+Leave out pleasantries and file contents that can be read again. Do not call tools. Answer with the summary only.`;
+
+// Tool outputs shorter than this are kept: they cost little and often carry IDs the agent refers to
+const MIN_ELIDED_CHARS = 500;
+
+const ELIDED_RESULT = {
+  elided: true,
+  note: 'Output removed to save context. Call the tool again if you need it.',
+};
+
+// Shorten text for the summary transcript
+function preview(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Replace the large tool results of a history message by a placeholder
+ * @param {Object} message - Canonical history message
+ * @returns {Object} The message, or a copy with elided results
+ */
+export function elideToolResults(message) {
+  if (message.role !== 'tool') return message;
+
+  return {
+    ...message,
+    content: message.content.map((block) => (
+      block.type === 'tool_result' && JSON.stringify(block.result).length >= MIN_ELIDED_CHARS
+        ? { ...block, result: ELIDED_RESULT }
+        : block
+    )),
+  };
+}
+
+/**
+ * Build the model history of a branch with a compaction applied
+ * @param {Array} path - Transcript messages from the root, with their `history` entries
+ * @param {Object|null} compaction - Defaults to the latest compaction on the path
+ * @returns {{ history: Array, summary: string|null }}
+ */
+export function applyCompaction(path, compaction = path.findLast((m) => m.compaction)?.compaction || null) {
+  const summarizedIndex = path.findIndex((m) => m.id === compaction?.summarizedThrough);
+  const elidedIndex = path.findIndex((m) => m.id === compaction?.elidedThrough);
+
+  const history = path.flatMap((message, i) => {
+    if (i <= summarizedIndex) return [];
+    const entries = message.history || [];
+    return i <= elidedIndex ? entries.map(elideToolResults) : entries;
+  });
+
+  return { history, summary: summarizedIndex === -1 ? null : compaction.summary };
+}
+
+/**
+ * Render a history as a plain-text transcript for the summarizer
+ * @param {Array} history - Canonical history messages
+ * @returns {string}
+ */
+export function formatForSummary(history) {
+  const lines = [];
+
+  for (const message of history) {
+    for (const block of message.content) {
+      if (block.type === 'text') {
+        lines.push(`${message.role === 'user' ? 'Founder' : 'Agent'}: ${block.text}`);
+      } else if (block.type === 'tool_call') {
+        lines.push(`Agent called ${block.name}(${preview(JSON.stringify(block.args), 200)})`);
+      } else if (block.type === 'tool_result') {
+        lines.push(`Result of ${block.name}: ${preview(JSON.stringify(block.result), 300)}`);
+      }
+    }
+  }
+
+  return lines.join('\n\n');
+}
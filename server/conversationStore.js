@@ -12,7 +12,7 @@ const __dirname = path.dirname(__filename);
 const conversations = new Map();
 
 // Workspace paths
-const WORKSPACE_DIR = path.join(__dirname, '../workspace');
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
 const CUSTOMERS_DIR = path.join(WORKSPACE_DIR, 'customers');
 const CONVERSATIONS_JSON_PATH = path.join(CUSTOMERS_DIR, 'conversations.json');
 const FEEDBACK_MD_PATH = 'customers/customer_feedback.md';
@@ -210,7 +210,7 @@ function appendToFeedbackDoc(conversation) {
 
 `;
 
-    fileStore.setFile(FEEDBACK_MD_PATH, content + entry);
+    fileStore.setFile(FEEDBACK_MD_PATH, content + entry, { author: 'system' });
     console.log(`Appended conversation to customer_feedback.md`);
   } catch (error) {
     console.error('Error appending to feedback doc:', error);
@@ -279,6 +279,7 @@ export default {
   getConversation,
   updateConversation,
   completeConversation,
+  validateConversation,
   saveToDisk,
   loadFromDisk
 };
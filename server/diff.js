@@ -0,0 +1,137 @@
+/**
+ * Line-based text diff for reviewing file changes.
+ *
+ * Op Schema:
+ *   { type: "equal" | "remove" | "add", text: string }
+ *
+ * Row Schema (side-by-side view, one row per displayed line pair):
+ * {
+ *   type: "equal" | "change" | "remove" | "add",
+ *   left: { number: number, text: string } | null,   // Old file line (1-based)
+ *   right: { number: number, text: string } | null   // New file line (1-based)
+ * }
+ */
+
+// Above this many cells the LCS table is skipped and the middle is replaced wholesale
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text) {
+  return text ? text.replace(/\r\n/g, '\n').split('\n') : [];
+}
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string|null} oldText
+ * @param {string|null} newText
+ * @returns {Array<{ type: string, text: string }>} Ops in file order
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Skip the common prefix and suffix; edits are usually local
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((text) => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    ops.push(...midA.map((text) => ({ type: 'remove', text })));
+    ops.push(...midB.map((text) => ({ type: 'add', text })));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push({ type: 'equal', text: midA[i++] });
+        j++;
+      } else if (j < midB.length && (i === midA.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+        ops.push({ type: 'add', text: midB[j++] });
+      } else {
+        ops.push({ type: 'remove', text: midA[i++] });
+      }
+    }
+
+    // Removals read better before additions within a changed block
+    for (let k = 1; k < ops.length; k++) {
+      for (let m = k; m > 0 && ops[m].type === 'remove' && ops[m - 1].type === 'add'; m--) {
+        [ops[m - 1], ops[m]] = [ops[m], ops[m - 1]];
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map((text) => ({ type: 'equal', text })));
+  return ops;
+}
+
+/**
+ * Pair up diff ops into rows for a side-by-side view
+ * @param {string|null} oldText
+ * @param {string|null} newText
+ * @returns {Array<Object>} Rows (see Row Schema)
+ */
+export function sideBySide(oldText, newText) {
+  const ops = diffLines(oldText, newText);
+  const rows = [];
+  let leftNumber = 0;
+  let rightNumber = 0;
+  let k = 0;
+
+  while (k < ops.length) {
+    if (ops[k].type === 'equal') {
+      rows.push({
+        type: 'equal',
+        left: { number: ++leftNumber, text: ops[k].text },
+        right: { number: ++rightNumber, text: ops[k].text },
+      });
+      k++;
+      continue;
+    }
+
+    // Collect a changed block: removals followed by additions
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type === 'remove') removed.push(ops[k++].text);
+    while (k < ops.length && ops[k].type === 'add') added.push(ops[k++].text);
+
+    for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+      const left = n < removed.length ? { number: ++leftNumber, text: removed[n] } : null;
+      const right = n < added.length ? { number: ++rightNumber, text: added[n] } : null;
+      rows.push({ type: left && right ? 'change' : left ? 'remove' : 'add', left, right });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Count added and removed lines
+ * @param {string|null} oldText
+ * @param {string|null} newText
+ * @returns {{ additions: number, deletions: number }}
+ */
+export function diffStats(oldText, newText) {
+  const ops = diffLines(oldText, newText);
+  return {
+    additions: ops.filter((op) => op.type === 'add').length,
+    deletions: ops.filter((op) => op.type === 'remove').length,
+  };
+}
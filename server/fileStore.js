@@ -2,6 +2,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import revisionStore from './revisionStore.js';
 
 // Lazy import to avoid circular dependency issues
 let memoryStore = null;
@@ -15,12 +16,16 @@ async function getMemoryStore() {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Workspace directory for persistent storage
-const WORKSPACE_DIR = path.join(__dirname, '..', 'workspace');
+// Workspace directory for persistent storage (WORKSPACE_DIR overrides it, e.g. for tests)
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '..', 'workspace');
 
 // In-memory cache
 const files = new Map();
 
+// Full-text search index: token -> Set of file paths containing it
+const searchIndex = new Map();
+const fileTokens = new Map(); // filePath -> Set of tokens indexed for it
+
 let ideaCounter = 1;
 
 // Template files for a new idea
@@ -102,6 +107,52 @@ function getIdeaTemplate(ideaName) {
   };
 }
 
+// Split text into lowercase word tokens for search
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1);
+}
+
+// Remove a file's tokens from the search index
+function unindexFile(filePath) {
+  for (const token of fileTokens.get(filePath) || []) {
+    const paths = searchIndex.get(token);
+    paths.delete(filePath);
+    if (paths.size === 0) searchIndex.delete(token);
+  }
+  fileTokens.delete(filePath);
+}
+
+// Add a file's tokens to the search index
+function indexFile(filePath, content) {
+  unindexFile(filePath);
+  // Path segments are searchable too (idea and file names)
+  const tokens = new Set(tokenize(`${filePath} ${content}`));
+  for (const token of tokens) {
+    if (!searchIndex.has(token)) searchIndex.set(token, new Set());
+    searchIndex.get(token).add(filePath);
+  }
+  fileTokens.set(filePath, tokens);
+}
+
+// Put a file in the in-memory cache and search index
+function putFile(filePath, content) {
+  files.set(filePath, content);
+  indexFile(filePath, content);
+
+  // Keep ideaCounter at the highest idea number in the workspace
+  const match = filePath.match(/^Idea (\d+)\//);
+  if (match) ideaCounter = Math.max(ideaCounter, parseInt(match[1], 10));
+}
+
+// Remove a file from the in-memory cache and search index
+function removeFile(filePath) {
+  files.delete(filePath);
+  unindexFile(filePath);
+}
+
 // Ensure workspace directory exists
 function ensureWorkspaceDir() {
   if (!fs.existsSync(WORKSPACE_DIR)) {
@@ -124,29 +175,31 @@ function loadFromDisk() {
         walkDir(fullPath, relativePath);
       } else if (entry.isFile() && entry.name.endsWith('.md')) {
         const content = fs.readFileSync(fullPath, 'utf-8');
-        files.set(relativePath, content);
+        putFile(relativePath, content);
       }
     }
   }
   
   walkDir(WORKSPACE_DIR);
-  
-  // Update ideaCounter based on existing ideas
-  for (const filePath of files.keys()) {
-    const match = filePath.match(/^Idea (\d+)\//);
-    if (match) {
-      const num = parseInt(match[1], 10);
-      if (num >= ideaCounter) {
-        ideaCounter = num;
-      }
-    }
+}
+
+// Resolve a workspace path on disk, refusing any path outside the workspace
+function resolveWorkspacePath(relativePath) {
+  const fullPath = path.resolve(WORKSPACE_DIR, relativePath);
+  const relative = path.relative(WORKSPACE_DIR, fullPath);
+
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    const error = new Error(`Path is outside the workspace: ${relativePath}`);
+    error.status = 400;
+    throw error;
   }
+  return fullPath;
 }
 
 // Save a file to disk
 function saveToDisk(relativePath, content) {
   ensureWorkspaceDir();
-  const fullPath = path.join(WORKSPACE_DIR, relativePath);
+  const fullPath = resolveWorkspacePath(relativePath);
   const dir = path.dirname(fullPath);
   
   if (!fs.existsSync(dir)) {
@@ -158,7 +211,7 @@ function saveToDisk(relativePath, content) {
 
 // Delete a file from disk
 function deleteFromDisk(relativePath) {
-  const fullPath = path.join(WORKSPACE_DIR, relativePath);
+  const fullPath = resolveWorkspacePath(relativePath);
   if (fs.existsSync(fullPath)) {
     fs.unlinkSync(fullPath);
   }
@@ -173,7 +226,7 @@ function initialize() {
     console.log('[FileStore] No existing files found, creating Idea 1...');
     const initialIdea = getIdeaTemplate('Idea 1');
     for (const [filePath, content] of Object.entries(initialIdea)) {
-      files.set(filePath, content);
+      putFile(filePath, content);
       saveToDisk(filePath, content);
     }
   } else {
@@ -253,26 +306,58 @@ async function handleAssumptionUpdate(filePath, content) {
   }
 }
 
-/** Set file content (create or update) - persists to disk */
-function setFile(filePath, content) {
-  files.set(filePath, content);
+/**
+ * Set file content (create or update) - persists to disk and records a revision
+ * @param {string} filePath
+ * @param {string} content
+ * @param {{ author?: 'user' | 'agent' | 'system', sessionId?: string, restoredFrom?: string }} origin - Who made the change
+ * @returns {{ before: string|null, after: string }} Revision IDs of the old and new content (before is null for new files)
+ * @throws {Error} With status 400 if the path is outside the workspace
+ */
+function setFile(filePath, content, origin = {}) {
+  resolveWorkspacePath(filePath); // Throws before anything is recorded
+  const previous = getFile(filePath);
+  const before = previous === null ? null : revisionStore.ensureBaseline(filePath, previous);
+  const revision = revisionStore.recordRevision(filePath, content, origin);
+  putFile(filePath, content);
   saveToDisk(filePath, content);
 
   // Hook: Track assumptions
   if (filePath.includes('assumptions.md')) {
     handleAssumptionUpdate(filePath, content);
   }
+
+  return { before, after: revision?.id || before };
+}
+
+/**
+ * Delete a file - removes it from disk (its revision log is kept)
+ * @param {string} filePath
+ * @returns {{ before: string, after: null }|null} Revision ID of the deleted content, or null if there was no such file
+ */
+function deleteFile(filePath) {
+  const previous = getFile(filePath);
+  if (previous === null) return null;
+
+  const before = revisionStore.ensureBaseline(filePath, previous);
+  removeFile(filePath);
+  deleteFromDisk(filePath);
+  return { before, after: null };
 }
 
 /** Rename a file or folder - persists to disk */
 function rename(oldPath, newPath) {
+  resolveWorkspacePath(oldPath);
+  resolveWorkspacePath(newPath);
+
   // Check if it's a file rename
   if (files.has(oldPath)) {
     const content = files.get(oldPath);
-    files.delete(oldPath);
+    removeFile(oldPath);
     deleteFromDisk(oldPath);
-    files.set(newPath, content);
+    putFile(newPath, content);
     saveToDisk(newPath, content);
+    revisionStore.renameLog(oldPath, newPath);
     return { renamed: [{ from: oldPath, to: newPath }] };
   }
 
@@ -292,24 +377,41 @@ function rename(oldPath, newPath) {
   for (const filePath of toRename) {
     const content = files.get(filePath);
     const updatedPath = newPrefix + filePath.slice(oldPrefix.length);
-    files.delete(filePath);
+    removeFile(filePath);
     deleteFromDisk(filePath);
-    files.set(updatedPath, content);
+    putFile(updatedPath, content);
     saveToDisk(updatedPath, content);
+    revisionStore.renameLog(filePath, updatedPath);
     renamed.push({ from: filePath, to: updatedPath });
   }
 
   return { renamed };
 }
 
-/** Create a new idea with template files. Returns the idea name. */
-function createIdea() {
-  ideaCounter++;
-  const ideaName = `Idea ${ideaCounter}`;
+/**
+ * Create a new idea with template files
+ * @param {{ getFile: Function, setFile: Function }} files - Optional file view to write through (e.g. an agent's,
+ *   which logs revisions or stages the files for review); by default the files are written directly
+ * @returns {string} The idea name
+ */
+function createIdea(files = null) {
+  // The idea number only counts once the files are written (see putFile), so staged
+  // ideas that are rejected leave no gap; skip names the view already has files for
+  const view = files || { getFile };
+  let number = ideaCounter + 1;
+  while (Object.keys(getIdeaTemplate(`Idea ${number}`)).some((filePath) => view.getFile(filePath) !== null)) {
+    number++;
+  }
+
+  const ideaName = `Idea ${number}`;
   const template = getIdeaTemplate(ideaName);
   for (const [filePath, content] of Object.entries(template)) {
-    files.set(filePath, content);
-    saveToDisk(filePath, content);
+    if (files) {
+      files.setFile(filePath, content);
+    } else {
+      putFile(filePath, content);
+      saveToDisk(filePath, content);
+    }
   }
   return ideaName;
 }
@@ -326,11 +428,82 @@ function getFolderPriority(name) {
   return folderOrder[name] ?? 100;
 }
 
-/** Build a nested tree structure for the sidebar */
-function getTree() {
+/**
+ * Full-text search across workspace files.
+ * Every query token must prefix-match a word in the file; matching lines are
+ * ranked by how many query tokens they contain, with a bonus for the exact phrase.
+ * @param {string} query
+ * @param {{ limit?: number, filter?: (path: string) => boolean }} options - filter: only search the paths it accepts
+ * @returns {Array<{ path: string, line: number, snippet: string, score: number }>}
+ */
+function search(query, { limit = 20, filter } = {}) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) return [];
+
+  const phrase = query.trim().toLowerCase();
+
+  // Candidate files: those containing a word starting with every query token
+  let candidates = null;
+  for (const queryToken of queryTokens) {
+    const matching = new Set();
+    for (const [token, paths] of searchIndex) {
+      if (token.startsWith(queryToken)) {
+        for (const filePath of paths) matching.add(filePath);
+      }
+    }
+    candidates = candidates
+      ? new Set([...candidates].filter((p) => matching.has(p)))
+      : matching;
+    if (candidates.size === 0) return [];
+  }
+
+  const hits = [];
+  for (const filePath of candidates) {
+    if (filter && !filter(filePath)) continue;
+    const lines = files.get(filePath).split('\n');
+
+    lines.forEach((text, index) => {
+      const lineTokens = tokenize(text);
+      const matched = queryTokens.filter((qt) => lineTokens.some((t) => t.startsWith(qt)));
+      if (matched.length === 0) return;
+
+      const lower = text.toLowerCase();
+      let score = matched.length / queryTokens.length;
+      if (queryTokens.length > 1 && lower.includes(phrase)) score += 1;
+      if (text.trimStart().startsWith('#')) score += 0.25;
+
+      hits.push({
+        path: filePath,
+        line: index + 1,
+        snippet: makeSnippet(text, lower.indexOf(matched[0])),
+        score: Math.round(score * 100) / 100,
+      });
+    });
+  }
+
+  hits.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path) || a.line - b.line);
+  return hits.slice(0, limit);
+}
+
+// Trim a line to a snippet around the first match
+function makeSnippet(text, matchIndex, maxLength = 160) {
+  const trimmed = text.trim();
+  if (trimmed.length <= maxLength) return trimmed;
+
+  const offset = text.length - text.trimStart().length;
+  const start = Math.max(0, Math.min(matchIndex - offset - 40, trimmed.length - maxLength));
+  const snippet = trimmed.slice(start, start + maxLength);
+  return `${start > 0 ? '…' : ''}${snippet}${start + maxLength < trimmed.length ? '…' : ''}`;
+}
+
+/**
+ * Build a nested tree structure for the sidebar
+ * @param {{ filter?: (path: string) => boolean }} options - filter: only include the files it accepts
+ */
+function getTree({ filter } = {}) {
   const root = { name: 'Workspace', type: 'root', children: [] };
 
-  const sortedPaths = [...files.keys()].sort();
+  const sortedPaths = [...files.keys()].filter((filePath) => !filter || filter(filePath)).sort();
 
   for (const filePath of sortedPaths) {
     const parts = filePath.split('/');
@@ -394,9 +567,9 @@ function getTree() {
   return root;
 }
 
-/** Get a plain-text file tree representation for agents */
-function getTreeText() {
-  const tree = getTree();
+/** Get a plain-text file tree representation for agents (options as for getTree) */
+function getTreeText(options) {
+  const tree = getTree(options);
   const lines = [];
 
   function walk(node, indent = '') {
@@ -421,4 +594,4 @@ function getTreeText() {
   return lines.join('\n');
 }
 
-export default { getAll, getFile, setFile, getTree, getTreeText, rename, createIdea };
+export default { getAll, getFile, setFile, deleteFile, getTree, getTreeText, rename, createIdea, search };
@@ -5,6 +5,8 @@ import fileStore from './fileStore.js';
 import aiClient from './aiClient.js';
 import memoryStore from './memoryStore.js';
 import conversationStore from './conversationStore.js';
+import revisionStore from './revisionStore.js';
+import { sideBySide } from './diff.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -19,6 +21,67 @@ app.get('/api/files', (_req, res) => {
   res.json({ tree: fileStore.getTree() });
 });
 
+// ===== File History =====
+// The revision ID comes before the file path, so no file or folder name can be mistaken for it
+
+// GET /api/history/*path -- list a file's revisions, newest first
+app.get('/api/history/*path', (req, res) => {
+  const pathParam = req.params.path;
+  const filePath = Array.isArray(pathParam) ? pathParam.join('/') : pathParam;
+  res.json({ path: filePath, revisions: revisionStore.getRevisions(filePath) });
+});
+
+// GET /api/revision/:revisionId/*path -- get a revision with its content
+app.get('/api/revision/:revisionId/*path', (req, res) => {
+  const pathParam = req.params.path;
+  const filePath = Array.isArray(pathParam) ? pathParam.join('/') : pathParam;
+  const revision = revisionStore.getRevision(filePath, req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ error: `Revision not found: ${req.params.revisionId}` });
+  }
+  res.json({ path: filePath, ...revision });
+});
+
+// GET /api/diff/:revisionId/*path?to=<revisionId> -- side-by-side diff (defaults to the current content)
+app.get('/api/diff/:revisionId/*path', (req, res) => {
+  const pathParam = req.params.path;
+  const filePath = Array.isArray(pathParam) ? pathParam.join('/') : pathParam;
+  const from = revisionStore.getRevision(filePath, req.params.revisionId);
+  if (!from) {
+    return res.status(404).json({ error: `Revision not found: ${req.params.revisionId}` });
+  }
+
+  let toContent = fileStore.getFile(filePath);
+  if (req.query.to) {
+    const to = revisionStore.getRevision(filePath, req.query.to);
+    if (!to) {
+      return res.status(404).json({ error: `Revision not found: ${req.query.to}` });
+    }
+    toContent = to.content;
+  }
+
+  res.json({ path: filePath, from: from.id, to: req.query.to || 'current', rows: sideBySide(from.content, toContent) });
+});
+
+// POST /api/restore/:revisionId/*path -- write a revision back as the current content
+app.post('/api/restore/:revisionId/*path', (req, res) => {
+  const pathParam = req.params.path;
+  const filePath = Array.isArray(pathParam) ? pathParam.join('/') : pathParam;
+  const revision = revisionStore.getRevision(filePath, req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ error: `Revision not found: ${req.params.revisionId}` });
+  }
+
+  try {
+    fileStore.setFile(filePath, revision.content, { author: 'user', restoredFrom: revision.id });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  res.json({ path: filePath, content: revision.content, ok: true });
+});
+
+// ===== File Content =====
+
 // GET /api/files/*path -- returns file content
 app.get('/api/files/*path', (req, res) => {
   const pathParam = req.params.path;
@@ -40,7 +103,11 @@ app.put('/api/files/*path', (req, res) => {
     return res.status(400).json({ error: 'content is required' });
   }
   
-  fileStore.setFile(filePath, content);
+  try {
+    fileStore.setFile(filePath, content);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
   res.json({ path: filePath, ok: true });
 });
 
@@ -52,8 +119,11 @@ app.post('/api/files/rename', (req, res) => {
     return res.status(400).json({ error: 'oldPath and newPath are required' });
   }
   
-  const result = fileStore.rename(oldPath, newPath);
-  res.json(result);
+  try {
+    res.json(fileStore.rename(oldPath, newPath));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 // POST /api/ideas -- create a new idea
@@ -62,6 +132,17 @@ app.post('/api/ideas', (_req, res) => {
   res.json({ ideaName });
 });
 
+// GET /api/search?q=... -- full-text search across workspace files
+app.get('/api/search', (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  res.json({ query, results: fileStore.search(query, { limit }) });
+});
+
 // ===== Chat Sessions =====
 
 // GET /api/sessions -- list all chat sessions
@@ -76,6 +157,18 @@ app.post('/api/sessions', (req, res) => {
   res.json(session);
 });
 
+// POST /api/sessions/:sessionId/fork -- start a new session from a copy of this one up to a message
+app.post('/api/sessions/:sessionId/fork', (req, res) => {
+  const { sessionId } = req.params;
+  const { messageId } = req.body || {};
+
+  try {
+    res.json(aiClient.forkSession(sessionId, messageId || null));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // DELETE /api/sessions/:sessionId -- delete a chat session
 app.delete('/api/sessions/:sessionId', (req, res) => {
   const { sessionId } = req.params;
@@ -83,60 +176,244 @@ app.delete('/api/sessions/:sessionId', (req, res) => {
   res.json({ ok: true });
 });
 
-// PUT /api/sessions/:sessionId -- update session (e.g., rename)
+// PUT /api/sessions/:sessionId -- update session (rename, pick provider/model optionally per mode, toggle edit review)
 app.put('/api/sessions/:sessionId', (req, res) => {
   const { sessionId } = req.params;
-  const { title } = req.body;
-  const session = aiClient.updateSession(sessionId, { title });
+  const { title, provider, model, mode, reviewEdits } = req.body;
+
+  let session;
+  try {
+    session = aiClient.updateSession(sessionId, { title, provider, model, mode, reviewEdits });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
   res.json(session);
 });
 
-// POST /api/chat -- send message to a session (with SSE for status updates)
+// GET /api/sessions/:sessionId/messages -- get a session's persisted transcript
+app.get('/api/sessions/:sessionId/messages', (req, res) => {
+  const { sessionId } = req.params;
+  const messages = aiClient.getMessages(sessionId);
+  if (!messages) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json({ messages });
+});
+
+// POST /api/sessions/:sessionId/messages/:messageId/revert -- undo the file changes of a chat turn
+app.post('/api/sessions/:sessionId/messages/:messageId/revert', (req, res) => {
+  const { sessionId, messageId } = req.params;
+  const { force } = req.body || {};
+
+  try {
+    const event = aiClient.revertTurn(sessionId, messageId, { force: Boolean(force) });
+    res.json({ ok: true, message: event });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, conflicts: err.conflicts });
+  }
+});
+
+// POST /api/sessions/:sessionId/messages/:messageId/select -- show the branch through a message
+app.post('/api/sessions/:sessionId/messages/:messageId/select', (req, res) => {
+  const { sessionId, messageId } = req.params;
+
+  try {
+    res.json({ messages: aiClient.selectBranch(sessionId, messageId) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/sessions/:sessionId/history -- export a session's model history (canonical format)
+app.get('/api/sessions/:sessionId/history', (req, res) => {
+  const { sessionId } = req.params;
+  const history = aiClient.getHistory(sessionId);
+  if (!history) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json({ sessionId, history });
+});
+
+// GET /api/sessions/:sessionId/changes -- list agent edits awaiting review
+app.get('/api/sessions/:sessionId/changes', (req, res) => {
+  const { sessionId } = req.params;
+  res.json({ changes: aiClient.getPendingChanges(sessionId) });
+});
+
+// GET /api/sessions/:sessionId/changes/*path -- get a pending edit with its side-by-side diff
+app.get('/api/sessions/:sessionId/changes/*path', (req, res) => {
+  const { sessionId } = req.params;
+  const pathParam = req.params.path;
+  const filePath = Array.isArray(pathParam) ? pathParam.join('/') : pathParam;
+  const change = aiClient.getPendingChange(sessionId, filePath);
+  if (!change) {
+    return res.status(404).json({ error: `No pending change for ${filePath}` });
+  }
+  res.json(change);
+});
+
+// POST /api/sessions/:sessionId/changes/accept -- apply a pending edit to the workspace
+app.post('/api/sessions/:sessionId/changes/accept', (req, res) => {
+  const { sessionId } = req.params;
+  const { path: filePath } = req.body;
+
+  if (!filePath) {
+    return res.status(400).json({ error: 'path is required' });
+  }
+
+  let change;
+  try {
+    change = aiClient.acceptChange(sessionId, filePath);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  if (!change) {
+    return res.status(404).json({ error: `No pending change for ${filePath}` });
+  }
+  res.json({ ok: true, change });
+});
+
+// POST /api/sessions/:sessionId/changes/reject -- discard a pending edit
+app.post('/api/sessions/:sessionId/changes/reject', (req, res) => {
+  const { sessionId } = req.params;
+  const { path: filePath } = req.body;
+
+  if (!filePath) {
+    return res.status(400).json({ error: 'path is required' });
+  }
+
+  if (!aiClient.rejectChange(sessionId, filePath)) {
+    return res.status(404).json({ error: `No pending change for ${filePath}` });
+  }
+  res.json({ ok: true });
+});
+
+// Chat turns in progress: session ID -> { controller, done, finish }
+const runningTurns = new Map();
+
+// Register a session's chat turn as running
+function startRunningTurn(sessionId, controller) {
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+  const turn = { controller, done, finish };
+  runningTurns.set(sessionId, turn);
+  return turn;
+}
+
+// Mark a chat turn as finished (its reply, if any, is recorded)
+function endRunningTurn(sessionId, turn) {
+  if (runningTurns.get(sessionId) === turn) runningTurns.delete(sessionId);
+  turn.finish();
+}
+
+// POST /api/chat -- send message to a session (with SSE for status updates and reply deltas)
 app.post('/api/chat', async (req, res) => {
-  const { sessionId, message, stream, mode } = req.body;
+  const { sessionId, message, stream, mode, allowEdits, rounds, saveDecision, branchFrom } = req.body;
 
-  if (!sessionId || !message) {
+  // Regenerating a reply (branchFrom = an agent message) needs no new text
+  if (!sessionId || (!message && !branchFrom)) {
     return res.status(400).json({ error: 'sessionId and message are required' });
   }
 
   // Default to 'copilot' mode if not specified
   const agentMode = mode || 'copilot';
 
-  // If stream mode, use Server-Sent Events
-  if (stream) {
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
-
-    const onStatus = (status) => {
-      res.write(`data: ${JSON.stringify({ type: 'status', status })}\n\n`);
-    };
-
-    try {
-      const result = await aiClient.chat(sessionId, message, onStatus, agentMode);
-      res.write(`data: ${JSON.stringify({ type: 'done', ...result })}\n\n`);
-      res.end();
-    } catch (err) {
-      console.error(`Chat error [${sessionId}]:`, err);
-      res.write(`data: ${JSON.stringify({ type: 'error', error: err.message })}\n\n`);
-      res.end();
-    }
-  } else {
-    // Non-streaming mode (backwards compatible)
-    try {
-      const result = await aiClient.chat(sessionId, message, null, agentMode);
-      res.json(result);
-    } catch (err) {
-      console.error(`Chat error [${sessionId}]:`, err);
-      res.status(500).json({ error: err.message || 'Internal server error' });
+  // Stop the tool loop and the model call when the client goes away (e.g. the Stop button)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  // Let the stop endpoint find the turn and wait for it to be recorded
+  const turn = startRunningTurn(sessionId, controller);
+
+  try {
+    // If stream mode, use Server-Sent Events
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+
+      const onStatus = (status) => {
+        res.write(`data: ${JSON.stringify({ type: 'status', status })}\n\n`);
+      };
+
+      const onDelta = (text) => {
+        res.write(`data: ${JSON.stringify({ type: 'delta', text })}\n\n`);
+      };
+
+      const onChange = (change) => {
+        res.write(`data: ${JSON.stringify({ type: 'change', change })}\n\n`);
+      };
+
+      // Debate mode: a new speaker's turn starts
+      const onSpeaker = (speaker) => {
+        res.write(`data: ${JSON.stringify({ type: 'speaker', ...speaker })}\n\n`);
+      };
+
+      try {
+        const result = await aiClient.chat(sessionId, message, {
+          mode: agentMode,
+          allowEdits: Boolean(allowEdits),
+          rounds,
+          saveDecision: Boolean(saveDecision),
+          onStatus,
+          onDelta,
+          onChange,
+          onSpeaker,
+          signal: controller.signal,
+          branchFrom,
+        });
+        res.write(`data: ${JSON.stringify({ type: 'done', ...result })}\n\n`);
+        res.end();
+      } catch (err) {
+        console.error(`Chat error [${sessionId}]:`, err);
+        res.write(`data: ${JSON.stringify({ type: 'error', error: err.message })}\n\n`);
+        res.end();
+      }
+    } else {
+      // Non-streaming mode (backwards compatible)
+      try {
+        const result = await aiClient.chat(sessionId, message, {
+          mode: agentMode,
+          allowEdits: Boolean(allowEdits),
+          rounds,
+          saveDecision: Boolean(saveDecision),
+          signal: controller.signal,
+          branchFrom,
+        });
+        res.json(result);
+      } catch (err) {
+        console.error(`Chat error [${sessionId}]:`, err);
+        res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+      }
     }
+  } finally {
+    endRunningTurn(sessionId, turn);
   }
 });
 
+// POST /api/sessions/:sessionId/stop -- stop the session's running chat turn;
+// responds once the stopped reply is recorded, so the transcript can be reloaded with it
+app.post('/api/sessions/:sessionId/stop', async (req, res) => {
+  const turn = runningTurns.get(req.params.sessionId);
+  if (!turn) {
+    return res.json({ ok: true, stopped: false });
+  }
+
+  turn.controller.abort();
+  await turn.done;
+  res.json({ ok: true, stopped: true });
+});
+
 // POST /api/chat/clear -- clear a session's chat history
 app.post('/api/chat/clear', (req, res) => {
   const { sessionId } = req.body;
@@ -147,11 +424,32 @@ app.post('/api/chat/clear', (req, res) => {
   res.json({ ok: true });
 });
 
-// GET /api/provider -- get current AI provider info
+// GET /api/modes -- list agent modes (built-in and workspace/modes/*.json)
+app.get('/api/modes', (_req, res) => {
+  res.json({ modes: aiClient.getModes() });
+});
+
+// GET /api/commands -- list the chat's slash commands (see commands.js)
+app.get('/api/commands', (_req, res) => {
+  res.json({ commands: aiClient.getCommands() });
+});
+
+// GET /api/provider -- get default AI provider info and selectable providers/models
 app.get('/api/provider', (_req, res) => {
   res.json(aiClient.getProviderInfo());
 });
 
+// GET /api/usage?sessionId=...&since=... -- token usage and cost by session, mode, idea and model
+app.get('/api/usage', (req, res) => {
+  const sessionId = typeof req.query.sessionId === 'string' ? req.query.sessionId : null;
+  const since = typeof req.query.since === 'string' ? req.query.since : null;
+
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be a date' });
+  }
+  res.json(aiClient.getUsage({ sessionId, since: since && new Date(since).toISOString() }));
+});
+
 // ===== Memory Bank =====
 
 // GET /api/memory -- list all memories (with optional filters)
@@ -285,6 +583,11 @@ app.post('/api/conversations/:id/complete', (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Ekpa server running on http://localhost:${PORT}`);
-});
+// Tests import the app and listen on their own port
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    console.log(`Ekpa server running on http://localhost:${PORT}`);
+  });
+}
+
+export default app;
@@ -10,11 +10,14 @@ const __dirname = path.dirname(__filename);
 const memories = new Map();
 
 // Workspace paths
-const WORKSPACE_DIR = path.join(__dirname, '../workspace');
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
 const MEMORY_DIR = path.join(WORKSPACE_DIR, 'memory');
 const MEMORY_JSON_PATH = path.join(MEMORY_DIR, 'memory_bank.json');
 const MEMORY_MD_PATH = path.join(MEMORY_DIR, 'memory_bank.md');
 
+// Kinds of memory items
+const MEMORY_TYPES = ['ASSUMPTION', 'DECISION', 'CUSTOMER_CONVO', 'EVIDENCE', 'CONTRADICTION', 'LESSON', 'MILESTONE'];
+
 /**
  * MemoryItem Schema:
  * {
@@ -225,13 +228,17 @@ function updateMemory(id, updates) {
 }
 
 // Retrieve relevant memories based on query and context
+// (matchingOnly: leave out memories that share no words with the query)
 function retrieveMemory(query, context = {}) {
-  const { activeIdeas = [], maxResults = 15 } = context;
+  const { activeIdeas = [], maxResults = 15, matchingOnly = false } = context;
   const queryTokens = tokenize(query.toLowerCase());
   const allMemories = Array.from(memories.values());
+  const candidates = matchingOnly
+    ? allMemories.filter(mem => getMemoryTokens(mem).some(t => queryTokens.includes(t)))
+    : allMemories;
 
   // Score each memory
-  const scored = allMemories.map(mem => ({
+  const scored = candidates.map(mem => ({
     memory: mem,
     score: calculateRelevanceScore(mem, queryTokens, activeIdeas)
   }));
@@ -263,8 +270,7 @@ function calculateRelevanceScore(memory, queryTokens, activeIdeas) {
   score += recencyDecay * 0.2;
 
   // Token overlap (0.3 weight)
-  const memoryText = `${memory.summary} ${memory.details || ''}`.toLowerCase();
-  const memoryTokens = tokenize(memoryText);
+  const memoryTokens = getMemoryTokens(memory);
   const overlap = queryTokens.filter(qt => memoryTokens.includes(qt)).length;
   const tokenOverlap = queryTokens.length > 0 ? overlap / queryTokens.length : 0;
   score += tokenOverlap * 0.3;
@@ -280,6 +286,11 @@ function calculateRelevanceScore(memory, queryTokens, activeIdeas) {
   return score;
 }
 
+// Words of a memory's summary and details
+function getMemoryTokens(memory) {
+  return tokenize(`${memory.summary} ${memory.details || ''}`.toLowerCase());
+}
+
 // Simple tokenizer
 function tokenize(text) {
   return text
@@ -293,6 +304,7 @@ function tokenize(text) {
 init();
 
 export default {
+  MEMORY_TYPES,
   createMemory,
   getAllMemories,
   getMemory,
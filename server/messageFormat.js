@@ -0,0 +1,101 @@
+/**
+ * Canonical conversation history format.
+ *
+ * Histories are stored in this provider-neutral shape so a session can move
+ * between providers and be exported or inspected without knowing which model
+ * produced it. Each provider translates to and from its own wire format.
+ *
+ * Message Schema:
+ * {
+ *   role: "user" | "assistant" | "tool",
+ *   content: Block[]
+ * }
+ *
+ * Block Schema (one of):
+ *   { type: "text", text: string }
+ *   { type: "tool_call", id: string, name: string, args: Object, signature?: string }
+ *   { type: "tool_result", id: string, name: string, result: Object }
+ *
+ * `signature` carries opaque provider data that must be echoed back with the
+ * call (e.g. Gemini thought signatures).
+ */
+
+const ROLES = ['user', 'assistant', 'tool'];
+const BLOCK_TYPES = ['text', 'tool_call', 'tool_result'];
+
+/**
+ * Build a user message
+ * @param {string} text
+ * @returns {{ role: 'user', content: Array }}
+ */
+export function createUserMessage(text) {
+  return { role: 'user', content: [{ type: 'text', text }] };
+}
+
+/**
+ * Build an assistant message from text and tool calls
+ * @param {string} text
+ * @param {Array} toolCalls - Array of { id, name, args }
+ * @returns {{ role: 'assistant', content: Array }}
+ */
+export function createAssistantMessage(text, toolCalls = []) {
+  const content = [];
+  if (text) content.push({ type: 'text', text });
+  for (const call of toolCalls) {
+    content.push({ type: 'tool_call', id: call.id, name: call.name, args: call.args || {} });
+  }
+  return { role: 'assistant', content };
+}
+
+/**
+ * Build a tool message holding the results of one or more tool calls
+ * @param {Array} results - Array of { id, name, result }
+ * @returns {{ role: 'tool', content: Array }}
+ */
+export function createToolResultsMessage(results) {
+  return {
+    role: 'tool',
+    content: results.map((r) => ({
+      type: 'tool_result',
+      id: r.id,
+      name: r.name,
+      result: r.result,
+    })),
+  };
+}
+
+/**
+ * Get the text of a message (text blocks joined by newlines)
+ * @param {Object} message
+ * @returns {string}
+ */
+export function getText(message) {
+  return message.content
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('\n');
+}
+
+/**
+ * Get the tool calls of a message
+ * @param {Object} message
+ * @returns {Array} - Array of { id, name, args }
+ */
+export function getToolCalls(message) {
+  return message.content
+    .filter((block) => block.type === 'tool_call')
+    .map((block) => ({ id: block.id, name: block.name, args: block.args }));
+}
+
+/**
+ * Check whether a message is in the canonical format
+ * @param {Object} message
+ * @returns {boolean}
+ */
+export function isCanonicalMessage(message) {
+  return (
+    ROLES.includes(message?.role) &&
+    Array.isArray(message.content) &&
+    message.content.every((block) => BLOCK_TYPES.includes(block?.type))
+  );
+}
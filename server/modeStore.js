@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// User-defined agent modes (in-memory Map + disk, one JSON file per mode)
+const modes = new Map();
+let loadedVersion = null; // Version (see getVersion) of the mode files in the Map
+let exampleChecked = false; // Whether the first listing has looked for mode files yet
+
+// Workspace paths
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
+const MODES_DIR = path.join(WORKSPACE_DIR, 'modes');
+
+/**
+ * Mode file schema (workspace/modes/{id}.json):
+ * {
+ *   label: string,              // Shown in the mode toggle
+ *   description?: string,
+ *   color?: string,             // blue | red | emerald | amber | violet | gray
+ *   systemPrompt: string,
+ *   outputStructure?: string,   // Appended to the prompt as the required answer format
+ *   tools?: string[] | null,    // Allowed tool names (default: all)
+ *   readOnly?: boolean,         // Only read-only tools (default: false)
+ *   paths?: string[],           // Allowed path globs (default: ["**"])
+ *   provider?: string,          // Default provider/model for this mode
+ *   model?: string
+ * }
+ *
+ * The file name (without .json) is the mode ID. Files are re-read when they
+ * change, so edits apply without a restart.
+ */
+
+const EXAMPLE_MODE = {
+  label: 'Investor',
+  description: 'A seed investor deciding whether to take a second meeting',
+  color: 'emerald',
+  systemPrompt: `You are a seed-stage investor reviewing an idea in the Ekpa workspace.
+Judge it the way you would in a partner meeting: market size, why now, team-market fit, traction and the riskiest assumption.
+Read the idea's research, MVP and customer files before answering. Be concise and specific; no generic advice.`,
+  outputStructure: `1. **Verdict** - Take a second meeting? (yes / no / not yet)
+2. **What excites me**
+3. **What worries me**
+4. **What would change my mind** - concrete evidence to bring next time`,
+  readOnly: true,
+};
+
+// Write the example mode if there are no mode files yet, the first time modes are listed
+function ensureExampleMode() {
+  if (exampleChecked) return;
+  exampleChecked = true;
+
+  const hasModes = fs.existsSync(MODES_DIR) && fs.readdirSync(MODES_DIR).some((fileName) => fileName.endsWith('.json'));
+  if (!hasModes) {
+    fs.mkdirSync(MODES_DIR, { recursive: true });
+    fs.writeFileSync(path.join(MODES_DIR, 'investor.json'), JSON.stringify(EXAMPLE_MODE, null, 2), 'utf-8');
+  }
+}
+
+// Version of the mode files: changes when a file is added, removed or renamed (the
+// directory's mtime) or edited in place (its own mtime)
+function getVersion() {
+  if (!fs.existsSync(MODES_DIR)) return null;
+
+  const fileTimes = fs.readdirSync(MODES_DIR)
+    .filter((fileName) => fileName.endsWith('.json'))
+    .map((fileName) => `${fileName}:${fs.statSync(path.join(MODES_DIR, fileName)).mtimeMs}`);
+  return [fs.statSync(MODES_DIR).mtimeMs, ...fileTimes].join('|');
+}
+
+// Reload the mode files if they changed since the last load
+function refresh() {
+  if (getVersion() !== loadedVersion) loadFromDisk();
+}
+
+// Check a parsed mode file, returning an error message or null
+function validateMode(data) {
+  if (!data || typeof data !== 'object') return 'not a JSON object';
+  if (typeof data.label !== 'string' || !data.label.trim()) return 'label is required';
+  if (typeof data.systemPrompt !== 'string' || !data.systemPrompt.trim()) return 'systemPrompt is required';
+  if (data.tools != null && !Array.isArray(data.tools)) return 'tools must be an array of tool names';
+  if (data.paths != null && !Array.isArray(data.paths)) return 'paths must be an array of globs';
+  return null;
+}
+
+// Load all mode files; invalid files are skipped with a warning
+function loadFromDisk() {
+  modes.clear();
+  loadedVersion = getVersion(); // Before reading, so a change during the load triggers another
+  if (!fs.existsSync(MODES_DIR)) return;
+
+  for (const fileName of fs.readdirSync(MODES_DIR)) {
+    if (!fileName.endsWith('.json')) continue;
+    const id = fileName.slice(0, -'.json'.length);
+
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(MODES_DIR, fileName), 'utf-8'));
+      const error = validateMode(data);
+      if (error) {
+        console.warn(`Skipping agent mode ${fileName}: ${error}`);
+        continue;
+      }
+
+      modes.set(id, {
+        id,
+        label: data.label,
+        description: data.description || '',
+        color: data.color || 'gray',
+        systemPrompt: data.outputStructure
+          ? `${data.systemPrompt}\n\nOutput structure:\n${data.outputStructure}`
+          : data.systemPrompt,
+        permissions: {
+          readOnly: Boolean(data.readOnly),
+          tools: data.tools || null,
+          paths: data.paths || ['**'],
+        },
+        provider: data.provider || null,
+        model: data.model || null,
+      });
+    } catch (error) {
+      console.warn(`Skipping agent mode ${fileName}: ${error.message}`);
+    }
+  }
+}
+
+// Get all user-defined modes (re-read from disk if changed)
+function getModes() {
+  ensureExampleMode();
+  refresh();
+  return Array.from(modes.values());
+}
+
+// Get a user-defined mode by ID (re-read from disk if changed)
+function getMode(modeId) {
+  refresh();
+  return modes.get(modeId) || null;
+}
+
+// Initialize on module load
+loadFromDisk();
+
+export default {
+  getModes,
+  getMode,
+  loadFromDisk,
+};
@@ -0,0 +1,188 @@
+/**
+ * Partial file edits for agent tools.
+ *
+ * Two patch formats are supported:
+ *
+ *   Search/replace hunks:
+ *     [{ search: "exact existing text", replace: "new text" }, ...]
+ *   Each `search` must occur exactly once in the file; hunks apply in order.
+ *
+ *   Unified diff (the body of `diff -u`, file headers optional):
+ *     @@ -3,2 +3,3 @@
+ *      context line
+ *     -removed line
+ *     +added line
+ *
+ * A patch either applies completely or not at all. Failures throw a PatchError
+ * whose message tells the model what to fix (usually: re-read the file).
+ */
+
+export class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+// Count non-overlapping occurrences of a substring
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + search.length);
+  }
+  return count;
+}
+
+// Shorten text for error messages
+function preview(text, maxLength = 80) {
+  const oneLine = text.replace(/\n/g, '\\n');
+  return oneLine.length > maxLength ? `${oneLine.slice(0, maxLength)}…` : oneLine;
+}
+
+/**
+ * Apply search/replace hunks to file content
+ * @param {string} content
+ * @param {Array<{ search: string, replace: string }>} edits
+ * @returns {string} Patched content
+ * @throws {PatchError} If a hunk is malformed, missing or ambiguous
+ */
+export function applyEdits(content, edits) {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    throw new PatchError('edits must be a non-empty array of { search, replace } objects');
+  }
+
+  let result = content;
+
+  edits.forEach((edit, i) => {
+    const label = `Edit ${i + 1}`;
+
+    if (typeof edit?.search !== 'string' || typeof edit?.replace !== 'string') {
+      throw new PatchError(`${label}: search and replace must both be strings`);
+    }
+    if (edit.search === '') {
+      throw new PatchError(`${label}: search must not be empty (use append_to_file to add text at the end)`);
+    }
+
+    const count = countOccurrences(result, edit.search);
+    if (count === 0) {
+      throw new PatchError(
+        `${label}: search text not found: "${preview(edit.search)}". Read the file again and copy the text exactly.`
+      );
+    }
+    if (count > 1) {
+      throw new PatchError(
+        `${label}: search text occurs ${count} times: "${preview(edit.search)}". Include more surrounding lines so it matches once.`
+      );
+    }
+
+    // Function replacer so "$&" and friends in the replacement stay literal
+    result = result.replace(edit.search, () => edit.replace);
+  });
+
+  return result;
+}
+
+/**
+ * Parse the hunks of a unified diff
+ * @param {string} diff
+ * @returns {Array<{ oldStart: number, lines: Array<{ op: ' ' | '-' | '+', text: string }> }>}
+ */
+function parseUnifiedDiff(diff) {
+  const hunks = [];
+  let hunk = null;
+
+  for (const line of diff.replace(/\r\n/g, '\n').split('\n')) {
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+    if (header) {
+      hunk = { oldStart: parseInt(header[1], 10), lines: [] };
+      hunks.push(hunk);
+      continue;
+    }
+
+    // File headers and "\ No newline at end of file" markers carry no content
+    if (!hunk || line.startsWith('---') || line.startsWith('+++') || line.startsWith('\\')) {
+      continue;
+    }
+
+    const op = line[0];
+    if (op === ' ' || op === '-' || op === '+') {
+      hunk.lines.push({ op, text: line.slice(1) });
+    } else if (line === '') {
+      // Editors often strip the leading space of blank context lines
+      hunk.lines.push({ op: ' ', text: '' });
+    } else {
+      throw new PatchError(`Invalid diff line: "${preview(line)}" (lines must start with " ", "-" or "+")`);
+    }
+  }
+
+  // A trailing newline in the diff leaves a phantom blank context line
+  for (const h of hunks) {
+    while (h.lines.length > 0 && h.lines.at(-1).op === ' ' && h.lines.at(-1).text === '') {
+      h.lines.pop();
+    }
+  }
+
+  if (hunks.length === 0) {
+    throw new PatchError('diff contains no hunks (expected lines starting with "@@ -start,count +start,count @@")');
+  }
+
+  return hunks;
+}
+
+// Check whether `expected` matches `lines` starting at `index`
+function matchesAt(lines, expected, index) {
+  if (index < 0 || index + expected.length > lines.length) return false;
+  return expected.every((text, i) => lines[index + i] === text);
+}
+
+/**
+ * Apply a unified diff to file content.
+ * Hunks are located by their context; the line numbers in the headers are
+ * only a hint, so small offsets from earlier edits are tolerated.
+ * @param {string} content
+ * @param {string} diff
+ * @returns {string} Patched content
+ * @throws {PatchError} If the diff is malformed or a hunk does not match the file
+ */
+export function applyUnifiedDiff(content, diff) {
+  if (typeof diff !== 'string' || !diff.trim()) {
+    throw new PatchError('diff must be a non-empty string');
+  }
+
+  const hunks = parseUnifiedDiff(diff);
+  const lines = content.split('\n');
+  const output = [];
+  let cursor = 0; // Next unconsumed line of the original file
+
+  hunks.forEach((hunk, i) => {
+    const label = `Hunk ${i + 1}`;
+    const expected = hunk.lines.filter((l) => l.op !== '+').map((l) => l.text);
+    const replacement = hunk.lines.filter((l) => l.op !== '-').map((l) => l.text);
+
+    // Pure insertions at the top of the file have no context to match
+    let start = expected.length === 0 ? Math.max(cursor, hunk.oldStart) : -1;
+
+    if (expected.length > 0) {
+      // Search outward from the hinted line, never before the previous hunk
+      const hint = Math.max(cursor, hunk.oldStart - 1);
+      for (let offset = 0; start === -1 && (hint - offset >= cursor || hint + offset < lines.length); offset++) {
+        if (hint - offset >= cursor && matchesAt(lines, expected, hint - offset)) start = hint - offset;
+        else if (matchesAt(lines, expected, hint + offset)) start = hint + offset;
+      }
+    }
+
+    if (start === -1) {
+      throw new PatchError(
+        `${label} (@@ -${hunk.oldStart}) does not match the file: expected "${preview(expected.join('\n'))}". Read the file again and regenerate the diff.`
+      );
+    }
+
+    output.push(...lines.slice(cursor, start), ...replacement);
+    cursor = start + expected.length;
+  });
+
+  output.push(...lines.slice(cursor));
+  return output.join('\n');
+}
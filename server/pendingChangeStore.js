@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fileStore from './fileStore.js';
+import { sideBySide, diffStats } from './diff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Pending change storage (in-memory Map of sessionId -> Map of path -> change, + disk sync)
+const pendingChanges = new Map();
+
+// Workspace paths
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
+const PENDING_CHANGES_PATH = path.join(WORKSPACE_DIR, 'pending_changes.json');
+
+/**
+ * PendingChange Schema:
+ * {
+ *   sessionId: string,
+ *   path: string,
+ *   original: string | null,   // File content when the agent first touched it (null = new file)
+ *   proposed: string,          // Content the agent wants to write
+ *   turnId?: string,           // Agent message of the turn that last edited it; accepting the change
+ *                              // adds the write to that turn's changeset, so the turn can be reverted
+ *   createdAt: string,
+ *   updatedAt: string
+ * }
+ *
+ * While a session reviews edits, agent tools write here instead of fileStore.
+ * Further edits to the same file update `proposed` and keep `original`, so the
+ * founder reviews one diff per file.
+ */
+
+// Load pending changes from JSON file
+function loadFromDisk() {
+  try {
+    pendingChanges.clear();
+    if (fs.existsSync(PENDING_CHANGES_PATH)) {
+      const data = JSON.parse(fs.readFileSync(PENDING_CHANGES_PATH, 'utf-8'));
+      for (const change of data) {
+        getSessionChanges(change.sessionId).set(change.path, change);
+      }
+    }
+  } catch (error) {
+    console.error('Error loading pending changes from disk:', error);
+  }
+}
+
+// Save pending changes to JSON
+function saveToDisk() {
+  try {
+    const data = [...pendingChanges.values()].flatMap((changes) => [...changes.values()]);
+    fs.writeFileSync(PENDING_CHANGES_PATH, JSON.stringify(data, null, 2), 'utf-8');
+  } catch (error) {
+    console.error('Error saving pending changes to disk:', error);
+  }
+}
+
+// Get (or create) the change map of a session
+function getSessionChanges(sessionId) {
+  if (!pendingChanges.has(sessionId)) {
+    pendingChanges.set(sessionId, new Map());
+  }
+  return pendingChanges.get(sessionId);
+}
+
+// Summarize a change for lists and SSE events (without file contents)
+function toSummary(change) {
+  return {
+    sessionId: change.sessionId,
+    path: change.path,
+    isNew: change.original === null,
+    ...diffStats(change.original, change.proposed),
+    createdAt: change.createdAt,
+    updatedAt: change.updatedAt,
+  };
+}
+
+// Stage a proposed file write for a session (turnId: agent message of the turn proposing it)
+function stageChange(sessionId, filePath, proposed, turnId = null) {
+  const changes = getSessionChanges(sessionId);
+  const existing = changes.get(filePath);
+  const now = new Date().toISOString();
+
+  const change = existing
+    ? { ...existing, proposed, ...(turnId && { turnId }), updatedAt: now }
+    : {
+        sessionId,
+        path: filePath,
+        original: fileStore.getFile(filePath),
+        proposed,
+        ...(turnId && { turnId }),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+  changes.set(filePath, change);
+  saveToDisk();
+
+  return toSummary(change);
+}
+
+// Get the pending changes of a session (summaries, oldest first)
+function getChanges(sessionId) {
+  return [...(pendingChanges.get(sessionId)?.values() || [])].map(toSummary);
+}
+
+// Get one pending change with its contents and side-by-side diff
+function getChange(sessionId, filePath) {
+  const change = pendingChanges.get(sessionId)?.get(filePath);
+  if (!change) return null;
+
+  return {
+    ...toSummary(change),
+    original: change.original,
+    proposed: change.proposed,
+    rows: sideBySide(change.original, change.proposed),
+  };
+}
+
+// Remove a pending change without applying it
+function removeChange(sessionId, filePath) {
+  const changes = pendingChanges.get(sessionId);
+  if (!changes?.delete(filePath)) return false;
+
+  if (changes.size === 0) pendingChanges.delete(sessionId);
+  saveToDisk();
+  return true;
+}
+
+// Apply a pending change to fileStore, returning its summary with the turn that proposed it
+// and the revision IDs of the write ({ turnId, revisions: { before, after } }).
+// Throws if the file was changed since the agent read it, so edits are not silently lost.
+function acceptChange(sessionId, filePath) {
+  const change = pendingChanges.get(sessionId)?.get(filePath);
+  if (!change) return null;
+
+  if (fileStore.getFile(filePath) !== change.original) {
+    const error = new Error(`"${filePath}" changed since this edit was proposed. Reject it and ask the agent again.`);
+    error.status = 409;
+    throw error;
+  }
+
+  const revisions = fileStore.setFile(filePath, change.proposed, { author: 'agent', sessionId });
+  removeChange(sessionId, filePath);
+  return { ...toSummary(change), turnId: change.turnId || null, revisions };
+}
+
+// Discard all pending changes of a session (e.g. when it is deleted)
+function clearChanges(sessionId) {
+  if (pendingChanges.delete(sessionId)) saveToDisk();
+}
+
+/**
+ * Build a file view for tool handlers that stages writes for review.
+ * Reads see the session's own pending edits so the agent can build on them.
+ * @param {string} sessionId
+ * @param {Function} onChange - Called with the change summary whenever a write is staged
+ * @param {string} turnId - Optional ID of the agent message the turn will be recorded as
+ * @returns {{ getFile: Function, setFile: Function }}
+ */
+function createOverlay(sessionId, onChange = null, turnId = null) {
+  return {
+    getFile(filePath) {
+      const change = pendingChanges.get(sessionId)?.get(filePath);
+      return change ? change.proposed : fileStore.getFile(filePath);
+    },
+    setFile(filePath, content) {
+      const summary = stageChange(sessionId, filePath, content, turnId);
+      if (onChange) onChange(summary);
+    },
+  };
+}
+
+// Initialize on module load
+loadFromDisk();
+
+export default {
+  stageChange,
+  getChanges,
+  getChange,
+  removeChange,
+  acceptChange,
+  clearChanges,
+  createOverlay,
+};
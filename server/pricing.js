@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Workspace paths
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
+const PRICING_PATH = path.join(WORKSPACE_DIR, 'pricing.json');
+
+/**
+ * Price table schema (USD per million tokens, by model name):
+ * {
+ *   [model: string]: { input: number, output: number }
+ * }
+ *
+ * DEFAULT_PRICES holds the list prices of the models in the model picker.
+ * workspace/pricing.json overrides or adds models (e.g. negotiated rates, or
+ * 0 for local models). It is re-read on every lookup, so edits apply without a
+ * restart. Models without a price are reported as unpriced, not as free.
+ */
+const DEFAULT_PRICES = {
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  scripted: { input: 0, output: 0 }, // Mock provider
+};
+
+// Load price overrides; invalid entries are skipped with a warning
+function loadOverrides() {
+  if (!fs.existsSync(PRICING_PATH)) return {};
+
+  try {
+    const data = JSON.parse(fs.readFileSync(PRICING_PATH, 'utf-8'));
+    const prices = {};
+    for (const [model, price] of Object.entries(data)) {
+      if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+        console.warn(`Skipping price of ${model} in pricing.json: input and output must be numbers`);
+        continue;
+      }
+      prices[model] = { input: price.input, output: price.output };
+    }
+    return prices;
+  } catch (error) {
+    console.warn(`Ignoring pricing.json: ${error.message}`);
+    return {};
+  }
+}
+
+// Get the price table (defaults with workspace overrides)
+function getPrices() {
+  return { ...DEFAULT_PRICES, ...loadOverrides() };
+}
+
+// Get the cost in USD of tokens used with a model (null if the model has no price)
+function getCost(model, { inputTokens, outputTokens }) {
+  const price = getPrices()[model];
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+export default {
+  getPrices,
+  getCost,
+};
@@ -1,11 +1,50 @@
+import { getText } from '../messageFormat.js';
+
 /**
  * Base class for AI model providers.
  * All providers must implement the abstract methods defined here.
+ *
+ * Conversation histories are passed in and returned in the canonical format
+ * defined in messageFormat.js; each provider translates to and from its own
+ * wire format.
  */
 export default class BaseProvider {
+  /**
+   * Models offered for this provider in the model picker
+   * @type {string[]}
+   */
+  static models = [];
+
+  /**
+   * Context window sizes in tokens by model name (`default` for unlisted models)
+   * @type {Object<string, number>}
+   */
+  static contextWindows = { default: 32_000 };
+
+  /**
+   * Average characters per token of the provider's tokenizer, for estimates without one
+   * @type {number}
+   */
+  static charsPerToken = 4;
+
+  /**
+   * Get the model used when none is configured explicitly
+   * @returns {string}
+   */
+  static getDefaultModel() {
+    throw new Error('Provider must implement static getDefaultModel()');
+  }
+
+  /**
+   * Check whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  static isConfigured() {
+    return true;
+  }
+
   constructor(config = {}) {
     this.config = config;
-    this.histories = new Map();
   }
 
   /**
@@ -25,96 +64,98 @@ export default class BaseProvider {
   }
 
   /**
-   * Get tool declarations in the format required by this provider
-   * @returns {Object} Provider-specific tool declarations
+   * Get the context window of the current model in tokens (`config.contextWindow` overrides it)
+   * @returns {number}
    */
-  getToolDeclarations() {
-    throw new Error('Provider must implement getToolDeclarations()');
+  get contextWindow() {
+    const { contextWindows } = this.constructor;
+    return this.config.contextWindow || contextWindows[this.model] || contextWindows.default;
   }
 
   /**
-   * Get conversation history for an agent
-   * @param {string} agentId 
-   * @returns {Array}
+   * Estimate the prompt tokens of a request from the size of its wire format
+   * @param {Object} options
+   * @param {string} options.systemPrompt - System instruction
+   * @param {Array} options.history - Conversation history (canonical format)
+   * @param {Object} options.tools - Tool declarations
+   * @returns {number}
    */
-  getHistory(agentId) {
-    if (!this.histories.has(agentId)) {
-      this.histories.set(agentId, []);
-    }
-    return this.histories.get(agentId);
+  estimateTokens({ systemPrompt = '', history = [], tools = null }) {
+    const chars = systemPrompt.length
+      + JSON.stringify(this.toNativeMessages(history)).length
+      + (tools ? JSON.stringify(tools).length : 0);
+    return Math.ceil(chars / this.constructor.charsPerToken);
   }
 
   /**
-   * Clear conversation history for an agent
-   * @param {string} agentId 
+   * Get tool declarations in the format required by this provider
+   * @param {Array} tools - Tools from the registry (see tools/index.js)
+   * @returns {Object} Provider-specific tool declarations
    */
-  clearHistory(agentId) {
-    this.histories.set(agentId, []);
+  getToolDeclarations(tools) {
+    throw new Error('Provider must implement getToolDeclarations()');
   }
 
   /**
    * Send a message and get a response from the model
    * @param {Object} options
    * @param {string} options.systemPrompt - System instruction
-   * @param {Array} options.history - Conversation history
+   * @param {Array} options.history - Conversation history (canonical format)
    * @param {Object} options.tools - Tool declarations
-   * @returns {Promise<Object>} - { parts: Array, raw: Object }
+   * @param {AbortSignal} options.signal - Optional; cancels the HTTP call when aborted
+   * @returns {Promise<Object>} - { message: Object (canonical assistant message), usage: Object|null, raw: Object }
+   *   where usage is { inputTokens, outputTokens } as billed (null if the API did not report it)
    */
   async generateContent(options) {
     throw new Error('Provider must implement generateContent()');
   }
 
   /**
-   * Add a user message to history in provider-specific format
-   * @param {Array} history 
-   * @param {string} message 
-   */
-  addUserMessage(history, message) {
-    throw new Error('Provider must implement addUserMessage()');
-  }
-
-  /**
-   * Add an assistant/model response to history in provider-specific format
-   * @param {Array} history 
-   * @param {Object} response 
-   */
-  addAssistantMessage(history, response) {
-    throw new Error('Provider must implement addAssistantMessage()');
-  }
-
-  /**
-   * Add function/tool responses to history in provider-specific format
-   * @param {Array} history 
-   * @param {Array} functionResponses 
+   * Stream a response from the model, emitting text deltas as they arrive.
+   * Resolves to the same shape as generateContent() once the response is complete.
+   * Providers without native streaming fall back to a single delta.
+   * @param {Object} options
+   * @param {string} options.systemPrompt - System instruction
+   * @param {Array} options.history - Conversation history (canonical format)
+   * @param {Object} options.tools - Tool declarations
+   * @param {Function} options.onDelta - Callback for text chunks: (text: string) => void
+   * @param {Function} options.onProgress - Optional callback for any streamed data, text or not
+   *   (e.g. tool call input): () => void
+   * @param {AbortSignal} options.signal - Optional; cancels the HTTP call when aborted
+   * @returns {Promise<Object>} - { message: Object (canonical assistant message), usage: Object|null, raw: Object }
    */
-  addFunctionResponses(history, functionResponses) {
-    throw new Error('Provider must implement addFunctionResponses()');
+  async generateContentStream({ onDelta, ...options }) {
+    const response = await this.generateContent(options);
+    const text = getText(response.message);
+    if (text && onDelta) onDelta(text);
+    return response;
   }
 
   /**
-   * Extract function calls from the response
-   * @param {Object} response 
-   * @returns {Array} - Array of { name, args } objects
+   * Translate a canonical history into provider-specific messages
+   * @param {Array} history
+   * @returns {Array}
    */
-  extractFunctionCalls(response) {
-    throw new Error('Provider must implement extractFunctionCalls()');
+  toNativeMessages(history) {
+    throw new Error('Provider must implement toNativeMessages()');
   }
 
   /**
-   * Extract text content from the response
-   * @param {Object} response 
-   * @returns {string}
+   * Translate the token counts of a provider-specific response
+   * @param {Object|null} usage - Usage data of the raw response
+   * @returns {{ inputTokens: number, outputTokens: number }|null}
    */
-  extractText(response) {
-    throw new Error('Provider must implement extractText()');
+  fromNativeUsage() {
+    // Providers that cannot report usage have their calls estimated by aiClient
+    return null;
   }
 
   /**
-   * Check if the response indicates the model wants to stop (no more function calls)
-   * @param {Object} response 
-   * @returns {boolean}
+   * Translate provider-specific response content into a canonical assistant message
+   * @param {Array} content
+   * @returns {{ role: 'assistant', content: Array }}
    */
-  shouldStop(response) {
-    return this.extractFunctionCalls(response).length === 0;
+  fromNativeContent(content) {
+    throw new Error('Provider must implement fromNativeContent()');
   }
 }
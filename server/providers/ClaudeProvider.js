@@ -5,6 +5,27 @@ import BaseProvider from './BaseProvider.js';
  * Claude (Anthropic) AI provider implementation
  */
 export default class ClaudeProvider extends BaseProvider {
+  // Models offered in the ChatPane model picker
+  static models = [
+    'claude-3-5-sonnet-20241022',
+    'claude-haiku-4-5',
+    'claude-sonnet-4-5',
+    'claude-opus-4-1',
+  ];
+
+  static contextWindows = { default: 200_000 };
+
+  // Claude's tokenizer splits English prose into slightly shorter pieces than most
+  static charsPerToken = 3.5;
+
+  static getDefaultModel() {
+    return process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022';
+  }
+
+  static isConfigured() {
+    return Boolean(process.env.CLAUDE_API_KEY);
+  }
+
   constructor(config = {}) {
     super(config);
     
@@ -13,8 +34,9 @@ export default class ClaudeProvider extends BaseProvider {
       throw new Error('CLAUDE_API_KEY is required for Claude provider');
     }
     
-    this.client = new Anthropic({ apiKey });
-    this._model = config.model || process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022';
+    // Retries and timeouts are handled by aiClient (see retry.js), which can also fall back to another provider
+    this.client = new Anthropic({ apiKey, maxRetries: 0 });
+    this._model = config.model || ClaudeProvider.getDefaultModel();
     this.maxTokens = config.maxTokens || 4096;
   }
 
@@ -26,125 +48,109 @@ export default class ClaudeProvider extends BaseProvider {
     return this._model;
   }
 
-  getToolDeclarations() {
-    // Claude uses a different tool format than Gemini
-    return [
-      {
-        name: 'edit_file',
-        description:
-          'Edit or create a file in the startup workspace. Use this to write or update markdown documents.',
-        input_schema: {
-          type: 'object',
-          properties: {
-            path: {
-              type: 'string',
-              description:
-                'The file path relative to the workspace root, e.g. "Idea 1/MVP/features.md"',
-            },
-            content: {
-              type: 'string',
-              description: 'The full new content for the file (markdown)',
-            },
-          },
-          required: ['path', 'content'],
-        },
-      },
-      {
-        name: 'read_file',
-        description:
-          'Read the content of a file in the startup workspace. Use this to check what a file currently contains before editing.',
-        input_schema: {
-          type: 'object',
-          properties: {
-            path: {
-              type: 'string',
-              description:
-                'The file path relative to the workspace root, e.g. "Idea 1/research/research.md"',
-            },
-          },
-          required: ['path'],
-        },
-      },
-      {
-        name: 'get_file_tree',
-        description:
-          'Get the full workspace file tree structure as plain text. Use this to see all available ideas, folders, and files.',
-        input_schema: {
-          type: 'object',
-          properties: {},
-          required: [],
-        },
-      },
-    ];
+  getToolDeclarations(tools) {
+    return tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters,
+    }));
   }
 
-  async generateContent({ systemPrompt, history, tools }) {
+  async generateContent({ systemPrompt, history, tools, signal }) {
     const response = await this.client.messages.create({
       model: this._model,
       max_tokens: this.maxTokens,
       system: systemPrompt,
       tools: tools,
-      messages: history,
-    });
+      messages: this.toNativeMessages(history),
+    }, { signal });
 
     if (!response.content) {
       throw new Error('No response from Claude');
     }
 
     return {
-      parts: response.content,
+      message: this.fromNativeContent(response.content),
       stopReason: response.stop_reason,
+      usage: this.fromNativeUsage(response.usage),
       raw: response,
     };
   }
 
-  addUserMessage(history, message) {
-    history.push({
-      role: 'user',
-      content: [{ type: 'text', text: message }],
-    });
-  }
+  async generateContentStream({ systemPrompt, history, tools, onDelta, onProgress, signal }) {
+    const stream = this.client.messages.stream({
+      model: this._model,
+      max_tokens: this.maxTokens,
+      system: systemPrompt,
+      tools: tools,
+      messages: this.toNativeMessages(history),
+    }, { signal });
 
-  addAssistantMessage(history, response) {
-    history.push({
-      role: 'assistant',
-      content: response.parts,
-    });
-  }
+    if (onDelta) {
+      stream.on('text', (delta) => onDelta(delta));
+    }
+    if (onProgress) {
+      stream.on('streamEvent', () => onProgress());
+    }
 
-  addFunctionResponses(history, functionResponses) {
-    const content = functionResponses.map((fr) => ({
-      type: 'tool_result',
-      tool_use_id: fr.toolUseId,
-      content: JSON.stringify(fr.response),
-    }));
-    history.push({ role: 'user', content });
+    const response = await stream.finalMessage();
+
+    if (!response.content) {
+      throw new Error('No response from Claude');
+    }
+
+    return {
+      message: this.fromNativeContent(response.content),
+      stopReason: response.stop_reason,
+      usage: this.fromNativeUsage(response.usage),
+      raw: response,
+    };
   }
 
-  extractFunctionCalls(response) {
-    const calls = [];
-    for (const block of response.parts) {
-      if (block.type === 'tool_use') {
-        calls.push({
-          id: block.id,  // Claude provides tool_use_id
-          name: block.name,
-          args: block.input,
-        });
+  toNativeMessages(history) {
+    return history.map((message) => {
+      // Tool results go back to Claude as a user turn of tool_result blocks
+      if (message.role === 'tool') {
+        return {
+          role: 'user',
+          content: message.content.map((block) => ({
+            type: 'tool_result',
+            tool_use_id: block.id,
+            content: JSON.stringify(block.result),
+          })),
+        };
       }
-    }
-    return calls;
+
+      const content = [];
+      for (const block of message.content) {
+        if (block.type === 'text') {
+          content.push({ type: 'text', text: block.text });
+        } else if (block.type === 'tool_call') {
+          content.push({ type: 'tool_use', id: block.id, name: block.name, input: block.args });
+        }
+      }
+      return { role: message.role, content };
+    });
   }
 
-  extractText(response) {
-    const textBlocks = response.parts
-      .filter((block) => block.type === 'text')
-      .map((block) => block.text);
-    return textBlocks.join('\n') || '';
+  fromNativeUsage(usage) {
+    if (!usage) return null;
+    // Prompt caching bills cached and cache-writing tokens separately from input_tokens
+    return {
+      inputTokens: usage.input_tokens + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+      outputTokens: usage.output_tokens,
+    };
   }
 
-  shouldStop(response) {
-    // Claude signals it's done with tool calls via stop_reason
-    return response.stopReason === 'end_turn' || 
-           this.extractFunctionCalls(response).length === 0;
+  fromNativeContent(content) {
+    const blocks = [];
+    for (const block of content) {
+      if (block.type === 'text') {
+        blocks.push({ type: 'text', text: block.text });
+      } else if (block.type === 'tool_use') {
+        blocks.push({ type: 'tool_call', id: block.id, name: block.name, args: block.input || {} });
+      }
+    }
+    return { role: 'assistant', content: blocks };
   }
 }
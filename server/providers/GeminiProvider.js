@@ -1,10 +1,28 @@
 import { GoogleGenAI } from '@google/genai';
+import { nanoid } from 'nanoid';
 import BaseProvider from './BaseProvider.js';
 
 /**
  * Gemini AI provider implementation
  */
 export default class GeminiProvider extends BaseProvider {
+  // Models offered in the ChatPane model picker
+  static models = [
+    'gemini-2.0-flash',
+    'gemini-2.5-flash',
+    'gemini-2.5-pro',
+  ];
+
+  static contextWindows = { default: 1_048_576 };
+
+  static getDefaultModel() {
+    return process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+  }
+
+  static isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  }
+
   constructor(config = {}) {
     super(config);
     
@@ -14,7 +32,7 @@ export default class GeminiProvider extends BaseProvider {
     }
     
     this.genai = new GoogleGenAI({ apiKey });
-    this._model = config.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+    this._model = config.model || GeminiProvider.getDefaultModel();
   }
 
   get name() {
@@ -25,65 +43,24 @@ export default class GeminiProvider extends BaseProvider {
     return this._model;
   }
 
-  getToolDeclarations() {
+  getToolDeclarations(tools) {
     return {
-      functionDeclarations: [
-        {
-          name: 'edit_file',
-          description:
-            'Edit or create a file in the startup workspace. Use this to write or update markdown documents.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description:
-                  'The file path relative to the workspace root, e.g. "Idea 1/MVP/features.md"',
-              },
-              content: {
-                type: 'string',
-                description: 'The full new content for the file (markdown)',
-              },
-            },
-            required: ['path', 'content'],
-          },
-        },
-        {
-          name: 'read_file',
-          description:
-            'Read the content of a file in the startup workspace. Use this to check what a file currently contains before editing.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description:
-                  'The file path relative to the workspace root, e.g. "Idea 1/research/research.md"',
-              },
-            },
-            required: ['path'],
-          },
-        },
-        {
-          name: 'get_file_tree',
-          description:
-            'Get the full workspace file tree structure as plain text. Use this to see all available ideas, folders, and files.',
-          parameters: {
-            type: 'object',
-            properties: {},
-          },
-        },
-      ],
+      functionDeclarations: tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      })),
     };
   }
 
-  async generateContent({ systemPrompt, history, tools }) {
+  async generateContent({ systemPrompt, history, tools, signal }) {
     const response = await this.genai.models.generateContent({
       model: this._model,
-      contents: history,
+      contents: this.toNativeMessages(history),
       config: {
         systemInstruction: systemPrompt,
         tools: [tools],
+        abortSignal: signal,
       },
     });
 
@@ -93,46 +70,113 @@ export default class GeminiProvider extends BaseProvider {
     }
 
     return {
-      parts: candidate.content?.parts || [],
+      message: this.fromNativeContent(candidate.content?.parts || []),
+      usage: this.fromNativeUsage(response.usageMetadata),
       raw: response,
     };
   }
 
-  addUserMessage(history, message) {
-    history.push({ role: 'user', parts: [{ text: message }] });
+  async generateContentStream({ systemPrompt, history, tools, onDelta, onProgress, signal }) {
+    const stream = await this.genai.models.generateContentStream({
+      model: this._model,
+      contents: this.toNativeMessages(history),
+      config: {
+        systemInstruction: systemPrompt,
+        tools: [tools],
+        abortSignal: signal,
+      },
+    });
+
+    const parts = [];
+    let raw = null;
+
+    for await (const chunk of stream) {
+      raw = chunk;
+      if (onProgress) onProgress();
+      const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+
+      for (const part of chunkParts) {
+        const last = parts[parts.length - 1];
+        const isText = typeof part.text === 'string' && !part.thought;
+
+        if (isText && onDelta) onDelta(part.text);
+
+        // Merge consecutive text chunks so history holds one block per text run
+        if (isText && last && typeof last.text === 'string' && !last.thought) {
+          parts[parts.length - 1] = { ...last, ...part, text: last.text + part.text };
+        } else {
+          parts.push(part);
+        }
+      }
+    }
+
+    if (!raw) {
+      throw new Error('No response from Gemini');
+    }
+
+    // The last chunk carries the usage of the whole response
+    return {
+      message: this.fromNativeContent(parts),
+      usage: this.fromNativeUsage(raw.usageMetadata),
+      raw,
+    };
   }
 
-  addAssistantMessage(history, response) {
-    history.push({ role: 'model', parts: response.parts });
+  toNativeMessages(history) {
+    return history.map((message) => {
+      // Tool results go back to Gemini as a user turn of functionResponse parts
+      if (message.role === 'tool') {
+        return {
+          role: 'user',
+          parts: message.content.map((block) => ({
+            functionResponse: {
+              name: block.name,
+              response: block.result,
+            },
+          })),
+        };
+      }
+
+      const parts = [];
+      for (const block of message.content) {
+        if (block.type === 'text') {
+          parts.push({ text: block.text });
+        } else if (block.type === 'tool_call') {
+          const part = { functionCall: { name: block.name, args: block.args } };
+          if (block.signature) part.thoughtSignature = block.signature;
+          parts.push(part);
+        }
+      }
+      return { role: message.role === 'assistant' ? 'model' : 'user', parts };
+    });
   }
 
-  addFunctionResponses(history, functionResponses) {
-    const parts = functionResponses.map((fr) => ({
-      functionResponse: {
-        name: fr.name,
-        response: fr.response,
-      },
-    }));
-    history.push({ role: 'user', parts });
+  fromNativeUsage(usage) {
+    if (!usage) return null;
+    // Thinking tokens are billed as output
+    return {
+      inputTokens: (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0),
+      outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+    };
   }
 
-  extractFunctionCalls(response) {
-    const calls = [];
-    for (const part of response.parts) {
+  fromNativeContent(parts) {
+    const blocks = [];
+    for (const part of parts) {
       if (part.functionCall) {
-        calls.push({
+        const block = {
+          type: 'tool_call',
+          // Gemini does not always assign call IDs; generate one so results can be matched
+          id: part.functionCall.id || `call_${nanoid(10)}`,
           name: part.functionCall.name,
-          args: part.functionCall.args,
-        });
+          args: part.functionCall.args || {},
+        };
+        if (part.thoughtSignature) block.signature = part.thoughtSignature;
+        blocks.push(block);
+      } else if (typeof part.text === 'string' && !part.thought) {
+        blocks.push({ type: 'text', text: part.text });
       }
     }
-    return calls;
-  }
-
-  extractText(response) {
-    const textParts = response.parts
-      .filter((p) => p.text)
-      .map((p) => p.text);
-    return textParts.join('\n') || '';
+    return { role: 'assistant', content: blocks };
   }
 }
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import BaseProvider from './BaseProvider.js';
+import { sleep } from './retry.js';
+import { createAssistantMessage, getText, getToolCalls } from '../messageFormat.js';
+
+/**
+ * Scripted AI provider for offline development and tests.
+ *
+ * Replays responses from a JSON script instead of calling a model. The script
+ * is an array of steps, consumed one per model call:
+ *
+ *   [
+ *     { "text": "Let me check.", "toolCalls": [{ "name": "read_file", "args": { "path": "Idea 1/MVP/features.md" } }] },
+ *     { "text": "Your MVP has no core features yet." },
+ *     { "error": "Simulated overload", "status": 529 },
+ *     { "error": "Simulated rate limit", "status": 429, "retryAfter": 2 },
+ *     { "text": "A slow answer.", "delayMs": 200 },
+ *     { "text": "A metered answer.", "usage": { "inputTokens": 1200, "outputTokens": 40 } }
+ *   ]
+ *
+ * `retryAfter` (seconds) is sent as a retry-after header of the error.
+ * Without `usage`, token counts are estimated from the request and reply.
+ * `delayMs` waits before answering (streamed: before each word and each tool
+ * call); an aborted request signal rejects the wait, like a cancelled HTTP call.
+ *
+ * The script is read from MOCK_SCRIPT (a file path) or passed as `config.script`.
+ * Without a script, every call echoes the last user message.
+ */
+export default class MockProvider extends BaseProvider {
+  static contextWindows = { default: 128_000 };
+
+  static getDefaultModel() {
+    return 'scripted';
+  }
+
+  static isConfigured() {
+    // Only offered in model pickers when explicitly enabled
+    return process.env.AI_PROVIDER === 'mock' || Boolean(process.env.MOCK_SCRIPT);
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    this._model = config.model || MockProvider.getDefaultModel();
+    this.requests = []; // Every call's { systemPrompt, history, tools }, for assertions
+
+    const scriptPath = config.scriptPath || process.env.MOCK_SCRIPT;
+    if (config.script) {
+      this.setScript(config.script);
+    } else if (scriptPath) {
+      this.loadScript(scriptPath);
+    } else {
+      this.setScript(null);
+    }
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  get model() {
+    return this._model;
+  }
+
+  /**
+   * Replace the script and rewind to its first step
+   * @param {Array|null} steps - Script steps, or null to echo user messages
+   */
+  setScript(steps) {
+    this.script = steps;
+    this.step = 0;
+    this.callCounter = 0;
+    this.requests = [];
+  }
+
+  /**
+   * Load a script from a JSON file
+   * @param {string} scriptPath
+   */
+  loadScript(scriptPath) {
+    this.setScript(JSON.parse(fs.readFileSync(scriptPath, 'utf-8')));
+  }
+
+  getToolDeclarations(tools) {
+    return tools.map((tool) => tool.name);
+  }
+
+  /**
+   * Take the next script step (or build an echo step when there is no script)
+   */
+  nextStep(history) {
+    if (!this.script) {
+      const lastUser = [...history].reverse().find((m) => m.role === 'user');
+      return { text: `Mock reply to: ${lastUser ? getText(lastUser) : ''}` };
+    }
+
+    if (this.step >= this.script.length) {
+      throw new Error(`Mock script exhausted after ${this.script.length} responses`);
+    }
+    return this.script[this.step++];
+  }
+
+  /**
+   * Record a request and take its script step
+   */
+  takeStep({ systemPrompt, history, tools }) {
+    // Snapshot the history; the caller keeps mutating the same array
+    this.requests.push({ systemPrompt, history: structuredClone(history), tools });
+    return this.nextStep(history);
+  }
+
+  /**
+   * Build the response of a script step for a request (throws for error steps)
+   */
+  toResponse(step, request) {
+    if (step.error) {
+      const error = new Error(step.error);
+      if (step.status) error.status = step.status;
+      if (step.retryAfter !== undefined) error.headers = { 'retry-after': String(step.retryAfter) };
+      throw error;
+    }
+
+    const toolCalls = (step.toolCalls || []).map((call) => ({
+      id: call.id || `mock_call_${++this.callCounter}`,
+      name: call.name,
+      args: call.args || {},
+    }));
+
+    const message = createAssistantMessage(step.text || '', toolCalls);
+    return {
+      message,
+      usage: step.usage || {
+        inputTokens: this.estimateTokens(request),
+        outputTokens: Math.ceil(JSON.stringify(message.content).length / MockProvider.charsPerToken),
+      },
+      raw: step,
+    };
+  }
+
+  async generateContent({ signal, ...options }) {
+    const step = this.takeStep(options);
+    if (step.delayMs) await sleep(step.delayMs, signal);
+    return this.toResponse(step, options);
+  }
+
+  async generateContentStream({ onDelta, onProgress, signal, ...options }) {
+    const step = this.takeStep(options);
+    const response = this.toResponse(step, options);
+
+    // Emit word by word so streaming consumers see several deltas
+    const chunks = getText(response.message).match(/\S+\s*|\s+/g) || [];
+    const toolCalls = getToolCalls(response.message);
+    if (chunks.length === 0 && toolCalls.length === 0 && step.delayMs) await sleep(step.delayMs, signal);
+    for (const chunk of chunks) {
+      if (step.delayMs) await sleep(step.delayMs, signal);
+      if (onProgress) onProgress();
+      if (onDelta) onDelta(chunk);
+    }
+
+    // Tool calls stream as progress without text, one per call
+    for (let i = 0; i < toolCalls.length; i++) {
+      if (step.delayMs) await sleep(step.delayMs, signal);
+      if (onProgress) onProgress();
+    }
+
+    return response;
+  }
+
+  toNativeMessages(history) {
+    return history;
+  }
+
+  fromNativeContent(content) {
+    return { role: 'assistant', content };
+  }
+}
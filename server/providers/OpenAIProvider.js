@@ -0,0 +1,287 @@
+import { nanoid } from 'nanoid';
+import BaseProvider from './BaseProvider.js';
+
+/**
+ * OpenAI-compatible AI provider implementation.
+ * Speaks the chat-completions wire format, so it works with OpenAI itself and
+ * with self-hosted servers (llama.cpp, vLLM, Ollama) via OPENAI_BASE_URL.
+ */
+export default class OpenAIProvider extends BaseProvider {
+  // Models offered in the ChatPane model picker
+  static models = [
+    'gpt-4o-mini',
+    'gpt-4o',
+  ];
+
+  // Unlisted models are usually local ones with a small configured context
+  static contextWindows = {
+    'gpt-4o-mini': 128_000,
+    'gpt-4o': 128_000,
+    default: 8_192,
+  };
+
+  static getDefaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  }
+
+  static isConfigured() {
+    // Local servers usually need no key, only a base URL
+    return Boolean(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY);
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1')
+      .replace(/\/+$/, '');
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+
+    if (!this.apiKey && this.baseUrl === 'https://api.openai.com/v1') {
+      throw new Error('OPENAI_API_KEY is required for the OpenAI API (or set OPENAI_BASE_URL for a local server)');
+    }
+
+    this._model = config.model || OpenAIProvider.getDefaultModel();
+    this.maxTokens = config.maxTokens || 4096;
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  get model() {
+    return this._model;
+  }
+
+  get contextWindow() {
+    // Local servers set their context size at launch; OPENAI_CONTEXT_WINDOW should match it
+    return this.config.contextWindow || Number(process.env.OPENAI_CONTEXT_WINDOW) || super.contextWindow;
+  }
+
+  getToolDeclarations(tools) {
+    return tools.map((tool) => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    }));
+  }
+
+  /**
+   * POST to the chat-completions endpoint
+   * @param {Object} body
+   * @param {AbortSignal} signal - Optional; cancels the request and its response stream
+   * @returns {Promise<Response>}
+   */
+  async request(body, signal = null) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible API error (${res.status}): ${detail || res.statusText}`);
+      error.status = res.status;
+      error.headers = res.headers;
+      throw error;
+    }
+
+    return res;
+  }
+
+  buildRequestBody({ systemPrompt, history, tools }) {
+    return {
+      model: this._model,
+      max_tokens: this.maxTokens,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...this.toNativeMessages(history),
+      ],
+      // Some servers reject an empty tools list
+      ...(tools?.length > 0 && { tools }),
+    };
+  }
+
+  async generateContent({ signal, ...options }) {
+    const res = await this.request(this.buildRequestBody(options), signal);
+    const response = await res.json();
+
+    const choice = response.choices?.[0];
+    if (!choice?.message) {
+      throw new Error('No response from OpenAI-compatible API');
+    }
+
+    return {
+      message: this.fromNativeContent(choice.message),
+      stopReason: choice.finish_reason,
+      usage: this.fromNativeUsage(response.usage),
+      raw: response,
+    };
+  }
+
+  async generateContentStream({ onDelta, onProgress, signal, ...options }) {
+    const res = await this.request({
+      ...this.buildRequestBody(options),
+      stream: true,
+      stream_options: { include_usage: true },
+    }, signal);
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let stopReason = null;
+    let usage = null; // Sent in a final chunk without choices
+    const toolCalls = []; // Accumulated by index as argument fragments arrive
+
+    const handleChunk = (chunk) => {
+      if (chunk.usage) usage = chunk.usage;
+      const choice = chunk.choices?.[0];
+      if (!choice) return;
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        text += delta.content;
+        if (onDelta) onDelta(delta.content);
+      }
+
+      for (const fragment of delta.tool_calls || []) {
+        const index = fragment.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { id: null, name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+
+      if (choice.finish_reason) stopReason = choice.finish_reason;
+    };
+
+    // Parse an SSE line
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      handleChunk(JSON.parse(data));
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (onProgress) onProgress();
+
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      lines.forEach(handleLine);
+    }
+
+    // The last event may end without a newline
+    buffer += decoder.decode();
+    handleLine(buffer);
+
+    const message = {
+      content: text || null,
+      tool_calls: toolCalls.filter(Boolean).map((call) => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    };
+
+    return {
+      message: this.fromNativeContent(message),
+      stopReason,
+      usage: this.fromNativeUsage(usage),
+      raw: message,
+    };
+  }
+
+  toNativeMessages(history) {
+    const messages = [];
+
+    for (const message of history) {
+      // Each tool result is its own message in the chat-completions format
+      if (message.role === 'tool') {
+        for (const block of message.content) {
+          messages.push({
+            role: 'tool',
+            tool_call_id: block.id,
+            content: JSON.stringify(block.result),
+          });
+        }
+        continue;
+      }
+
+      const text = message.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('\n');
+
+      if (message.role === 'user') {
+        messages.push({ role: 'user', content: text });
+        continue;
+      }
+
+      const toolCalls = message.content
+        .filter((block) => block.type === 'tool_call')
+        .map((block) => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.args || {}) },
+        }));
+
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+      });
+    }
+
+    return messages;
+  }
+
+  fromNativeUsage(usage) {
+    if (!usage) return null;
+    return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+  }
+
+  fromNativeContent(message) {
+    const blocks = [];
+
+    if (message.content) {
+      blocks.push({ type: 'text', text: message.content });
+    }
+
+    for (const call of message.tool_calls || []) {
+      let args = {};
+      try {
+        args = call.function?.arguments ? JSON.parse(call.function.arguments) : {};
+      } catch {
+        console.warn(`[OpenAI Provider] Could not parse arguments for ${call.function?.name}`);
+      }
+
+      blocks.push({
+        type: 'tool_call',
+        // Some local servers omit call IDs; generate one so results can be matched
+        id: call.id || `call_${nanoid(10)}`,
+        name: call.function?.name,
+        args,
+      });
+    }
+
+    return { role: 'assistant', content: blocks };
+  }
+}
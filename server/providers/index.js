@@ -1,5 +1,7 @@
 import GeminiProvider from './GeminiProvider.js';
 import ClaudeProvider from './ClaudeProvider.js';
+import OpenAIProvider from './OpenAIProvider.js';
+import MockProvider from './MockProvider.js';
 
 /**
  * Available AI providers
@@ -7,6 +9,8 @@ import ClaudeProvider from './ClaudeProvider.js';
 export const PROVIDERS = {
   gemini: GeminiProvider,
   claude: ClaudeProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider,
 };
 
 /**
@@ -17,9 +21,34 @@ export function getAvailableProviders() {
   return Object.keys(PROVIDERS);
 }
 
+/**
+ * Check whether a provider name is registered
+ * @param {string} providerName
+ * @returns {boolean}
+ */
+export function isProviderAvailable(providerName) {
+  return Boolean(PROVIDERS[providerName?.toLowerCase()]);
+}
+
+/**
+ * Describe every registered provider (for model pickers)
+ * @returns {Array<{ name: string, defaultModel: string, models: string[], configured: boolean }>}
+ */
+export function describeProviders() {
+  return Object.entries(PROVIDERS).map(([name, ProviderClass]) => {
+    const defaultModel = ProviderClass.getDefaultModel();
+    return {
+      name,
+      defaultModel,
+      models: [...new Set([defaultModel, ...ProviderClass.models])],
+      configured: ProviderClass.isConfigured(),
+    };
+  });
+}
+
 /**
  * Create a provider instance based on the provider name
- * @param {string} providerName - 'gemini', 'claude', etc.
+ * @param {string} providerName - 'gemini', 'claude', 'openai', 'mock', etc.
  * @param {Object} config - Provider-specific configuration
  * @returns {BaseProvider}
  */
@@ -51,4 +80,40 @@ export function createProviderFromEnv(overrides = {}) {
   return createProvider(providerName, overrides);
 }
 
-export { GeminiProvider, ClaudeProvider };
+/**
+ * Get the retry policy of model calls (see retry.js)
+ * Uses AI_MAX_RETRIES and AI_TIMEOUT_MS env vars; read on every call so tests can change them
+ * @returns {{ maxRetries: number, baseDelayMs: number, maxDelayMs: number, timeoutMs: number }}
+ */
+export function getRetryPolicy() {
+  const number = (value, fallback) => (value !== undefined && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : fallback);
+  return {
+    maxRetries: number(process.env.AI_MAX_RETRIES, 3),
+    baseDelayMs: number(process.env.AI_RETRY_BASE_MS, 1000),
+    maxDelayMs: 30_000,
+    timeoutMs: number(process.env.AI_TIMEOUT_MS, 120_000),
+  };
+}
+
+/**
+ * Get the ordered fallback providers, tried when a call keeps failing
+ * Uses AI_FALLBACK_PROVIDERS, e.g. "claude,gemini:gemini-2.5-flash,openai" (an optional model after ":")
+ * @returns {Array<{ provider: string, model: string|null }>}
+ */
+export function getFallbackChain() {
+  return (process.env.AI_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [provider, ...model] = entry.split(':');
+      return { provider: provider.toLowerCase(), model: model.join(':') || null };
+    })
+    .filter(({ provider }) => {
+      if (isProviderAvailable(provider)) return true;
+      console.warn(`[AI Provider] Ignoring unknown fallback provider: ${provider}`);
+      return false;
+    });
+}
+
+export { GeminiProvider, ClaudeProvider, OpenAIProvider, MockProvider };
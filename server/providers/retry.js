@@ -0,0 +1,156 @@
+/**
+ * Retries for model calls.
+ *
+ * Rate limits (429), overloads (529) and server errors are common and usually
+ * pass within seconds, so calls are retried with exponential backoff and
+ * jitter, waiting as long as the API asks via `retry-after` when it says so.
+ * Each attempt has an inactivity timeout: it fails when no response (or, for
+ * streams, no new data) arrives in time.
+ *
+ * RetryPolicy Schema (from getRetryPolicy in providers/index.js):
+ * {
+ *   maxRetries: number,    // Retries after the first attempt
+ *   baseDelayMs: number,   // Backoff before the first retry; doubles with each retry
+ *   maxDelayMs: number,    // Longest wait; a longer retry-after gives up instead
+ *   timeoutMs: number      // Inactivity timeout of each attempt
+ * }
+ */
+
+// Statuses worth retrying: timeouts, rate limits, overloads and server errors
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+// Connection failures (including unreachable local servers)
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Check whether a failed call may succeed when tried again (or with another provider)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  const status = error?.status ?? error?.statusCode;
+  if (status) return RETRYABLE_STATUSES.has(status) || status >= 500;
+
+  const code = error?.code || error?.cause?.code;
+  return NETWORK_ERROR_CODES.has(code) || /fetch failed|connection error|socket hang up/i.test(error?.message || '');
+}
+
+/**
+ * Read how long the API asked to wait before retrying
+ * @param {Error} error - With `headers` (a Headers object or plain object), or a Gemini error message
+ * @returns {number|null} Milliseconds, or null if the API did not say
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers;
+  const read = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) ?? null;
+
+  const ms = Number(read('retry-after-ms'));
+  if (read('retry-after-ms') !== null && !Number.isNaN(ms)) return ms;
+
+  const value = read('retry-after');
+  if (value !== null) {
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  // Gemini sends no header; the delay is in the error details, e.g. "retryDelay": "30s"
+  const match = error?.message?.match(/"retryDelay":\s*"(\d+(?:\.\d+)?)s"/);
+  return match ? parseFloat(match[1]) * 1000 : null;
+}
+
+/**
+ * Get the wait before a retry
+ * @param {Error} error
+ * @param {number} retry - 0 for the first retry
+ * @param {Object} policy - RetryPolicy
+ * @returns {number|null} Milliseconds, or null when the API asks to wait longer than maxDelayMs
+ */
+export function getRetryDelay(error, retry, policy) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) return retryAfter <= policy.maxDelayMs ? retryAfter : null;
+
+  // Half fixed, half random, so clients that failed together do not retry together
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retry);
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Wait, rejecting early when the signal is aborted
+ * @param {number} ms
+ * @param {AbortSignal} signal - Optional; rejects the wait with its reason when aborted
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a model call, retrying it while it fails with retryable errors
+ * @param {Function} call - ({ signal, touch }) => Promise; pass `signal` to the HTTP call and
+ *   call `touch()` whenever the response makes progress (e.g. on each streamed delta)
+ * @param {Object} options
+ * @param {Object} options.policy - RetryPolicy
+ * @param {AbortSignal} options.signal - Optional; aborting stops the call and any wait
+ * @param {Function} options.shouldRetry - Optional extra check, e.g. nothing was streamed yet: (error) => boolean
+ * @param {Function} options.onRetry - Optional callback before each wait: ({ retry, delayMs, error }) => void
+ * @returns {Promise<*>} The result of the call
+ * @throws {Error} The last error (status 408 for a timeout) once retries are used up or not worthwhile
+ */
+export async function callWithRetry(call, { policy, signal = null, shouldRetry = null, onRetry = null }) {
+  for (let retry = 0; ; retry++) {
+    const timeout = new AbortController();
+    let timer;
+    const touch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => timeout.abort(), policy.timeoutMs);
+    };
+
+    try {
+      touch();
+      return await call({ signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal, touch });
+    } catch (callError) {
+      if (signal?.aborted) throw callError;
+
+      let error = callError;
+      if (timeout.signal.aborted) {
+        error = new Error(`No response from the model for ${Math.round(policy.timeoutMs / 1000)}s`);
+        error.status = 408;
+      }
+
+      const delayMs = retry < policy.maxRetries && isRetryable(error) && (!shouldRetry || shouldRetry(error))
+        ? getRetryDelay(error, retry, policy)
+        : null;
+      if (delayMs === null) throw error;
+
+      if (onRetry) onRetry({ retry: retry + 1, delayMs, error });
+      await sleep(delayMs, signal);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
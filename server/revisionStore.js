@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { nanoid } from 'nanoid';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Revision logs (in-memory Map of filePath -> Revision[], loaded lazily, one JSON file per workspace file)
+const logs = new Map();
+
+// Workspace paths
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
+const HISTORY_DIR = path.join(WORKSPACE_DIR, 'history');
+
+// Oldest revisions are dropped beyond this many per file
+const MAX_REVISIONS = 100;
+
+/**
+ * Revision Schema:
+ * {
+ *   id: string,
+ *   author: "user" | "agent" | "system" | "unknown",  // "unknown" = content from before history was kept
+ *   sessionId?: string,      // Chat session that made an agent edit
+ *   restoredFrom?: string,   // Revision ID when this revision restored an older one
+ *   createdAt: string,
+ *   content: string
+ * }
+ *
+ * Logs are oldest first; the last revision matches the current file content.
+ */
+
+// Path of the JSON file backing a file's revision log
+function getLogPath(filePath) {
+  return path.join(HISTORY_DIR, `${encodeURIComponent(filePath)}.json`);
+}
+
+// Get (loading from disk on first use) the revision log of a file
+function getLog(filePath) {
+  if (!logs.has(filePath)) {
+    let revisions = [];
+    try {
+      const logPath = getLogPath(filePath);
+      if (fs.existsSync(logPath)) {
+        revisions = JSON.parse(fs.readFileSync(logPath, 'utf-8'));
+      }
+    } catch (error) {
+      console.error(`Error loading revision log of ${filePath}:`, error);
+    }
+    logs.set(filePath, revisions);
+  }
+  return logs.get(filePath);
+}
+
+// Save a file's revision log to disk
+function saveToDisk(filePath) {
+  try {
+    if (!fs.existsSync(HISTORY_DIR)) {
+      fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    }
+    fs.writeFileSync(getLogPath(filePath), JSON.stringify(getLog(filePath), null, 2), 'utf-8');
+  } catch (error) {
+    console.error(`Error saving revision log of ${filePath}:`, error);
+  }
+}
+
+// Strip the content for list responses
+function toSummary(revision) {
+  const { content, ...summary } = revision;
+  return { ...summary, size: content.length };
+}
+
+// Make sure the log ends with a file's current content (e.g. files from before history was kept).
+// Returns the ID of that revision.
+function ensureBaseline(filePath, currentContent) {
+  const log = getLog(filePath);
+  if (log.at(-1)?.content === currentContent) return log.at(-1).id;
+
+  const revision = { id: nanoid(10), author: 'unknown', createdAt: new Date().toISOString(), content: currentContent };
+  log.push(revision);
+  saveToDisk(filePath);
+  return revision.id;
+}
+
+// Record a new revision of a file (null if the content did not change)
+function recordRevision(filePath, content, { author = 'user', sessionId = null, restoredFrom = null } = {}) {
+  const log = getLog(filePath);
+  const now = new Date().toISOString();
+
+  // Saving unchanged content (e.g. editor blur) is not a new revision
+  if (log.at(-1)?.content === content) return null;
+
+  const revision = {
+    id: nanoid(10),
+    author,
+    ...(sessionId && { sessionId }),
+    ...(restoredFrom && { restoredFrom }),
+    createdAt: now,
+    content,
+  };
+  log.push(revision);
+  log.splice(0, Math.max(0, log.length - MAX_REVISIONS));
+  saveToDisk(filePath);
+
+  return toSummary(revision);
+}
+
+// Get the revisions of a file, newest first (without content)
+function getRevisions(filePath) {
+  return getLog(filePath).map(toSummary).reverse();
+}
+
+// Get the ID of a file's latest revision
+function getLatestRevisionId(filePath) {
+  return getLog(filePath).at(-1)?.id || null;
+}
+
+// Get a single revision with its content
+function getRevision(filePath, revisionId) {
+  return getLog(filePath).find((r) => r.id === revisionId) || null;
+}
+
+// Move a file's revision log along with a rename
+function renameLog(oldPath, newPath) {
+  const log = getLog(oldPath);
+  if (log.length === 0) return;
+
+  logs.set(newPath, log);
+  logs.delete(oldPath);
+  saveToDisk(newPath);
+
+  const oldLogPath = getLogPath(oldPath);
+  if (fs.existsSync(oldLogPath)) {
+    fs.unlinkSync(oldLogPath);
+  }
+}
+
+export default {
+  ensureBaseline,
+  recordRevision,
+  getLatestRevisionId,
+  getRevisions,
+  getRevision,
+  renameLog,
+};
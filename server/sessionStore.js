@@ -0,0 +1,423 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { nanoid } from 'nanoid';
+import { isCanonicalMessage } from './messageFormat.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Session storage (in-memory Map + disk sync, one JSON file per session)
+const sessions = new Map();
+
+// Workspace paths
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
+const SESSIONS_DIR = path.join(WORKSPACE_DIR, 'sessions');
+
+let sessionCounter = 0;
+
+/**
+ * ChatSession Schema:
+ * {
+ *   id: string,
+ *   title: string,
+ *   createdAt: string,
+ *   updatedAt: string,
+ *   provider?: string | null,  // Session-wide provider/model (null = server default)
+ *   model?: string | null,
+ *   modeProviders?: { [mode: string]: { provider: string | null, model: string | null } },
+ *   reviewEdits?: boolean,     // Stage agent edits for approval (see pendingChangeStore.js)
+ *   forkedFrom?: {             // Set on sessions forked from another one
+ *     sessionId: string,
+ *     messageId: string        // Last message copied from the parent session
+ *   },
+ *   messages: ChatMessage[],   // Every message of every branch, in creation order
+ *   activeLeafId: string | null // Last message of the branch shown in the ChatPane
+ * }
+ *
+ * Messages form a tree: editing a user message or regenerating a reply adds a
+ * sibling under the same parent, so earlier branches are kept. The transcript
+ * is the path from the root to the active leaf, and the model history is the
+ * concatenation of that path's `history` entries.
+ *
+ * ChatMessage Schema:
+ * {
+ *   id: string,
+ *   parentId: string | null,   // Previous message in its branch (null = first message)
+ *   role: "user" | "agent" | "event",  // "event" = an action logged in the chat, e.g. a revert
+ *   text: string,
+ *   createdAt: string,
+ *   history?: Message[],       // Model history entries of this message (canonical format, see messageFormat.js)
+ *   mode?: string,
+ *   provider?: string,
+ *   model?: string,
+ *   toolCalls?: { name: string, args: Object }[],
+ *   editedFiles?: string[],
+ *   proposedFiles?: string[],  // Edits staged for review during this turn
+ *   changeset?: {              // Files written by this turn, as revision IDs (see revisionStore.js)
+ *     files: { path: string, before: string | null, after: string | null }[],
+ *     revertedBy?: string      // ID of the event message that reverted it
+ *   },
+ *   revertOf?: string,         // For revert events: ID of the reverted message
+ *   debate?: {                 // A debate turn (see aiClient.debate)
+ *     label: string,           // Speaker label, or "Verdict"
+ *     round: number | null     // 1-based round; null for the verdict
+ *   },
+ *   citedMemories?: string[],  // Debate verdicts: memory IDs the verdict cites
+ *   decisionMemoryId?: string, // Debate verdicts: DECISION memory the debate was saved as
+ *   stopped?: boolean,         // The founder stopped this reply; text is what arrived before
+ *   failed?: boolean,          // The reply failed with an error; text is what arrived before, then the error
+ *   compaction?: Object,       // User messages: how the history before this turn was compacted (see compaction.js)
+ *   memoryUsed?: any[]
+ * }
+ */
+
+// Initialize sessions directory and load from disk
+function init() {
+  if (!fs.existsSync(SESSIONS_DIR)) {
+    fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  }
+  loadFromDisk();
+}
+
+// Path of the JSON file backing a session
+function getSessionPath(sessionId) {
+  return path.join(SESSIONS_DIR, `${encodeURIComponent(sessionId)}.json`);
+}
+
+// Load sessions from their JSON files
+function loadFromDisk() {
+  try {
+    sessions.clear();
+    for (const fileName of fs.readdirSync(SESSIONS_DIR)) {
+      if (!fileName.endsWith('.json')) continue;
+
+      const data = fs.readFileSync(path.join(SESSIONS_DIR, fileName), 'utf-8');
+      const session = { messages: [], activeLeafId: null, ...JSON.parse(data) };
+
+      // Sessions saved before branching hold one flat history next to the transcript
+      if (session.history) {
+        let { history } = session;
+        delete session.history;
+
+        // Histories saved in a provider-specific shape cannot be replayed; keep the transcript only
+        if (!history.every(isCanonicalMessage)) {
+          console.warn(`Discarding non-canonical model history of chat session ${session.id}`);
+          history = [];
+        }
+        migrateToTree(session, history);
+      }
+
+      sessions.set(session.id, session);
+    }
+    console.log(`Loaded ${sessions.size} chat sessions from disk`);
+  } catch (error) {
+    console.error('Error loading chat sessions from disk:', error);
+  }
+}
+
+// Chain a flat transcript into a single branch and give each turn its slice of the flat history
+function migrateToTree(session, history) {
+  let parentId = null;
+  for (const message of session.messages) {
+    message.id = message.id || nanoid();
+    message.parentId = parentId;
+    parentId = message.id;
+  }
+  session.activeLeafId = parentId;
+
+  // Each user entry of the history starts the turn of the matching user message
+  const userMessages = session.messages.filter((m) => m.role === 'user');
+  const turnStarts = history.flatMap((entry, i) => (entry.role === 'user' ? [i] : []));
+
+  if (userMessages.length !== turnStarts.length) {
+    // Cannot line them up (e.g. a cleared history): the whole history stays on the latest message
+    if (history.length > 0 && session.messages.length > 0) {
+      session.messages.at(-1).history = history;
+    }
+    return;
+  }
+
+  userMessages.forEach((userMessage, k) => {
+    const end = turnStarts[k + 1] ?? history.length;
+    userMessage.history = [history[turnStarts[k]]];
+
+    // The reply's entries go on the first agent message after it
+    const index = session.messages.indexOf(userMessage);
+    const reply = session.messages.slice(index + 1).find((m) => m.role !== 'event');
+    if (reply?.role === 'agent') {
+      reply.history = history.slice(turnStarts[k] + 1, end);
+    }
+  });
+}
+
+// Save a single session to its JSON file
+function saveToDisk(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+
+  try {
+    fs.writeFileSync(
+      getSessionPath(sessionId),
+      JSON.stringify(session, null, 2),
+      'utf-8'
+    );
+  } catch (error) {
+    console.error(`Error saving chat session ${sessionId} to disk:`, error);
+  }
+}
+
+// Strip the transcript for list responses
+function toSummary(session) {
+  const { messages: _messages, activeLeafId: _activeLeafId, ...summary } = session;
+  return summary;
+}
+
+// Get the messages from the root to a message, oldest first
+function getPath(session, messageId) {
+  const byId = new Map(session.messages.map((m) => [m.id, m]));
+  const path = [];
+  for (let message = byId.get(messageId); message; message = byId.get(message.parentId)) {
+    path.unshift(message);
+  }
+  return path;
+}
+
+// Generate a unique session ID
+function generateSessionId() {
+  return `session_${++sessionCounter}_${Date.now()}`;
+}
+
+// Create a new session (optionally with a caller-provided ID)
+function createSession({ id = null, title = null } = {}) {
+  const now = new Date().toISOString();
+
+  const session = {
+    id: id || generateSessionId(),
+    title: title || `Chat ${sessions.size + 1}`,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    activeLeafId: null,
+  };
+
+  sessions.set(session.id, session);
+  saveToDisk(session.id);
+
+  return toSummary(session);
+}
+
+// Create a session holding a copy of another session's branch up to `messageId` (default: its active leaf).
+// Only that branch is copied. Changesets stay with the original session, so a turn is reverted where it ran.
+function forkSession(sessionId, messageId = null) {
+  const parent = sessions.get(sessionId);
+  if (!parent) return null;
+
+  const leafId = messageId || parent.activeLeafId;
+  const messages = getPath(parent, leafId).map((message) => {
+    const copy = structuredClone(message);
+    delete copy.changeset;
+    return copy;
+  });
+  if (leafId && messages.length === 0) return null;
+
+  const now = new Date().toISOString();
+  const session = {
+    id: generateSessionId(),
+    title: `${parent.title} (fork)`,
+    createdAt: now,
+    updatedAt: now,
+    ...(parent.provider !== undefined && { provider: parent.provider, model: parent.model }),
+    ...(parent.modeProviders && { modeProviders: structuredClone(parent.modeProviders) }),
+    ...(parent.reviewEdits && { reviewEdits: true }),
+    forkedFrom: { sessionId, messageId: leafId },
+    messages,
+    activeLeafId: leafId,
+  };
+
+  sessions.set(session.id, session);
+  saveToDisk(session.id);
+
+  return toSummary(session);
+}
+
+// Get all sessions, newest first
+function getSessions() {
+  return Array.from(sessions.values())
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .map(toSummary);
+}
+
+// Get single session by ID (without transcript and history)
+function getSession(sessionId) {
+  const session = sessions.get(sessionId);
+  return session ? toSummary(session) : null;
+}
+
+// Check whether a session exists
+function hasSession(sessionId) {
+  return sessions.has(sessionId);
+}
+
+// Update session metadata (e.g., rename, provider/model selection, edit review)
+function updateSession(sessionId, updates) {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+
+  if (updates.title) {
+    session.title = updates.title;
+  }
+
+  if (updates.reviewEdits !== undefined) {
+    session.reviewEdits = Boolean(updates.reviewEdits);
+  }
+
+  // Provider/model selection applies session-wide, or to a single agent mode
+  if (updates.provider !== undefined || updates.model !== undefined) {
+    const selection = { provider: updates.provider || null, model: updates.model || null };
+
+    if (updates.mode) {
+      const modeProviders = { ...session.modeProviders };
+      if (selection.provider || selection.model) {
+        modeProviders[updates.mode] = selection;
+      } else {
+        delete modeProviders[updates.mode];
+      }
+      session.modeProviders = modeProviders;
+    } else {
+      session.provider = selection.provider;
+      session.model = selection.model;
+    }
+  }
+  session.updatedAt = new Date().toISOString();
+  saveToDisk(sessionId);
+
+  return toSummary(session);
+}
+
+// Delete a session and its file
+function deleteSession(sessionId) {
+  sessions.delete(sessionId);
+
+  const filePath = getSessionPath(sessionId);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+// Get the transcript of the active branch (without model history).
+// Messages with alternatives list them all in `siblingIds`, for switching branches.
+function getMessages(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+
+  return getPath(session, session.activeLeafId).map((entry) => {
+    const message = { ...entry };
+    delete message.history;
+    const siblings = session.messages.filter((m) => m.parentId === message.parentId && m.role !== 'event');
+    return siblings.length > 1 && message.role !== 'event'
+      ? { ...message, siblingIds: siblings.map((m) => m.id) }
+      : message;
+  });
+}
+
+// Get a message of any branch (mutable, persisted on the next save)
+function getMessage(sessionId, messageId) {
+  return sessions.get(sessionId)?.messages.find((m) => m.id === messageId) || null;
+}
+
+// Get the ID of the last message of the active branch
+function getActiveLeafId(sessionId) {
+  return sessions.get(sessionId)?.activeLeafId || null;
+}
+
+// Add a message after `parentId` (default: the active leaf) and make it the active leaf (persisted on the next save)
+function addMessage(sessionId, message) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+
+  const entry = {
+    id: nanoid(),
+    createdAt: new Date().toISOString(),
+    parentId: session.activeLeafId,
+    ...message,
+  };
+  session.messages.push(entry);
+  session.activeLeafId = entry.id;
+  session.updatedAt = entry.createdAt;
+
+  return entry;
+}
+
+// Show the branch through a message: its newest descendants down to a leaf
+function selectBranch(sessionId, messageId) {
+  const session = sessions.get(sessionId);
+  if (!session?.messages.some((m) => m.id === messageId)) return false;
+
+  let leafId = messageId;
+  for (;;) {
+    const newestChild = session.messages.findLast((m) => m.parentId === leafId);
+    if (!newestChild) break;
+    leafId = newestChild.id;
+  }
+
+  session.activeLeafId = leafId;
+  saveToDisk(sessionId);
+  return true;
+}
+
+// Get the messages of a branch from the root to a message (default: the active leaf), with their history.
+// The messages are live (persisted on the next save).
+function getBranch(sessionId, messageId = undefined) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+  return getPath(session, messageId === undefined ? session.activeLeafId : messageId);
+}
+
+// Get the model history up to a message (default: the active leaf), as a new array
+function getHistory(sessionId, messageId = undefined) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+  const leafId = messageId === undefined ? session.activeLeafId : messageId;
+  return getPath(session, leafId).flatMap((m) => m.history || []);
+}
+
+// Clear every branch of a session
+function clearHistory(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+
+  session.messages = [];
+  session.activeLeafId = null;
+  session.updatedAt = new Date().toISOString();
+  saveToDisk(sessionId);
+}
+
+// Initialize on module load
+init();
+
+export default {
+  createSession,
+  forkSession,
+  getSessions,
+  getSession,
+  hasSession,
+  updateSession,
+  deleteSession,
+  getMessages,
+  getMessage,
+  getActiveLeafId,
+  addMessage,
+  selectBranch,
+  getBranch,
+  getHistory,
+  clearHistory,
+  saveToDisk,
+  loadFromDisk
+};
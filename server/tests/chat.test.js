@@ -0,0 +1,735 @@
+import { fixturePath } from './setup.js';
+import fs from 'fs';
+import path from 'path';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import aiClient from '../aiClient.js';
+import agentConfig from '../agentConfig.js';
+import { getText } from '../messageFormat.js';
+import fileStore from '../fileStore.js';
+import memoryStore from '../memoryStore.js';
+import modeStore from '../modeStore.js';
+import conversationStore from '../conversationStore.js';
+import pendingChangeStore from '../pendingChangeStore.js';
+import revisionStore from '../revisionStore.js';
+import sessionStore from '../sessionStore.js';
+
+const provider = aiClient.getProvider('mock');
+
+beforeEach(() => {
+  provider.setScript(null);
+});
+
+test('replies with the scripted text and records the transcript', async () => {
+  provider.setScript([{ text: 'Start with ten customer interviews.' }]);
+
+  const result = await aiClient.chat('chat-basic', 'Where do I start?');
+
+  assert.equal(result.text, 'Start with ten customer interviews.');
+  assert.deepEqual(result.editedFiles, []);
+  assert.equal(result.provider, 'mock');
+
+  const messages = aiClient.getMessages('chat-basic');
+  assert.deepEqual(messages.map((m) => [m.role, m.text]), [
+    ['user', 'Where do I start?'],
+    ['agent', 'Start with ten customer interviews.'],
+  ]);
+});
+
+test('runs tool calls and feeds their results back to the model', async () => {
+  provider.loadScript(fixturePath('tool-loop.json'));
+
+  const result = await aiClient.chat('chat-tools', 'Add onboarding to the MVP');
+
+  assert.equal(provider.requests.length, 3);
+  assert.equal(result.text, 'Let me check the current feature list.\n\nI added founder onboarding to your core features.');
+  assert.deepEqual(result.editedFiles, ['Idea 1/MVP/features.md']);
+  assert.match(fileStore.getFile('Idea 1/MVP/features.md'), /Founder onboarding/);
+
+  // The read_file result is sent back as a tool message matching the call ID
+  const secondHistory = provider.requests[1].history;
+  const [call] = secondHistory.at(-2).content.filter((b) => b.type === 'tool_call');
+  const [toolResult] = secondHistory.at(-1).content;
+  assert.equal(secondHistory.at(-1).role, 'tool');
+  assert.equal(toolResult.id, call.id);
+  assert.match(toolResult.result.content, /# Feature List/);
+
+  const agentMessage = aiClient.getMessages('chat-tools').at(-1);
+  assert.deepEqual(agentMessage.toolCalls.map((c) => c.name), ['read_file', 'edit_file']);
+});
+
+test('injects relevant memories into the system prompt', async () => {
+  const memory = memoryStore.createMemory({
+    type: 'DECISION',
+    summary: 'Focus on dental clinics as the first customer segment',
+    importance: 0.9,
+  });
+
+  const result = await aiClient.chat('chat-memory', 'Which dental clinics should we call?');
+
+  const { systemPrompt } = provider.requests[0];
+  assert.match(systemPrompt, /## MEMORY BANK/);
+  assert.ok(systemPrompt.includes(`ID: ${memory.id}`));
+  assert.ok(result.memoryUsed.some((m) => m.id === memory.id));
+});
+
+test('summarizes recent customer conversations in the system prompt', async () => {
+  const conversation = conversationStore.createConversation({
+    customerName: 'Northside Dental',
+    date: '2026-10-01',
+    time: '14:00',
+    notes: 'Would pay $49/month if it syncs with their calendar.',
+    potentialCustomer: 'yes',
+    linkedIdeas: ['Idea 1'],
+  });
+  provider.setScript([{ text: 'Northside Dental is your warmest lead.' }]);
+
+  await aiClient.chat('chat-conversations', 'Who should I follow up with?');
+
+  const { systemPrompt } = provider.requests[0];
+  assert.match(systemPrompt, /## CUSTOMER CONVERSATIONS \(Most Recent\)/);
+  assert.ok(systemPrompt.includes(`**Northside Dental** (ID: ${conversation.id}, 2026-10-01, draft)`));
+  assert.match(systemPrompt, /Notes: Would pay \$49\/month/);
+});
+
+test("uses the Devil's Advocate prompt in that mode", async () => {
+  await aiClient.chat('chat-devil', 'We will charge $99/month', { mode: 'devils_advocate' });
+
+  assert.match(provider.requests[0].systemPrompt, /You are the Devil's Advocate/);
+});
+
+test('streams reply text as deltas and reports tool status', async () => {
+  provider.loadScript(fixturePath('tool-loop.json'));
+  const deltas = [];
+  const statuses = [];
+
+  const result = await aiClient.chat('chat-stream', 'Add onboarding to the MVP', {
+    onDelta: (text) => deltas.push(text),
+    onStatus: (status) => statuses.push(status),
+  });
+
+  assert.ok(deltas.length > 2);
+  assert.equal(deltas.join(''), result.text);
+  assert.deepEqual(statuses, [
+    'Thinking...',
+    'Reading features.md...',
+    'Thinking...',
+    'Editing features.md...',
+    'Thinking...',
+  ]);
+});
+
+test('runs read-only tool calls as a batch and writes in order', async () => {
+  const read = (path) => ({ name: 'read_file', args: { path } });
+  provider.setScript([
+    {
+      toolCalls: [
+        read('Idea 1/MVP/features.md'),
+        read('Idea 1/research/research.md'),
+        read('Idea 1/nope.md'),
+        { name: 'edit_file', args: { path: 'Idea 1/MVP/features.md', content: '# Features\n\n- Batch import\n' } },
+        read('Idea 1/MVP/features.md'),
+      ],
+    },
+    { text: 'Done.' },
+  ]);
+  const statuses = [];
+
+  await aiClient.chat('chat-batch', 'Review and update my features', { onStatus: (status) => statuses.push(status) });
+
+  assert.deepEqual(statuses, [
+    'Thinking...',
+    'Reading 3 files...',
+    'Editing features.md...',
+    'Reading features.md...',
+    'Thinking...',
+  ]);
+
+  // Results keep the order of the calls; the read after the edit sees it
+  const history = provider.requests[1].history;
+  const callIds = history.at(-2).content.filter((b) => b.type === 'tool_call').map((b) => b.id);
+  const results = history.at(-1).content;
+  assert.deepEqual(results.map((r) => r.id), callIds);
+  assert.match(results[0].result.content, /# Feature List/);
+  assert.equal(results[2].result.error, 'File not found: "Idea 1/nope.md"');
+  assert.equal(results[4].result.content, '# Features\n\n- Batch import\n');
+});
+
+test('stops runaway tool loops', async () => {
+  provider.loadScript(fixturePath('runaway-loop.json'));
+
+  await assert.rejects(
+    aiClient.chat('chat-runaway', 'Loop forever'),
+    /Too many function call iterations/
+  );
+});
+
+test('stages edits for review instead of writing them when the session reviews edits', async () => {
+  const original = '# Customer Outreach\n';
+  fileStore.setFile('Idea 1/customers/outreach.md', original);
+  await aiClient.chat('chat-review', 'hi');
+  aiClient.updateSession('chat-review', { reviewEdits: true });
+
+  provider.setScript([
+    { toolCalls: [{ name: 'append_to_file', args: { path: 'Idea 1/customers/outreach.md', content: '- Email Dr. Lee\n' } }] },
+    { toolCalls: [{ name: 'read_file', args: { path: 'Idea 1/customers/outreach.md' } }] },
+    { text: 'Proposed an outreach entry.' },
+  ]);
+  const changes = [];
+
+  const result = await aiClient.chat('chat-review', 'Log Dr. Lee', { onChange: (change) => changes.push(change) });
+
+  assert.deepEqual(result.editedFiles, []);
+  assert.deepEqual(result.proposedFiles, ['Idea 1/customers/outreach.md']);
+  assert.equal(fileStore.getFile('Idea 1/customers/outreach.md'), original);
+  assert.equal(changes[0].additions, 1);
+
+  // The agent reads back its own proposal
+  const [readResult] = provider.requests[2].history.at(-1).content;
+  assert.equal(readResult.result.content, '# Customer Outreach\n- Email Dr. Lee\n');
+
+  const change = aiClient.getPendingChange('chat-review', 'Idea 1/customers/outreach.md');
+  assert.deepEqual(change.rows.find((row) => row.type !== 'equal'), {
+    type: 'add',
+    left: null,
+    right: { number: 2, text: '- Email Dr. Lee' },
+  });
+
+  const accepted = aiClient.acceptChange('chat-review', 'Idea 1/customers/outreach.md');
+  assert.equal(fileStore.getFile('Idea 1/customers/outreach.md'), '# Customer Outreach\n- Email Dr. Lee\n');
+  assert.deepEqual(aiClient.getPendingChanges('chat-review'), []);
+
+  // The accepted edit joins the turn's changeset, so the turn can be reverted
+  assert.equal(accepted.turnId, result.messageId);
+  assert.deepEqual(accepted.changeset.files.map((f) => f.path), ['Idea 1/customers/outreach.md']);
+  aiClient.revertTurn('chat-review', result.messageId);
+  assert.equal(fileStore.getFile('Idea 1/customers/outreach.md'), original);
+});
+
+test('stages the files of a slash command action for review when the session reviews edits', async () => {
+  await aiClient.chat('chat-review-command', 'hi');
+  aiClient.updateSession('chat-review-command', { reviewEdits: true });
+  const changes = [];
+
+  const result = await aiClient.chat('chat-review-command', '/new-idea', { onChange: (change) => changes.push(change) });
+
+  assert.deepEqual(result.editedFiles, []);
+  assert.ok(result.proposedFiles.length > 0);
+  assert.deepEqual(changes.map((change) => change.path), result.proposedFiles);
+  assert.ok(result.proposedFiles.every((filePath) => fileStore.getFile(filePath) === null));
+  assert.deepEqual(aiClient.getPendingChanges('chat-review-command').map((change) => change.path), result.proposedFiles);
+
+  // A second staged idea takes the next name; rejecting both leaves no gap in the numbering
+  const ideaName = result.text.match(/Idea \d+/)[0];
+  const second = await aiClient.chat('chat-review-command', '/new-idea');
+  assert.notEqual(second.text.match(/Idea \d+/)[0], ideaName);
+  for (const filePath of [...result.proposedFiles, ...second.proposedFiles]) {
+    aiClient.rejectChange('chat-review-command', filePath);
+  }
+  aiClient.updateSession('chat-review-command', { reviewEdits: false });
+  const created = await aiClient.chat('chat-review-command', '/new-idea');
+  assert.equal(created.text.match(/Idea \d+/)[0], ideaName);
+});
+
+test('refuses slash command actions that write files in read-only modes', async () => {
+  const ideasBefore = fileStore.getTree().children.length;
+
+  const refused = await aiClient.chat('chat-command-readonly', '/new-idea', { mode: 'devils_advocate' });
+  const debate = await aiClient.chat('chat-command-readonly', '/new-idea', { mode: 'debate' });
+
+  assert.equal(refused.text, '/new-idea is not allowed: this mode is read-only unless the founder allows edits');
+  assert.equal(debate.text, refused.text);
+  assert.deepEqual(refused.editedFiles, []);
+  assert.equal(fileStore.getTree().children.length, ideasBefore);
+
+  const allowed = await aiClient.chat('chat-command-readonly', '/new-idea', { mode: 'devils_advocate', allowEdits: true });
+  assert.match(allowed.text, /^Created \*\*Idea \d+\*\*/);
+});
+
+test('refuses to accept a pending edit when the file changed since it was proposed', () => {
+  fileStore.setFile('Idea 1/customers/outreach.md', '# Outreach\n');
+  pendingChangeStore.stageChange('chat-conflict', 'Idea 1/customers/outreach.md', '# Outreach v2\n');
+  fileStore.setFile('Idea 1/customers/outreach.md', '# Outreach (edited by hand)\n');
+
+  assert.throws(() => aiClient.acceptChange('chat-conflict', 'Idea 1/customers/outreach.md'), { status: 409 });
+  assert.equal(fileStore.getFile('Idea 1/customers/outreach.md'), '# Outreach (edited by hand)\n');
+
+  assert.equal(aiClient.rejectChange('chat-conflict', 'Idea 1/customers/outreach.md'), true);
+  assert.deepEqual(aiClient.getPendingChanges('chat-conflict'), []);
+});
+
+test('reverts every file a turn wrote and logs the revert', async () => {
+  fileStore.setFile('Idea 1/MVP/features.md', '# Feature List\n');
+  provider.setScript([
+    {
+      toolCalls: [
+        { name: 'edit_file', args: { path: 'Idea 1/MVP/features.md', content: '# Feature List\n- Onboarding\n' } },
+        { name: 'edit_file', args: { path: 'Idea 1/MVP/roadmap.md', content: '# Roadmap\n' } },
+      ],
+    },
+    { text: 'Updated the features and added a roadmap.' },
+  ]);
+
+  const result = await aiClient.chat('chat-revert', 'Plan the MVP');
+  assert.deepEqual(result.changeset.files.map((f) => f.path), ['Idea 1/MVP/features.md', 'Idea 1/MVP/roadmap.md']);
+
+  // A later hand edit blocks the revert unless forced
+  fileStore.setFile('Idea 1/MVP/roadmap.md', '# Roadmap\n- Q1\n');
+  assert.throws(() => aiClient.revertTurn('chat-revert', result.messageId), {
+    status: 409,
+    conflicts: ['Idea 1/MVP/roadmap.md'],
+  });
+
+  const event = aiClient.revertTurn('chat-revert', result.messageId, { force: true });
+
+  assert.equal(fileStore.getFile('Idea 1/MVP/features.md'), '# Feature List\n');
+  assert.equal(fileStore.getFile('Idea 1/MVP/roadmap.md'), null);
+  assert.equal(event.role, 'event');
+  assert.equal(event.revertOf, result.messageId);
+
+  const agentMessage = aiClient.getMessages('chat-revert').find((m) => m.id === result.messageId);
+  assert.equal(agentMessage.changeset.revertedBy, event.id);
+  assert.throws(() => aiClient.revertTurn('chat-revert', result.messageId), /already been reverted/);
+
+  // The revert is itself revertible
+  aiClient.revertTurn('chat-revert', event.id);
+  assert.equal(fileStore.getFile('Idea 1/MVP/features.md'), '# Feature List\n- Onboarding\n');
+  assert.equal(fileStore.getFile('Idea 1/MVP/roadmap.md'), '# Roadmap\n- Q1\n');
+});
+
+test("keeps Devil's Advocate read-only unless the founder allows edits", async () => {
+  fileStore.setFile('Idea 1/research/assumptions.md', '# Assumptions\n');
+  const editCall = { name: 'edit_file', args: { path: 'Idea 1/research/assumptions.md', content: '# Gone\n' } };
+  provider.setScript([{ toolCalls: [editCall] }, { text: 'Could not edit.' }]);
+
+  const result = await aiClient.chat('chat-readonly', 'Rewrite my assumptions', { mode: 'devils_advocate' });
+
+  assert.ok(!provider.requests[0].tools.includes('edit_file'));
+  assert.ok(provider.requests[0].tools.includes('read_file'));
+  const [toolResult] = provider.requests[1].history.at(-1).content;
+  assert.match(toolResult.result.error, /edit_file is not allowed: this mode is read-only/);
+  assert.deepEqual(result.editedFiles, []);
+  assert.equal(fileStore.getFile('Idea 1/research/assumptions.md'), '# Assumptions\n');
+
+  provider.setScript([{ toolCalls: [editCall] }, { text: 'Done.' }]);
+  await aiClient.chat('chat-readonly', 'Go ahead', { mode: 'devils_advocate', allowEdits: true });
+
+  assert.ok(provider.requests[0].tools.includes('edit_file'));
+  assert.match(provider.requests[0].systemPrompt, /allowed file edits for this message/);
+  assert.equal(fileStore.getFile('Idea 1/research/assumptions.md'), '# Gone\n');
+});
+
+test('runs a mode defined as a workspace file with its prompt, tools and model', async () => {
+  const modesDir = path.join(process.env.WORKSPACE_DIR, 'modes');
+  assert.equal(fs.existsSync(modesDir), false);
+
+  // The example mode is written when modes are first listed
+  assert.ok(aiClient.getModes().some((m) => m.id === 'investor'));
+  fs.writeFileSync(path.join(modesDir, 'pricing.json'), JSON.stringify({
+    label: 'Pricing Coach',
+    systemPrompt: 'You are a pricing coach.',
+    outputStructure: '1. **Price** 2. **Why**',
+    tools: ['read_file', 'edit_file'],
+    paths: ['Idea 1/pricing/**'],
+    provider: 'mock',
+    model: 'mock-pricing',
+  }));
+  const modeProvider = aiClient.getProvider('mock', 'mock-pricing');
+  const editCall = { name: 'edit_file', args: { path: 'Idea 1/MVP/features.md', content: '# Gone\n' } };
+  modeProvider.setScript([{ toolCalls: [editCall] }, { text: 'Charge $49.' }]);
+
+  const pricing = aiClient.getModes().find((m) => m.id === 'pricing');
+  assert.equal(pricing.label, 'Pricing Coach');
+
+  const result = await aiClient.chat('chat-custom-mode', 'What should I charge?', { mode: 'pricing' });
+
+  assert.equal(result.model, 'mock-pricing');
+  const [request] = modeProvider.requests;
+  assert.match(request.systemPrompt, /You are a pricing coach\.\n\nOutput structure:\n1\. \*\*Price\*\*/);
+  assert.deepEqual(request.tools, ['edit_file', 'read_file']);
+  const [toolResult] = modeProvider.requests[1].history.at(-1).content;
+  assert.match(toolResult.result.error, /Access to "Idea 1\/MVP\/features.md" is not allowed in this mode/);
+
+  // Mode files are read again only when they change
+  assert.equal(modeStore.getMode('pricing'), modeStore.getMode('pricing'));
+  fs.writeFileSync(path.join(modesDir, 'pricing.json'), JSON.stringify({ label: 'Pricing Mentor', systemPrompt: 'You are a pricing mentor.' }));
+  assert.equal(aiClient.getModes().find((m) => m.id === 'pricing').label, 'Pricing Mentor');
+});
+
+test('shows debate speakers only the files their mode may access', async (t) => {
+  // Limit the Devil's Advocate to research files for this test
+  const { permissions } = agentConfig.getMode('devils_advocate');
+  const { paths } = permissions;
+  permissions.paths = ['*/research/**'];
+  t.after(() => {
+    permissions.paths = paths;
+  });
+  provider.setScript([{ text: 'For.' }, { text: 'Against.' }, { text: '1. **Decision** - Wait' }]);
+
+  await aiClient.chat('chat-debate-paths', 'Should we build it?', { mode: 'debate', rounds: 1 });
+
+  const [copilotTree, devilTree] = provider.requests.map((request) => request.systemPrompt.split('Current workspace file tree:')[1]);
+  assert.match(copilotTree, /MVP\//);
+  assert.match(devilTree, /research\.md/);
+  assert.doesNotMatch(devilTree, /MVP\//);
+});
+
+test('debates a question in turns and saves the verdict as a decision', async () => {
+  const memory = memoryStore.createMemory({
+    type: 'CUSTOMER_CONVO',
+    summary: 'Three bakeries said they would pay for waste forecasting',
+    importance: 0.8,
+  });
+  provider.setScript([
+    { text: 'Bakeries already asked for this.' },
+    { text: 'Three bakeries is not a market.' },
+    { text: 'Copilot: interview five more.' },
+    { text: 'Devil: still no pricing evidence.' },
+    { text: `1. **Decision** - Run a paid pilot with two bakeries before building [Memory #${memory.id}]` },
+  ]);
+  const speakers = [];
+
+  const result = await aiClient.chat('chat-debate', 'Should we build waste forecasting for bakeries?', {
+    mode: 'debate',
+    rounds: 2,
+    saveDecision: true,
+    onSpeaker: (speaker) => speakers.push([speaker.label, speaker.round]),
+  });
+
+  assert.deepEqual(speakers, [
+    ['Copilot', 1], ["Devil's Advocate", 1], ['Copilot', 2], ["Devil's Advocate", 2], ['Verdict', null],
+  ]);
+  assert.match(provider.requests[0].systemPrompt, /debate with Devil's Advocate/);
+  assert.ok(!provider.requests[0].tools.includes('edit_file'));
+  assert.match(provider.requests[1].history[0].content[0].text, /Bakeries already asked for this\./);
+  assert.match(provider.requests[4].systemPrompt, /moderator of a debate/);
+
+  assert.deepEqual(result.citedMemories, [memory.id]);
+  const decision = memoryStore.getMemory(result.decisionMemoryId);
+  assert.equal(decision.type, 'DECISION');
+  assert.equal(decision.summary, `Run a paid pilot with two bakeries before building [Memory #${memory.id}]`);
+  assert.deepEqual(decision.source, { kind: 'AGENT_OUTPUT', ref: 'chat-debate' });
+
+  const messages = aiClient.getMessages('chat-debate');
+  assert.deepEqual(messages.map((m) => [m.role, m.mode, m.debate?.round]), [
+    ['user', 'debate', undefined],
+    ['agent', 'copilot', 1],
+    ['agent', 'devils_advocate', 1],
+    ['agent', 'copilot', 2],
+    ['agent', 'devils_advocate', 2],
+    ['agent', 'debate', null],
+  ]);
+  assert.equal(messages.at(-1).id, result.messageId);
+  assert.equal(aiClient.getHistory('chat-debate').length, 2);
+});
+
+test('stops a turn mid-stream, keeping the partial text', async () => {
+  provider.setScript([{ text: 'Interview ten bakeries before you build anything.', delayMs: 5 }]);
+  const controller = new AbortController();
+  const deltas = [];
+
+  const result = await aiClient.chat('chat-stop', 'What next?', {
+    signal: controller.signal,
+    onDelta: (delta) => {
+      deltas.push(delta);
+      if (deltas.length === 2) controller.abort();
+    },
+  });
+
+  assert.equal(result.stopped, true);
+  assert.equal(result.text, 'Interview ten ');
+  assert.equal(aiClient.getMessages('chat-stop').at(-1).stopped, true);
+  const history = aiClient.getHistory('chat-stop');
+  assert.deepEqual(history.map((m) => m.role), ['user', 'assistant']);
+  assert.match(history.at(-1).content[0].text, /^Interview ten \n\n\[Stopped by the founder\]$/);
+});
+
+test('drops tool calls that arrive after the turn was stopped', async () => {
+  fileStore.setFile('Idea 1/MVP/stop.md', '# Keep me\n');
+  const editCall = { name: 'edit_file', args: { path: 'Idea 1/MVP/stop.md', content: '# Gone\n' } };
+  provider.setScript([{ text: 'Rewriting it now.', toolCalls: [editCall] }]);
+  const controller = new AbortController();
+
+  const result = await aiClient.chat('chat-stop-tools', 'Rewrite it', {
+    signal: controller.signal,
+    onDelta: () => controller.abort(),
+  });
+
+  assert.equal(result.stopped, true);
+  assert.equal(result.text, 'Rewriting it now.');
+  assert.deepEqual(result.editedFiles, []);
+  assert.equal(fileStore.getFile('Idea 1/MVP/stop.md'), '# Keep me\n');
+  const last = aiClient.getHistory('chat-stop-tools').at(-1);
+  assert.deepEqual(last.content.map((b) => b.type), ['text']);
+});
+
+test('edits a user message into a new branch and keeps the original', async () => {
+  provider.setScript([{ text: 'Reply one.' }, { text: 'Reply two.' }, { text: 'Reply to the edit.' }]);
+  const first = await aiClient.chat('chat-branch', 'Pick a market');
+  await aiClient.chat('chat-branch', 'Why that one?');
+
+  const edited = await aiClient.chat('chat-branch', 'Pick a B2B market', { branchFrom: first.userMessageId });
+
+  const branch = aiClient.getMessages('chat-branch');
+  assert.deepEqual(branch.map((m) => m.text), ['Pick a B2B market', 'Reply to the edit.']);
+  assert.deepEqual(branch[0].siblingIds, [first.userMessageId, edited.userMessageId]);
+  assert.deepEqual(provider.requests[2].history.map((m) => m.role), ['user']);
+  assert.deepEqual(aiClient.getHistory('chat-branch').map((m) => getText(m)), ['Pick a B2B market', 'Reply to the edit.']);
+
+  const original = aiClient.selectBranch('chat-branch', first.userMessageId);
+  assert.deepEqual(original.map((m) => m.text), ['Pick a market', 'Reply one.', 'Why that one?', 'Reply two.']);
+  assert.equal(aiClient.getHistory('chat-branch').length, 4);
+});
+
+test('regenerates a reply as a sibling of the original', async () => {
+  provider.setScript([{ text: 'A weak answer.' }, { text: 'A better answer.' }]);
+  const weak = await aiClient.chat('chat-regenerate', 'Name the riskiest assumption');
+
+  const better = await aiClient.chat('chat-regenerate', null, { branchFrom: weak.messageId });
+
+  assert.equal(better.userMessageId, weak.userMessageId);
+  assert.deepEqual(provider.requests[1].history.map((m) => getText(m)), ['Name the riskiest assumption']);
+  const branch = aiClient.getMessages('chat-regenerate');
+  assert.deepEqual(branch.map((m) => m.text), ['Name the riskiest assumption', 'A better answer.']);
+  assert.deepEqual(branch[1].siblingIds, [weak.messageId, better.messageId]);
+
+  await assert.rejects(
+    aiClient.chat('chat-regenerate', null, { branchFrom: 'missing' }),
+    (err) => err.status === 404
+  );
+});
+
+test('splits the flat history of sessions saved before branching', () => {
+  const call = { type: 'tool_call', id: 'c1', name: 'read_file', args: { path: 'Idea 1/MVP/features.md' } };
+  const history = [
+    { role: 'user', content: [{ type: 'text', text: 'Check my MVP' }] },
+    { role: 'assistant', content: [call] },
+    { role: 'tool', content: [{ type: 'tool_result', id: 'c1', name: 'read_file', result: { content: '# MVP' } }] },
+    { role: 'assistant', content: [{ type: 'text', text: 'It is empty.' }] },
+    { role: 'user', content: [{ type: 'text', text: 'Fill it in' }] },
+    { role: 'assistant', content: [{ type: 'text', text: 'Done.' }] },
+  ];
+  const legacy = {
+    id: 'chat-legacy',
+    title: 'Legacy',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    messages: [
+      { id: 'm1', role: 'user', text: 'Check my MVP' },
+      { id: 'm2', role: 'agent', text: 'It is empty.' },
+      { id: 'm3', role: 'user', text: 'Fill it in' },
+      { id: 'm4', role: 'agent', text: 'Done.' },
+    ],
+    history,
+  };
+  const sessionsDir = path.join(process.env.WORKSPACE_DIR, 'sessions');
+  fs.writeFileSync(path.join(sessionsDir, 'chat-legacy.json'), JSON.stringify(legacy));
+
+  sessionStore.loadFromDisk();
+
+  assert.deepEqual(aiClient.getHistory('chat-legacy'), history);
+  assert.deepEqual(aiClient.getMessages('chat-legacy').map((m) => m.parentId), [null, 'm1', 'm2', 'm3']);
+  assert.equal(sessionStore.getMessage('chat-legacy', 'm2').history.length, 3);
+});
+
+test('compacts long sessions: elides old tool outputs, then summarizes old turns', async (t) => {
+  t.after(() => { delete provider.config.contextWindow; });
+  fileStore.setFile('Idea 1/Research/interviews.md', `# Interviews\n${'- Clinics book by phone.\n'.repeat(200)}`);
+  provider.setScript([
+    { toolCalls: [{ name: 'read_file', args: { path: 'Idea 1/Research/interviews.md' } }] },
+    { text: 'Clinics book by phone.' },
+    { text: 'Start with dentists.' },
+    { text: 'Call ten of them.' },
+    { text: 'The founder read their interviews and chose dentists.' },
+    { text: 'Offer a pilot.' },
+  ]);
+  await aiClient.chat('chat-compact', 'Read my interviews');
+  await aiClient.chat('chat-compact', 'Which segment first?');
+
+  // Just big enough once the interview file is elided
+  const { systemPrompt, history, tools } = provider.requests[2];
+  provider.config.contextWindow = 2 * (provider.estimateTokens({ systemPrompt, history, tools }) - 500);
+  const elided = await aiClient.chat('chat-compact', 'How do I reach them?');
+
+  assert.equal(elided.compaction.summary, undefined);
+  assert.ok(elided.compaction.tokensAfter < elided.compaction.tokensBefore);
+  const results = provider.requests[3].history.find((m) => m.role === 'tool').content;
+  assert.equal(results[0].result.elided, true);
+
+  // Too small for anything but a summary
+  provider.config.contextWindow = 200;
+  const summarized = await aiClient.chat('chat-compact', 'What should I offer?');
+
+  assert.equal(provider.requests[4].systemPrompt.includes('You compress the early part'), true);
+  assert.match(provider.requests[4].history[0].content[0].text, /Founder: Read my interviews/);
+  assert.equal(summarized.compaction.summary, 'The founder read their interviews and chose dentists.');
+  assert.match(provider.requests[5].systemPrompt, /Summary of the earlier conversation:\nThe founder read their interviews/);
+  assert.deepEqual(provider.requests[5].history.filter((m) => m.role === 'user').map(getText), [
+    'How do I reach them?',
+    'What should I offer?',
+  ]);
+
+  // Shown in the transcript, while the exported history keeps everything
+  const compacted = aiClient.getMessages('chat-compact').filter((m) => m.compaction);
+  assert.deepEqual(compacted.map((m) => m.text), ['How do I reach them?', 'What should I offer?']);
+  assert.equal(aiClient.getHistory('chat-compact').filter((m) => m.role === 'user').length, 4);
+});
+
+test('records token usage and cost per session, mode and idea', async (t) => {
+  const pricingPath = path.join(process.env.WORKSPACE_DIR, 'pricing.json');
+  fs.writeFileSync(pricingPath, JSON.stringify({ scripted: { input: 2, output: 10 } }));
+  t.after(() => fs.rmSync(pricingPath));
+  provider.setScript([
+    { toolCalls: [{ name: 'read_file', args: { path: 'Idea 1/MVP/features.md' } }], usage: { inputTokens: 1000, outputTokens: 20 } },
+    { text: 'The MVP is thin.', usage: { inputTokens: 1500, outputTokens: 30 } },
+  ]);
+
+  await aiClient.chat('chat-usage', 'Review my MVP');
+
+  const report = aiClient.getUsage({ sessionId: 'chat-usage' });
+  assert.deepEqual(report.totals, {
+    calls: 2, inputTokens: 2500, outputTokens: 50, cost: 0.0055, unpriced: false, estimated: false,
+  });
+  assert.deepEqual(report.bySession.map((r) => [r.sessionId, r.title]), [['chat-usage', 'Review my MVP']]);
+  assert.deepEqual(report.byMode.map((r) => r.mode), ['copilot']);
+  assert.deepEqual(report.byIdea.map((r) => r.idea), ['Idea 1']);
+  assert.deepEqual(report.byModel.map((r) => [r.provider, r.model, r.calls]), [['mock', 'scripted', 2]]);
+});
+
+test('retries a failed model call, honoring retry-after', async () => {
+  provider.setScript([
+    { error: 'Simulated overload', status: 529, retryAfter: 0 },
+    { text: 'Back again.' },
+  ]);
+  const statuses = [];
+
+  const result = await aiClient.chat('chat-retry', 'Hello', { onStatus: (status) => statuses.push(status) });
+
+  assert.equal(result.text, 'Back again.');
+  assert.ok(statuses.includes('mock (scripted) is busy, retrying in 0s...'));
+});
+
+test('records a failed reply with its partial history and changeset', async () => {
+  fileStore.setFile('Idea 1/MVP/features.md', '# Feature List\n');
+  provider.setScript([
+    { text: 'Adding onboarding.', toolCalls: [{ name: 'edit_file', args: { path: 'Idea 1/MVP/features.md', content: '# Feature List\n- Onboarding\n' } }] },
+    { error: 'Simulated bad request', status: 400 },
+    { text: 'Picking up again.' },
+  ]);
+
+  await assert.rejects(aiClient.chat('chat-failed', 'Plan the MVP'), { message: 'Simulated bad request' });
+
+  const failed = aiClient.getMessages('chat-failed').at(-1);
+  assert.equal(failed.role, 'agent');
+  assert.equal(failed.failed, true);
+  assert.equal(failed.text, 'Adding onboarding.\n\nError: Simulated bad request');
+  assert.deepEqual(failed.changeset.files.map((f) => f.path), ['Idea 1/MVP/features.md']);
+
+  // The next turn continues from the partial reply, alternating user and assistant
+  await aiClient.chat('chat-failed', 'Try again');
+  const roles = provider.requests[2].history.map((m) => m.role);
+  assert.deepEqual(roles, ['user', 'assistant', 'tool', 'assistant', 'user']);
+  assert.match(getText(provider.requests[2].history[3]), /The reply failed/);
+
+  aiClient.revertTurn('chat-failed', failed.id);
+  assert.equal(fileStore.getFile('Idea 1/MVP/features.md'), '# Feature List\n');
+});
+
+test('does not retry requests the provider rejects', async () => {
+  provider.setScript([{ error: 'Simulated bad request', status: 400 }, { text: 'Never sent.' }]);
+
+  await assert.rejects(aiClient.chat('chat-no-retry', 'Hello'), { message: 'Simulated bad request' });
+  assert.equal(provider.requests.length, 1);
+});
+
+test('falls back to the next provider and records its model', async (t) => {
+  process.env.AI_FALLBACK_PROVIDERS = 'mock:backup';
+  process.env.AI_MAX_RETRIES = '0';
+  t.after(() => {
+    delete process.env.AI_FALLBACK_PROVIDERS;
+    delete process.env.AI_MAX_RETRIES;
+  });
+  provider.setScript([{ error: 'Simulated outage', status: 503 }]);
+  aiClient.getProvider('mock', 'backup').setScript([{ text: 'Answered by the backup.' }]);
+
+  const result = await aiClient.chat('chat-fallback', 'Hello');
+
+  assert.equal(result.text, 'Answered by the backup.');
+  assert.equal(result.model, 'backup');
+  assert.equal(aiClient.getMessages('chat-fallback').at(-1).model, 'backup');
+});
+
+test('times out a model call that does not answer', async (t) => {
+  process.env.AI_TIMEOUT_MS = '20';
+  process.env.AI_MAX_RETRIES = '0';
+  t.after(() => {
+    delete process.env.AI_TIMEOUT_MS;
+    delete process.env.AI_MAX_RETRIES;
+  });
+  provider.setScript([{ text: 'Too late.', delayMs: 200 }]);
+
+  await assert.rejects(aiClient.chat('chat-timeout', 'Hello'), { status: 408, message: /No response from the model/ });
+});
+
+test('streamed tool calls keep a model call alive without any text', async (t) => {
+  process.env.AI_TIMEOUT_MS = '150';
+  process.env.AI_MAX_RETRIES = '0';
+  t.after(() => {
+    delete process.env.AI_TIMEOUT_MS;
+    delete process.env.AI_MAX_RETRIES;
+  });
+  // Longer than the timeout in total, but never silent for that long
+  const call = { name: 'get_file_tree', args: {} };
+  provider.setScript([{ toolCalls: [call, call, call, call, call], delayMs: 50 }, { text: 'Done.' }]);
+
+  const result = await aiClient.chat('chat-tool-progress', 'Look around', { onDelta: () => {} });
+
+  assert.equal(result.text, 'Done.');
+  assert.equal(provider.requests.length, 2);
+});
+
+test('sends the prompt of a slash command in its mode, keeping the command in the transcript', async () => {
+  provider.setScript([{ text: 'Your riskiest assumption is price.' }, { text: 'Also check churn.' }]);
+
+  const result = await aiClient.chat('chat-command', '/devil Is $49 too much?', { mode: 'copilot' });
+
+  assert.match(provider.requests[0].systemPrompt, /You are the Devil's Advocate/);
+  assert.deepEqual(provider.requests[0].history.map(getText), ['Is $49 too much?']);
+  assert.deepEqual(aiClient.getMessages('chat-command').map((m) => [m.text, m.mode]), [
+    ['/devil Is $49 too much?', 'devils_advocate'],
+    ['Your riskiest assumption is price.', 'devils_advocate'],
+  ]);
+
+  // Regenerating runs the command again
+  await aiClient.chat('chat-command', null, { mode: 'copilot', branchFrom: result.messageId });
+  assert.match(provider.requests[1].systemPrompt, /You are the Devil's Advocate/);
+});
+
+test('runs the action of a slash command without calling the model', async () => {
+  const memory = memoryStore.createMemory({ type: 'LESSON', summary: 'Flyers at the gym brought no signups' });
+  const unrelated = memoryStore.createMemory({ type: 'DECISION', summary: 'Charge $49 a month' });
+
+  const result = await aiClient.chat('chat-command-action', '/memory gym flyers');
+
+  assert.equal(provider.requests.length, 0);
+  assert.ok(result.text.startsWith('Memories matching "gym flyers":'));
+  assert.ok(result.text.includes(`Flyers at the gym brought no signups (ID: ${memory.id})`));
+  assert.ok(!result.text.includes(unrelated.id));
+
+  const none = await aiClient.chat('chat-command-action', '/memory quantum computing');
+  assert.equal(none.text, 'No memories match "quantum computing".');
+
+  // Actions write like tools: logged for the session and revertible with the turn
+  const idea = await aiClient.chat('chat-command-action', '/new-idea');
+  assert.match(idea.text, /^Created \*\*Idea \d+\*\*/);
+  assert.ok(idea.editedFiles.length > 0);
+  assert.ok(idea.editedFiles.every((filePath) => fileStore.getFile(filePath) !== null));
+  assert.deepEqual(idea.changeset.files.map((f) => f.path), idea.editedFiles);
+  const [revision] = revisionStore.getRevisions(idea.editedFiles[0]);
+  assert.deepEqual([revision.author, revision.sessionId], ['agent', 'chat-command-action']);
+
+  aiClient.revertTurn('chat-command-action', idea.messageId);
+  assert.ok(idea.editedFiles.every((filePath) => fileStore.getFile(filePath) === null));
+
+  await assert.rejects(aiClient.chat('chat-command-action', '/memory'), { status: 400, message: 'Usage: /memory <query>' });
+});
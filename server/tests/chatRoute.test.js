@@ -0,0 +1,216 @@
+import { fixturePath } from './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../index.js';
+import aiClient from '../aiClient.js';
+
+const provider = aiClient.getProvider('mock');
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  provider.setScript(null);
+});
+
+function postChat(body) {
+  return fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+/** Read an SSE response into its parsed `data:` events */
+async function readEvents(res) {
+  const text = await res.text();
+  return text
+    .split('\n\n')
+    .filter((chunk) => chunk.startsWith('data: '))
+    .map((chunk) => JSON.parse(chunk.slice(6)));
+}
+
+test('streams status, delta and done events', async () => {
+  provider.loadScript(fixturePath('tool-loop.json'));
+
+  const res = await postChat({ sessionId: 'route-stream', message: 'Add onboarding', stream: true });
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+
+  const events = await readEvents(res);
+  const done = events.at(-1);
+  const deltas = events.filter((e) => e.type === 'delta').map((e) => e.text);
+
+  assert.equal(events[0].type, 'status');
+  assert.ok(events.some((e) => e.type === 'status' && e.status === 'Editing features.md...'));
+  assert.equal(done.type, 'done');
+  assert.equal(deltas.join(''), done.text);
+  assert.deepEqual(done.editedFiles, ['Idea 1/MVP/features.md']);
+});
+
+test('streams an error event when the provider fails', async () => {
+  provider.setScript([{ error: 'Simulated bad request', status: 400 }]);
+
+  const events = await readEvents(await postChat({ sessionId: 'route-error', message: 'Hi', stream: true }));
+
+  assert.deepEqual(events.at(-1), { type: 'error', error: 'Simulated bad request' });
+});
+
+test('reports retries and provider switches as status events', async (t) => {
+  process.env.AI_FALLBACK_PROVIDERS = 'mock:backup';
+  process.env.AI_MAX_RETRIES = '1';
+  t.after(() => {
+    delete process.env.AI_FALLBACK_PROVIDERS;
+    delete process.env.AI_MAX_RETRIES;
+  });
+  provider.setScript([
+    { error: 'Simulated rate limit', status: 429, retryAfter: 0 },
+    { error: 'Simulated overload', status: 529, retryAfter: 0 },
+  ]);
+
+  const events = await readEvents(await postChat({ sessionId: 'route-fallback', message: 'Hi', stream: true }));
+
+  assert.deepEqual(events.filter((e) => e.type === 'status').map((e) => e.status), [
+    'Thinking...',
+    'mock (scripted) is busy, retrying in 0s...',
+    'mock (scripted) is unavailable, switching to mock (backup)...',
+  ]);
+  assert.equal(events.at(-1).text, 'Mock reply to: Hi');
+  assert.equal(events.at(-1).model, 'backup');
+});
+
+test('answers with JSON when not streaming', async () => {
+  const res = await postChat({ sessionId: 'route-json', message: 'Hello' });
+  const data = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(data.text, 'Mock reply to: Hello');
+});
+
+test('rejects requests without a session or message', async () => {
+  const res = await postChat({ message: 'Hello' });
+
+  assert.equal(res.status, 400);
+});
+
+test('restores the transcript of a session', async () => {
+  await postChat({ sessionId: 'route-restore', message: 'Remember me' });
+
+  const res = await fetch(`${baseUrl}/api/sessions/route-restore/messages`);
+  const { messages } = await res.json();
+
+  assert.deepEqual(messages.map((m) => m.text), ['Remember me', 'Mock reply to: Remember me']);
+});
+
+test('stops the turn when the client disconnects', async () => {
+  provider.setScript([{ text: 'A very long answer that the founder will not wait for.', delayMs: 20 }]);
+  const controller = new AbortController();
+
+  const res = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: 'route-stop', message: 'Go', stream: true }),
+    signal: controller.signal,
+  });
+  const reader = res.body.getReader();
+  await reader.read();
+  controller.abort();
+
+  // The server records the stopped reply once it notices the disconnect
+  let reply;
+  for (let i = 0; i < 50 && !reply; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    reply = aiClient.getMessages('route-stop')?.find((m) => m.role === 'agent');
+  }
+  assert.equal(reply?.stopped, true);
+  assert.ok(reply.text.length < 'A very long answer that the founder will not wait for.'.length);
+});
+
+test('the stop endpoint responds once the stopped reply is recorded', async () => {
+  provider.setScript([{ text: 'A very long answer that the founder will not wait for.', delayMs: 20 }]);
+  const controller = new AbortController();
+
+  const res = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: 'route-stop-endpoint', message: 'Go', stream: true }),
+    signal: controller.signal,
+  });
+  const reader = res.body.getReader();
+  await reader.read();
+  controller.abort();
+
+  const stop = await fetch(`${baseUrl}/api/sessions/route-stop-endpoint/stop`, { method: 'POST' });
+  assert.deepEqual(await stop.json(), { ok: true, stopped: true });
+
+  const { messages } = await fetch(`${baseUrl}/api/sessions/route-stop-endpoint/messages`).then((r) => r.json());
+  assert.equal(messages.at(-1).role, 'agent');
+  assert.equal(messages.at(-1).stopped, true);
+
+  // Nothing left to stop
+  const again = await fetch(`${baseUrl}/api/sessions/route-stop-endpoint/stop`, { method: 'POST' });
+  assert.deepEqual(await again.json(), { ok: true, stopped: false });
+});
+
+test('forks a session up to a message', async () => {
+  await postChat({ sessionId: 'route-fork', message: 'Pick a market' });
+  await postChat({ sessionId: 'route-fork', message: 'Go enterprise' });
+  const original = await fetch(`${baseUrl}/api/sessions/route-fork/messages`).then((r) => r.json());
+
+  const res = await fetch(`${baseUrl}/api/sessions/route-fork/fork`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageId: original.messages[1].id }),
+  });
+  const fork = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(fork.forkedFrom, { sessionId: 'route-fork', messageId: original.messages[1].id });
+
+  await postChat({ sessionId: fork.id, message: 'Go self-serve' });
+  const forked = await fetch(`${baseUrl}/api/sessions/${fork.id}/messages`).then((r) => r.json());
+  assert.deepEqual(forked.messages.map((m) => m.text), [
+    'Pick a market', 'Mock reply to: Pick a market', 'Go self-serve', 'Mock reply to: Go self-serve',
+  ]);
+  assert.equal(aiClient.getHistory(fork.id).length, 4);
+  assert.equal(aiClient.getMessages('route-fork').length, 4);
+
+  const missing = await fetch(`${baseUrl}/api/sessions/route-fork/fork`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageId: 'missing' }),
+  });
+  assert.equal(missing.status, 404);
+});
+
+test('reports token usage', async () => {
+  await postChat({ sessionId: 'route-usage', message: 'Count me' });
+
+  const report = await fetch(`${baseUrl}/api/usage?sessionId=route-usage`).then((r) => r.json());
+  assert.equal(report.totals.calls, 1);
+  assert.ok(report.totals.inputTokens > 0);
+
+  const invalid = await fetch(`${baseUrl}/api/usage?since=yesterday`);
+  assert.equal(invalid.status, 400);
+});
+
+test('lists the slash commands', async () => {
+  const { commands } = await fetch(`${baseUrl}/api/commands`).then((r) => r.json());
+
+  const summarize = commands.find((c) => c.name === 'summarize');
+  assert.deepEqual(summarize, {
+    name: 'summarize',
+    usage: '/summarize <file>',
+    description: 'Summarize a workspace file',
+    argRequired: true,
+    mode: null,
+  });
+});
@@ -0,0 +1,261 @@
+import './setup.js';
+import fs from 'fs';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import aiClient from '../aiClient.js';
+import fileStore from '../fileStore.js';
+import memoryStore from '../memoryStore.js';
+import conversationStore from '../conversationStore.js';
+
+test('read_file returns the file content', () => {
+  const result = aiClient.executeFunctionCall('read_file', { path: 'Idea 1/research/research.md' }, 'call_1');
+
+  assert.equal(result.callId, 'call_1');
+  assert.equal(result.edited, false);
+  assert.equal(result.response.path, 'Idea 1/research/research.md');
+  assert.match(result.response.content, /# Research/);
+});
+
+test('read_file reports missing files', () => {
+  const result = aiClient.executeFunctionCall('read_file', { path: 'Idea 1/nope.md' });
+
+  assert.equal(result.response.error, 'File not found: "Idea 1/nope.md"');
+});
+
+test('edit_file writes the file and flags it as edited', () => {
+  const result = aiClient.executeFunctionCall('edit_file', {
+    path: 'Idea 1/research/competitors.md',
+    content: '# Competitors\n',
+  });
+
+  assert.equal(result.edited, true);
+  assert.equal(result.editedPath, 'Idea 1/research/competitors.md');
+  assert.equal(fileStore.getFile('Idea 1/research/competitors.md'), '# Competitors\n');
+});
+
+test('get_file_tree returns the workspace tree as text', () => {
+  const result = aiClient.executeFunctionCall('get_file_tree', {});
+
+  assert.match(result.response.tree, /Idea 1\//);
+  assert.match(result.response.tree, /features\.md/);
+});
+
+test('unknown functions return an error to the model', () => {
+  const result = aiClient.executeFunctionCall('delete_everything', {});
+
+  assert.equal(result.response.error, 'Unknown function: delete_everything');
+  assert.equal(result.edited, false);
+});
+
+test('missing required arguments are reported instead of run', () => {
+  const result = aiClient.executeFunctionCall('edit_file', { path: 'Idea 1/research/research.md' });
+
+  assert.equal(result.response.error, 'Missing required argument "content" for edit_file');
+  assert.match(fileStore.getFile('Idea 1/research/research.md'), /# Research/);
+});
+
+test('search_files returns ranked line hits', () => {
+  fileStore.setFile('Idea 1/research/pricing.md', '# Pricing\n\nFreemium tiers for students.\nEnterprise pricing tiers later.\n');
+
+  const result = aiClient.executeFunctionCall('search_files', { query: 'pricing tiers' });
+  const [top] = result.response.results;
+
+  assert.equal(result.edited, false);
+  assert.equal(top.path, 'Idea 1/research/pricing.md');
+  assert.equal(top.line, 4);
+  assert.equal(top.snippet, 'Enterprise pricing tiers later.');
+});
+
+test('search index follows file edits', () => {
+  fileStore.setFile('Idea 1/research/pricing.md', '# Pricing\n');
+
+  const result = aiClient.executeFunctionCall('search_files', { query: 'freemium' });
+
+  assert.deepEqual(result.response.results, []);
+});
+
+test('patch_file applies search/replace edits', () => {
+  fileStore.setFile('Idea 1/research/pricing.md', '# Pricing\n\nTBD\n');
+
+  const result = aiClient.executeFunctionCall('patch_file', {
+    path: 'Idea 1/research/pricing.md',
+    edits: [{ search: 'TBD', replace: '$5/month' }],
+  });
+
+  assert.equal(result.edited, true);
+  assert.equal(fileStore.getFile('Idea 1/research/pricing.md'), '# Pricing\n\n$5/month\n');
+});
+
+test('patch_file returns an error and leaves the file alone when a hunk does not apply', () => {
+  fileStore.setFile('Idea 1/research/pricing.md', '# Pricing\n\nTBD\n');
+
+  const result = aiClient.executeFunctionCall('patch_file', {
+    path: 'Idea 1/research/pricing.md',
+    diff: '@@ -3,1 +3,1 @@\n-Free\n+$5/month\n',
+  });
+
+  assert.equal(result.edited, false);
+  assert.match(result.response.error, /^Patch not applied to "Idea 1\/research\/pricing\.md": Hunk 1/);
+  assert.equal(fileStore.getFile('Idea 1/research/pricing.md'), '# Pricing\n\nTBD\n');
+});
+
+test('append_to_file adds text on a new line', () => {
+  fileStore.setFile('Idea 1/customers/log.md', '# Log');
+
+  const result = aiClient.executeFunctionCall('append_to_file', {
+    path: 'Idea 1/customers/log.md',
+    content: '- Called Ana\n',
+  });
+
+  assert.equal(result.edited, true);
+  assert.equal(fileStore.getFile('Idea 1/customers/log.md'), '# Log\n- Called Ana\n');
+});
+
+test('permissions restrict tools to the allowed path globs', () => {
+  const permissions = { readOnly: false, tools: null, paths: ['*/research/**'] };
+
+  const allowed = aiClient.executeFunctionCall('read_file', { path: 'Idea 1/research/research.md' }, null, { permissions });
+  const denied = aiClient.executeFunctionCall('read_file', { path: 'Idea 1/MVP/features.md' }, null, { permissions });
+
+  assert.match(allowed.response.content, /# Research/);
+  assert.equal(denied.response.error, 'Access to "Idea 1/MVP/features.md" is not allowed in this mode');
+});
+
+test('search_files and get_file_tree leave out files the mode may not access', () => {
+  const permissions = { readOnly: true, tools: null, paths: ['*/research/**'] };
+  fileStore.setFile('Idea 1/research/competitor-pricing.md', 'Competitor pricing tiers.\n');
+  fileStore.setFile('Idea 1/MVP/secret-pricing.md', 'Secret pricing tiers.\n');
+
+  const search = aiClient.executeFunctionCall('search_files', { query: 'pricing tiers' }, null, { permissions });
+  const tree = aiClient.executeFunctionCall('get_file_tree', {}, null, { permissions });
+
+  assert.ok(search.response.results.length > 0);
+  assert.ok(search.response.results.every((hit) => hit.path.startsWith('Idea 1/research/')));
+  assert.match(tree.response.tree, /research\.md/);
+  assert.doesNotMatch(tree.response.tree, /secret-pricing\.md|features\.md|MVP\//);
+});
+
+test('paths leaving the workspace are refused, whatever the mode allows', () => {
+  const permissions = { readOnly: false, tools: null, paths: ['Idea 1/**'] };
+  const outside = path.join(process.env.WORKSPACE_DIR, '..', 'escape.md');
+
+  for (const filePath of ['Idea 1/../../escape.md', '/tmp/escape.md', 'C:\\escape.md', '../escape.md']) {
+    const result = aiClient.executeFunctionCall('edit_file', { path: filePath, content: 'x' }, null, { permissions });
+    assert.match(result.response.error, /^Invalid path/, filePath);
+  }
+  assert.equal(fs.existsSync(outside), false);
+
+  // Paths that stay inside are normalized before the globs are matched
+  const inside = aiClient.executeFunctionCall('read_file', { path: 'Idea 1/./research/../research/research.md' }, null, { permissions });
+  assert.equal(inside.response.path, 'Idea 1/research/research.md');
+  const sneaky = aiClient.executeFunctionCall('read_file', { path: 'Idea 1/../Idea 2/notes.md' }, null, { permissions });
+  assert.equal(sneaky.response.error, 'Access to "Idea 1/../Idea 2/notes.md" is not allowed in this mode');
+
+  // The file store refuses them too
+  assert.throws(() => fileStore.setFile('../escape.md', 'x'), { status: 400 });
+  assert.equal(fs.existsSync(outside), false);
+});
+
+test('create_memory records an agent memory attributed to the session', () => {
+  const result = aiClient.executeFunctionCall('create_memory', {
+    type: 'DECISION',
+    summary: 'Charge clinics per seat',
+    details: 'Three clinics said they budget per dentist.',
+    ideas: ['Idea 1'],
+    evidenceQuality: 'moderate',
+  }, null, { sessionId: 'session-42' });
+
+  const memory = memoryStore.getMemory(result.response.id);
+  assert.equal(result.edited, false);
+  assert.equal(memory.summary, 'Charge clinics per seat');
+  assert.deepEqual(memory.entities, { ideas: ['Idea 1'] });
+  assert.deepEqual(memory.signals, { evidenceQuality: 'moderate' });
+  assert.deepEqual(memory.source, { kind: 'AGENT_OUTPUT', ref: 'session-42' });
+});
+
+test('create_memory rejects unknown memory types', () => {
+  const result = aiClient.executeFunctionCall('create_memory', { type: 'HUNCH', summary: 'Maybe' });
+
+  assert.match(result.response.error, /^Unknown memory type "HUNCH"/);
+});
+
+test('search_memory and get_memory find memories by text, type and idea', () => {
+  const lesson = memoryStore.createMemory({
+    type: 'LESSON',
+    summary: 'Cold email to hospitals got no replies',
+    details: 'Sent 40 emails over two weeks.',
+    entities: { ideas: ['Idea 2'] },
+  });
+  memoryStore.createMemory({ type: 'DECISION', summary: 'Email hospitals again in spring', entities: { ideas: ['Idea 2'] } });
+
+  const search = aiClient.executeFunctionCall('search_memory', { query: 'hospitals email', type: 'LESSON', idea: 'Idea 2' });
+  assert.deepEqual(search.response.results.map((m) => m.id), [lesson.id]);
+  const unrelated = aiClient.executeFunctionCall('search_memory', { query: 'quantum computing' });
+  assert.deepEqual(unrelated.response.results, []);
+
+  const found = aiClient.executeFunctionCall('get_memory', { id: lesson.id });
+  assert.equal(found.response.memory.details, 'Sent 40 emails over two weeks.');
+  assert.equal(aiClient.executeFunctionCall('get_memory', { id: 'nope' }).response.error, 'Memory not found: "nope"');
+});
+
+test('update_memory changes only the given fields', () => {
+  const memory = memoryStore.createMemory({
+    type: 'ASSUMPTION',
+    summary: 'Clinics will pay $50/month',
+    entities: { ideas: ['Idea 1'], tags: ['pricing'] },
+  });
+
+  aiClient.executeFunctionCall('update_memory', { id: memory.id, evidenceQuality: 'weak', importance: 0.9 });
+
+  const updated = memoryStore.getMemory(memory.id);
+  assert.equal(updated.summary, 'Clinics will pay $50/month');
+  assert.deepEqual(updated.entities, { ideas: ['Idea 1'], tags: ['pricing'] });
+  assert.deepEqual(updated.signals, { evidenceQuality: 'weak' });
+  assert.equal(updated.importance, 0.9);
+});
+
+test('read-only modes may search memory but not write it', () => {
+  const permissions = { readOnly: true, tools: null, paths: ['**'] };
+
+  const search = aiClient.executeFunctionCall('search_memory', { query: 'pricing' }, null, { permissions });
+  const create = aiClient.executeFunctionCall('create_memory', { type: 'LESSON', summary: 'Nope' }, null, { permissions });
+
+  assert.ok(Array.isArray(search.response.results));
+  assert.equal(create.response.error, 'create_memory is not allowed: this mode is read-only unless the founder allows edits');
+});
+
+test('list_conversations filters by money signal and shortens notes', () => {
+  const paid = conversationStore.createConversation({
+    customerName: 'Bright Smiles Dental',
+    date: '2026-09-02',
+    time: '10:00',
+    notes: 'Paid a $200 deposit for the pilot. '.repeat(10),
+    potentialCustomer: 'yes',
+    putMoneyDown: 'yes',
+    linkedIdeas: ['Idea 1'],
+  });
+  conversationStore.createConversation({ customerName: 'City Hospital', date: '2026-09-01', notes: 'Not interested.', potentialCustomer: 'no', putMoneyDown: 'no' });
+
+  const result = aiClient.executeFunctionCall('list_conversations', { putMoneyDown: 'yes' });
+
+  assert.equal(result.response.total, 1);
+  assert.equal(result.response.conversations[0].id, paid.id);
+  assert.equal(result.response.conversations[0].notes.length, 201);
+
+  const full = aiClient.executeFunctionCall('get_conversation', { id: paid.id });
+  assert.equal(full.response.conversation.notes, paid.notes);
+});
+
+test('draft_conversation creates a draft and lists what is missing to complete it', () => {
+  const result = aiClient.executeFunctionCall('draft_conversation', {
+    customerName: 'Ana at Smile Clinic',
+    notes: 'Books patients by phone; would try a booking page.',
+    potentialCustomer: 'yes',
+  });
+
+  const draft = conversationStore.getConversation(result.response.id);
+  assert.equal(draft.completed, false);
+  assert.equal(draft.customerName, 'Ana at Smile Clinic');
+  assert.deepEqual(result.response.missing, ['Date is required', 'Time is required', 'Must answer: Did they put money down?']);
+});
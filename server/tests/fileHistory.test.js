@@ -0,0 +1,76 @@
+import './setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../index.js';
+import aiClient from '../aiClient.js';
+import fileStore from '../fileStore.js';
+
+const FILE = 'Idea 1/product/current_product.md';
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// URL of a file route, e.g. fileUrl('history') or fileUrl(`diff/${revisionId}`)
+function fileUrl(route, filePath = FILE) {
+  return `${baseUrl}/api/${route}/${encodeURI(filePath)}`;
+}
+
+test('records who changed a file and restores an older revision', async () => {
+  const template = fileStore.getFile(FILE);
+
+  await fetch(fileUrl('files'), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content: '# Product\n\nA CRM for dentists.\n' }),
+  });
+  aiClient.executeFunctionCall('edit_file', { path: FILE, content: '# Product\n' }, null, { sessionId: 'history-chat' });
+
+  const { revisions } = await (await fetch(fileUrl('history'))).json();
+  assert.deepEqual(revisions.map((r) => [r.author, r.sessionId]), [
+    ['agent', 'history-chat'],
+    ['user', undefined],
+    ['unknown', undefined], // The template, from before the first tracked write
+  ]);
+
+  const userRevision = revisions[1];
+  const diff = await (await fetch(fileUrl(`diff/${userRevision.id}`))).json();
+  assert.deepEqual(diff.rows.filter((row) => row.type !== 'equal').map((row) => row.left?.text), [
+    'A CRM for dentists.',
+    '',
+  ]);
+
+  const restore = await fetch(fileUrl(`restore/${userRevision.id}`), { method: 'POST' });
+  assert.equal(restore.status, 200);
+  assert.equal(fileStore.getFile(FILE), '# Product\n\nA CRM for dentists.\n');
+
+  const [latest] = (await (await fetch(fileUrl('history'))).json()).revisions;
+  assert.equal(latest.restoredFrom, userRevision.id);
+  assert.notEqual(template, fileStore.getFile(FILE));
+});
+
+test('returns 404 for unknown revisions', async () => {
+  const res = await fetch(fileUrl('diff/nope'));
+  assert.equal(res.status, 404);
+});
+
+test('reads files in folders named history', async () => {
+  fileStore.setFile('Idea 1/history/notes.md', '# Notes\n');
+  fileStore.setFile('Idea 1/research/history', 'Timeline\n');
+
+  const notes = await (await fetch(fileUrl('files', 'Idea 1/history/notes.md'))).json();
+  const timeline = await (await fetch(fileUrl('files', 'Idea 1/research/history'))).json();
+  const revisions = await (await fetch(fileUrl('history', 'Idea 1/history/notes.md'))).json();
+
+  assert.equal(notes.content, '# Notes\n');
+  assert.equal(timeline.content, 'Timeline\n');
+  assert.equal(revisions.revisions.length, 1);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenAIProvider from '../providers/OpenAIProvider.js';
+import { createAssistantMessage, createToolResultsMessage, createUserMessage } from '../messageFormat.js';
+
+const encoder = new TextEncoder();
+
+// A streamed response whose body arrives in the given pieces
+function streamResponse(pieces) {
+  const body = new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+      controller.close();
+    },
+  });
+  return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+const sse = (chunk) => `data: ${JSON.stringify(chunk)}\n\n`;
+
+// Stub fetch for one test; returns the parsed request bodies
+function mockFetch(t, respond) {
+  const bodies = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return respond();
+  });
+  return bodies;
+}
+
+function createProvider() {
+  return new OpenAIProvider({ baseUrl: 'http://localhost:8080/v1', model: 'local-model' });
+}
+
+test('generateContentStream assembles tool calls from argument fragments', async (t) => {
+  mockFetch(t, () => streamResponse([
+    sse({ choices: [{ index: 0, delta: { role: 'assistant', content: 'Let me look.' } }] }),
+    sse({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_a', type: 'function', function: { name: 'read_file', arguments: '' } }] } }] }),
+    // Fragments split mid-token, and a chunk split across reads
+    sse({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"pa' } }] } }] }).slice(0, 30),
+    sse({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"pa' } }] } }] }).slice(30),
+    sse({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: 'th": "Idea 1/README.md"}' } }] } }] }),
+    sse({ choices: [{ index: 0, delta: { tool_calls: [{ index: 1, id: 'call_b', function: { name: 'get_file_tree', arguments: '{}' } }] } }] }),
+    sse({ choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] }),
+    sse({ choices: [], usage: { prompt_tokens: 120, completion_tokens: 30 } }),
+    'data: [DONE]\n\n',
+  ]));
+
+  const deltas = [];
+  const result = await createProvider().generateContentStream({
+    systemPrompt: 'You are a co-founder.',
+    history: [createUserMessage('What is in Idea 1?')],
+    tools: [],
+    onDelta: (text) => deltas.push(text),
+  });
+
+  assert.deepEqual(deltas, ['Let me look.']);
+  assert.deepEqual(result.message.content, [
+    { type: 'text', text: 'Let me look.' },
+    { type: 'tool_call', id: 'call_a', name: 'read_file', args: { path: 'Idea 1/README.md' } },
+    { type: 'tool_call', id: 'call_b', name: 'get_file_tree', args: {} },
+  ]);
+  assert.equal(result.stopReason, 'tool_calls');
+  assert.deepEqual(result.usage, { inputTokens: 120, outputTokens: 30 });
+});
+
+test('generateContentStream reads a last event that ends without a newline', async (t) => {
+  mockFetch(t, () => streamResponse([
+    sse({ choices: [{ index: 0, delta: { content: 'Done' } }] }),
+    `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: '.' }, finish_reason: 'stop' }] })}`,
+  ]));
+
+  const result = await createProvider().generateContentStream({
+    systemPrompt: '',
+    history: [createUserMessage('Hi')],
+    tools: [],
+  });
+
+  assert.deepEqual(result.message.content, [{ type: 'text', text: 'Done.' }]);
+  assert.equal(result.stopReason, 'stop');
+});
+
+test('generateContent sends tool results back as tool messages and omits empty tool lists', async (t) => {
+  const bodies = mockFetch(t, () => Response.json({
+    choices: [{ message: { role: 'assistant', content: 'Idea 1 is a study planner.' }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 200, completion_tokens: 10 },
+  }));
+  const provider = createProvider();
+  const history = [
+    createUserMessage('What is in Idea 1?'),
+    createAssistantMessage('', [{ id: 'call_a', name: 'read_file', args: { path: 'Idea 1/README.md' } }]),
+    createToolResultsMessage([{ id: 'call_a', name: 'read_file', result: { content: '# Study planner' } }]),
+  ];
+
+  const result = await provider.generateContent({ systemPrompt: 'You are a co-founder.', history, tools: [] });
+
+  assert.deepEqual(bodies[0].messages, [
+    { role: 'system', content: 'You are a co-founder.' },
+    { role: 'user', content: 'What is in Idea 1?' },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_a', type: 'function', function: { name: 'read_file', arguments: '{"path":"Idea 1/README.md"}' } }],
+    },
+    { role: 'tool', tool_call_id: 'call_a', content: '{"content":"# Study planner"}' },
+  ]);
+  assert.equal('tools' in bodies[0], false);
+  assert.deepEqual(result.message.content, [{ type: 'text', text: 'Idea 1 is a study planner.' }]);
+  assert.equal(result.stopReason, 'stop');
+
+  const tools = provider.getToolDeclarations([{ name: 'read_file', description: 'Read a file', parameters: { type: 'object' } }]);
+  await provider.generateContent({ systemPrompt: '', history: [createUserMessage('Hi')], tools });
+  assert.equal(bodies[1].tools[0].function.name, 'read_file');
+});
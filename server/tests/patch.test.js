@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEdits, applyUnifiedDiff, PatchError } from '../patch.js';
+
+const doc = '# Research\n\n## Market\nTBD\n\n## Competitors\nTBD\n';
+
+test('applyEdits replaces each unique search text', () => {
+  const result = applyEdits(doc, [
+    { search: '## Market\nTBD', replace: '## Market\nStudents, 2M in the US' },
+    { search: '## Competitors\nTBD', replace: '## Competitors\n- Notion' },
+  ]);
+
+  assert.equal(result, '# Research\n\n## Market\nStudents, 2M in the US\n\n## Competitors\n- Notion\n');
+});
+
+test('applyEdits keeps replacement text literal', () => {
+  assert.equal(applyEdits('price: X', [{ search: 'X', replace: '$&5' }]), 'price: $&5');
+});
+
+test('applyEdits rejects missing and ambiguous search text', () => {
+  assert.throws(() => applyEdits(doc, [{ search: 'Pricing', replace: '' }]), {
+    name: 'PatchError',
+    message: /Edit 1: search text not found: "Pricing"/,
+  });
+  assert.throws(() => applyEdits(doc, [{ search: 'TBD', replace: 'x' }]), /Edit 1: search text occurs 2 times/);
+});
+
+test('applyEdits applies nothing when a later hunk fails', () => {
+  assert.throws(
+    () => applyEdits(doc, [{ search: '## Market', replace: '## Users' }, { search: 'nope', replace: '' }]),
+    PatchError
+  );
+});
+
+test('applyUnifiedDiff applies hunks located by context', () => {
+  const diff = [
+    '--- a/research.md',
+    '+++ b/research.md',
+    '@@ -6,2 +6,3 @@',
+    ' ## Competitors',
+    '-TBD',
+    '+- Notion',
+    '+- Obsidian',
+  ].join('\n');
+
+  assert.equal(applyUnifiedDiff(doc, diff), '# Research\n\n## Market\nTBD\n\n## Competitors\n- Notion\n- Obsidian\n');
+});
+
+test('applyUnifiedDiff tolerates wrong line numbers in hunk headers', () => {
+  const diff = '@@ -1,2 +1,2 @@\n ## Market\n-TBD\n+Students\n';
+
+  assert.equal(applyUnifiedDiff(doc, diff), '# Research\n\n## Market\nStudents\n\n## Competitors\nTBD\n');
+});
+
+test('applyUnifiedDiff reports hunks that do not match', () => {
+  assert.throws(() => applyUnifiedDiff(doc, '@@ -3,1 +3,1 @@\n-## Pricing\n+## Price\n'), /Hunk 1 \(@@ -3\) does not match/);
+  assert.throws(() => applyUnifiedDiff(doc, 'just some text'), /diff contains no hunks/);
+});
@@ -0,0 +1,21 @@
+// Shared test setup: import this before any server module.
+// Points the stores at a throwaway workspace and selects the scripted mock provider.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = 'mock';
+process.env.WORKSPACE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ekpa-test-'));
+
+process.on('exit', () => {
+  fs.rmSync(process.env.WORKSPACE_DIR, { recursive: true, force: true });
+});
+
+/** Path of a fixture script in tests/fixtures */
+export function fixturePath(name) {
+  return path.join(__dirname, 'fixtures', name);
+}
@@ -0,0 +1,42 @@
+export default {
+  name: 'append_to_file',
+  description:
+    'Add text to the end of a file in the startup workspace, creating the file if it does not exist. Use this for logs and running lists (e.g. feedback notes, outreach entries).',
+  parameters: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description:
+          'The file path relative to the workspace root, e.g. "Idea 1/customers/feedback.md"',
+      },
+      content: {
+        type: 'string',
+        description: 'The markdown to append',
+      },
+    },
+    required: ['path', 'content'],
+  },
+  readOnly: false,
+
+  status({ path }) {
+    return `Appending to ${path?.split('/').pop() || 'file'}...`;
+  },
+
+  handler({ path, content }, { files }) {
+    const existing = files.getFile(path) ?? '';
+
+    // Start the new text on its own line
+    const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+    files.setFile(path, existing + separator + content);
+
+    return {
+      response: {
+        success: true,
+        path,
+        message: `Appended ${content.length} characters to "${path}".`,
+      },
+      editedPath: path,
+    };
+  },
+};
@@ -0,0 +1,77 @@
+import memoryStore from '../memoryStore.js';
+
+export default {
+  name: 'create_memory',
+  description:
+    'Record an item in the Memory Bank, e.g. a DECISION the founder made, a LESSON learned or EVIDENCE found. Search first to avoid duplicates; use update_memory to change an existing item.',
+  parameters: {
+    type: 'object',
+    properties: {
+      type: {
+        type: 'string',
+        enum: memoryStore.MEMORY_TYPES,
+        description: 'The kind of item',
+      },
+      summary: {
+        type: 'string',
+        description: 'One sentence, e.g. "Target dental clinics before general practices"',
+      },
+      details: {
+        type: 'string',
+        description: 'Reasons, numbers and sources behind the summary',
+      },
+      ideas: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Idea folders the item is about, e.g. ["Idea 1"]',
+      },
+      customers: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Customers the item is about',
+      },
+      importance: {
+        type: 'number',
+        description: 'From 0 to 1 (default 0.5)',
+      },
+      evidenceQuality: {
+        type: 'string',
+        enum: ['none', 'weak', 'moderate', 'strong'],
+        description: 'How well the item is backed by evidence',
+      },
+    },
+    required: ['type', 'summary'],
+  },
+  readOnly: false,
+
+  status({ type }) {
+    return `Saving ${type?.toLowerCase() || 'memory'} to memory...`;
+  },
+
+  handler({ type, summary, details, ideas, customers, importance, evidenceQuality }, { sessionId }) {
+    if (!memoryStore.MEMORY_TYPES.includes(type)) {
+      return { response: { error: `Unknown memory type "${type}". Use one of: ${memoryStore.MEMORY_TYPES.join(', ')}` } };
+    }
+
+    const memory = memoryStore.createMemory({
+      type,
+      summary,
+      details,
+      entities: {
+        ...(ideas?.length && { ideas }),
+        ...(customers?.length && { customers }),
+      },
+      signals: evidenceQuality ? { evidenceQuality } : {},
+      importance: typeof importance === 'number' ? Math.min(Math.max(importance, 0), 1) : undefined,
+      source: { kind: 'AGENT_OUTPUT', ref: sessionId },
+    });
+
+    return {
+      response: {
+        success: true,
+        id: memory.id,
+        message: `Saved ${type} memory ${memory.id}.`,
+      },
+    };
+  },
+};
@@ -0,0 +1,71 @@
+import conversationStore from '../conversationStore.js';
+
+export default {
+  name: 'draft_conversation',
+  description:
+    'Draft a customer conversation log, e.g. from notes the founder pasted. The draft appears in the Pipeline for the founder to check and complete; only the founder can complete it. Leave out what the notes do not say rather than guessing.',
+  parameters: {
+    type: 'object',
+    properties: {
+      customerName: {
+        type: 'string',
+        description: 'Name of the customer (person and/or company)',
+      },
+      date: {
+        type: 'string',
+        description: 'Date of the conversation, YYYY-MM-DD',
+      },
+      time: {
+        type: 'string',
+        description: 'Time of the conversation, HH:MM',
+      },
+      notes: {
+        type: 'string',
+        description: 'What was said: problems, current solutions, objections, quotes',
+      },
+      potentialCustomer: {
+        type: 'string',
+        enum: ['yes', 'no'],
+        description: 'Whether they are a potential customer',
+      },
+      putMoneyDown: {
+        type: 'string',
+        enum: ['yes', 'no'],
+        description: 'Whether they paid or committed money (a deposit, pre-order or signed pilot)',
+      },
+      linkedIdeas: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Idea folders the conversation is about, e.g. ["Idea 1"]',
+      },
+    },
+    required: ['customerName', 'notes'],
+  },
+  readOnly: false,
+
+  status({ customerName }) {
+    return `Drafting conversation with ${customerName || 'customer'}...`;
+  },
+
+  handler({ customerName, date, time, notes, potentialCustomer, putMoneyDown, linkedIdeas }) {
+    const conversation = conversationStore.createConversation({
+      customerName,
+      date,
+      time,
+      notes,
+      potentialCustomer,
+      putMoneyDown,
+      linkedIdeas,
+    });
+
+    return {
+      response: {
+        success: true,
+        id: conversation.id,
+        // What the founder must fill in before completing it
+        missing: conversationStore.validateConversation(conversation),
+        message: `Drafted conversation ${conversation.id}. The founder completes it in the Pipeline.`,
+      },
+    };
+  },
+};
@@ -0,0 +1,37 @@
+export default {
+  name: 'edit_file',
+  description:
+    'Edit or create a file in the startup workspace. Use this to write or update markdown documents.',
+  parameters: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description:
+          'The file path relative to the workspace root, e.g. "Idea 1/MVP/features.md"',
+      },
+      content: {
+        type: 'string',
+        description: 'The full new content for the file (markdown)',
+      },
+    },
+    required: ['path', 'content'],
+  },
+  readOnly: false,
+
+  status({ path }) {
+    return `Editing ${path?.split('/').pop() || 'file'}...`;
+  },
+
+  handler({ path, content }, { files }) {
+    files.setFile(path, content);
+    return {
+      response: {
+        success: true,
+        path,
+        message: `File "${path}" updated successfully.`,
+      },
+      editedPath: path,
+    };
+  },
+};
@@ -0,0 +1,36 @@
+import conversationStore from '../conversationStore.js';
+
+export default {
+  name: 'get_conversation',
+  description:
+    'Get a logged customer conversation by ID, with its full notes.',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description: 'The conversation ID, e.g. from list_conversations',
+      },
+    },
+    required: ['id'],
+  },
+  readOnly: true,
+
+  status() {
+    return 'Reading customer conversation...';
+  },
+
+  batchStatus(count) {
+    return `Reading ${count} customer conversations...`;
+  },
+
+  handler({ id }) {
+    const conversation = conversationStore.getConversation(id);
+
+    if (!conversation) {
+      return { response: { error: `Conversation not found: "${id}"` } };
+    }
+
+    return { response: { conversation } };
+  },
+};
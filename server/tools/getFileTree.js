@@ -0,0 +1,23 @@
+import agentConfig from '../agentConfig.js';
+import fileStore from '../fileStore.js';
+
+export default {
+  name: 'get_file_tree',
+  description:
+    'Get the full workspace file tree structure as plain text. Use this to see all available ideas, folders, and files.',
+  parameters: {
+    type: 'object',
+    properties: {},
+  },
+  readOnly: true,
+
+  status() {
+    return 'Scanning workspace...';
+  },
+
+  handler(args, { permissions }) {
+    // Files the mode may not access stay out of the tree
+    const filter = permissions && ((filePath) => agentConfig.isPathAllowed(permissions, filePath));
+    return { response: { tree: fileStore.getTreeText({ filter }) } };
+  },
+};
@@ -0,0 +1,36 @@
+import memoryStore from '../memoryStore.js';
+
+export default {
+  name: 'get_memory',
+  description:
+    'Get a Memory Bank item by ID, with its details, entities, signals and source.',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description: 'The memory ID, e.g. from search_memory or the Memory Bank section of the prompt',
+      },
+    },
+    required: ['id'],
+  },
+  readOnly: true,
+
+  status() {
+    return 'Reading memory...';
+  },
+
+  batchStatus(count) {
+    return `Reading ${count} memories...`;
+  },
+
+  handler({ id }) {
+    const memory = memoryStore.getMemory(id);
+
+    if (!memory) {
+      return { response: { error: `Memory not found: "${id}"` } };
+    }
+
+    return { response: { memory } };
+  },
+};
@@ -0,0 +1,96 @@
+import editFile from './editFile.js';
+import patchFile from './patchFile.js';
+import appendToFile from './appendToFile.js';
+import readFile from './readFile.js';
+import getFileTree from './getFileTree.js';
+import searchFiles from './searchFiles.js';
+import searchMemory from './searchMemory.js';
+import getMemory from './getMemory.js';
+import createMemory from './createMemory.js';
+import updateMemory from './updateMemory.js';
+import listConversations from './listConversations.js';
+import getConversation from './getConversation.js';
+import draftConversation from './draftConversation.js';
+
+/**
+ * Agent tool registry.
+ *
+ * Each tool is declared once, in its own module, and providers derive their
+ * native declaration format from it. A tool module exports:
+ * {
+ *   name: string,
+ *   description: string,
+ *   parameters: Object,          // JSON schema of the arguments
+ *   readOnly: boolean,           // true if the tool never changes the workspace
+ *   status(args): string,        // Status line shown while the tool runs
+ *   batchStatus?(count): string, // Status line for several calls run together (read-only tools)
+ *   handler(args, context): {    // context: { sessionId, files }; may return a Promise
+ *     response: Object,          // Sent back to the model
+ *     editedPath?: string        // Set when a workspace file was written
+ *   }
+ * }
+ *
+ * Read-only calls of one model response run concurrently; calls of other
+ * tools run one at a time, in order (see batchToolCalls in aiClient.js).
+ *
+ * Handlers read and write workspace files through `context.files`
+ * ({ getFile, setFile }), which is fileStore itself or, when a session reviews
+ * edits, an overlay that stages writes (see pendingChangeStore.js).
+ *
+ * To add a tool, create its module and list it here.
+ */
+const TOOLS = [
+  editFile,
+  patchFile,
+  appendToFile,
+  readFile,
+  getFileTree,
+  searchFiles,
+  searchMemory,
+  getMemory,
+  createMemory,
+  updateMemory,
+  listConversations,
+  getConversation,
+  draftConversation,
+];
+
+const toolsByName = new Map(TOOLS.map((tool) => [tool.name, tool]));
+
+/**
+ * Get all registered tools
+ * @returns {Array}
+ */
+export function getTools() {
+  return TOOLS;
+}
+
+/**
+ * Get a tool by name
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export function getTool(name) {
+  return toolsByName.get(name);
+}
+
+/**
+ * Check a tool call's arguments against the required parameters of its schema
+ * @param {Object} tool
+ * @param {Object} args
+ * @returns {string|null} Error message, or null if the arguments are valid
+ */
+export function validateArgs(tool, args) {
+  const { properties = {}, required = [] } = tool.parameters;
+
+  for (const key of required) {
+    if (args[key] === undefined || args[key] === null) {
+      return `Missing required argument "${key}" for ${tool.name}`;
+    }
+    if (properties[key]?.type === 'string' && typeof args[key] !== 'string') {
+      return `Argument "${key}" for ${tool.name} must be a string`;
+    }
+  }
+
+  return null;
+}
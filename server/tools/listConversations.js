@@ -0,0 +1,52 @@
+import conversationStore from '../conversationStore.js';
+
+// Longest notes excerpt in a listing; get_conversation returns the full notes
+const NOTES_PREVIEW_LENGTH = 200;
+
+export default {
+  name: 'list_conversations',
+  description:
+    'List logged customer conversations, newest first, with their money signals and a notes excerpt. Use this to answer questions like "which customers said they would pay?"; use get_conversation for the full notes.',
+  parameters: {
+    type: 'object',
+    properties: {
+      potentialCustomer: {
+        type: 'string',
+        enum: ['yes', 'no'],
+        description: 'Only conversations where the customer is (or is not) a potential customer',
+      },
+      putMoneyDown: {
+        type: 'string',
+        enum: ['yes', 'no'],
+        description: 'Only conversations where the customer did (or did not) put money down',
+      },
+      idea: {
+        type: 'string',
+        description: 'Only conversations linked to this idea folder, e.g. "Idea 1"',
+      },
+      completed: {
+        type: 'boolean',
+        description: 'true for completed conversations only, false for drafts only',
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of conversations to return (default 20)',
+      },
+    },
+  },
+  readOnly: true,
+
+  status() {
+    return 'Checking customer conversations...';
+  },
+
+  handler({ potentialCustomer, putMoneyDown, idea, completed, limit }) {
+    const all = conversationStore.getAllConversations({ potentialCustomer, putMoneyDown, idea, completed });
+    const conversations = all.slice(0, limit || 20).map(({ notes, ...conversation }) => ({
+      ...conversation,
+      notes: notes.length > NOTES_PREVIEW_LENGTH ? `${notes.slice(0, NOTES_PREVIEW_LENGTH)}…` : notes,
+    }));
+
+    return { response: { total: all.length, conversations } };
+  },
+};
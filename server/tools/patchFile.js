@@ -0,0 +1,76 @@
+import { applyEdits, applyUnifiedDiff, PatchError } from '../patch.js';
+
+export default {
+  name: 'patch_file',
+  description:
+    'Change part of an existing file without resending all of it. Provide either `edits` (search/replace pairs, each search text must appear exactly once in the file) or `diff` (a unified diff). Prefer this over edit_file for changes to existing documents. If the patch does not apply, nothing is written; read the file again and retry.',
+  parameters: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description:
+          'The file path relative to the workspace root, e.g. "Idea 1/research/research.md"',
+      },
+      edits: {
+        type: 'array',
+        description: 'Search/replace pairs applied in order',
+        items: {
+          type: 'object',
+          properties: {
+            search: {
+              type: 'string',
+              description: 'Exact text currently in the file, including enough context to be unique',
+            },
+            replace: {
+              type: 'string',
+              description: 'Text to put in its place (empty string to delete)',
+            },
+          },
+          required: ['search', 'replace'],
+        },
+      },
+      diff: {
+        type: 'string',
+        description: 'A unified diff with "@@ -start,count +start,count @@" hunk headers',
+      },
+    },
+    required: ['path'],
+  },
+  readOnly: false,
+
+  status({ path }) {
+    return `Patching ${path?.split('/').pop() || 'file'}...`;
+  },
+
+  handler({ path, edits, diff }, { files }) {
+    const content = files.getFile(path);
+    if (content === null) {
+      return { response: { error: `File not found: "${path}". Use edit_file to create it.` } };
+    }
+
+    if ((edits === undefined) === (diff === undefined)) {
+      return { response: { error: 'Provide exactly one of "edits" or "diff"' } };
+    }
+
+    let patched;
+    try {
+      patched = edits !== undefined ? applyEdits(content, edits) : applyUnifiedDiff(content, diff);
+    } catch (error) {
+      if (error instanceof PatchError) {
+        return { response: { error: `Patch not applied to "${path}": ${error.message}` } };
+      }
+      throw error;
+    }
+
+    files.setFile(path, patched);
+    return {
+      response: {
+        success: true,
+        path,
+        message: `File "${path}" patched successfully.`,
+      },
+      editedPath: path,
+    };
+  },
+};
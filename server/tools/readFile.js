@@ -0,0 +1,35 @@
+export default {
+  name: 'read_file',
+  description:
+    'Read the content of a file in the startup workspace. Use this to check what a file currently contains before editing.',
+  parameters: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description:
+          'The file path relative to the workspace root, e.g. "Idea 1/research/research.md"',
+      },
+    },
+    required: ['path'],
+  },
+  readOnly: true,
+
+  status({ path }) {
+    return `Reading ${path?.split('/').pop() || 'file'}...`;
+  },
+
+  batchStatus(count) {
+    return `Reading ${count} files...`;
+  },
+
+  handler({ path }, { files }) {
+    const content = files.getFile(path);
+
+    if (content === null) {
+      return { response: { error: `File not found: "${path}"` } };
+    }
+
+    return { response: { path, content } };
+  },
+};
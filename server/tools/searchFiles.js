@@ -0,0 +1,38 @@
+import agentConfig from '../agentConfig.js';
+import fileStore from '../fileStore.js';
+
+export default {
+  name: 'search_files',
+  description:
+    'Search the text of every file in the startup workspace. Returns matching lines ranked by relevance, with the file path and line number. Use this to find where a topic is covered before reading or editing files.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Words to search for, e.g. "pricing tiers"',
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of matching lines to return (default 20)',
+      },
+    },
+    required: ['query'],
+  },
+  readOnly: true,
+
+  status({ query }) {
+    return `Searching for "${query}"...`;
+  },
+
+  batchStatus(count) {
+    return `Running ${count} searches...`;
+  },
+
+  handler({ query, limit }, { permissions }) {
+    // Files the mode may not access stay out of the results
+    const filter = permissions && ((filePath) => agentConfig.isPathAllowed(permissions, filePath));
+    const results = fileStore.search(query, { limit: limit || 20, filter });
+    return { response: { query, results } };
+  },
+};
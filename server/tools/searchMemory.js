@@ -0,0 +1,48 @@
+import memoryStore from '../memoryStore.js';
+
+export default {
+  name: 'search_memory',
+  description:
+    'Search the Memory Bank: past assumptions, decisions, customer conversations, evidence, contradictions, lessons and milestones. Returns the most relevant items with their IDs; use get_memory for an item\'s details. Use this to find past decisions or failures before giving advice.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Words to search for, e.g. "pricing experiment failed"',
+      },
+      type: {
+        type: 'string',
+        enum: memoryStore.MEMORY_TYPES,
+        description: 'Only return items of this type',
+      },
+      idea: {
+        type: 'string',
+        description: 'Only return items about this idea folder, e.g. "Idea 1"',
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of items to return (default 10)',
+      },
+    },
+    required: ['query'],
+  },
+  readOnly: true,
+
+  status({ query }) {
+    return `Searching memory for "${query}"...`;
+  },
+
+  batchStatus(count) {
+    return `Running ${count} memory searches...`;
+  },
+
+  handler({ query, type, idea, limit }) {
+    const results = memoryStore
+      .retrieveMemory(query, { activeIdeas: idea ? [idea] : [], maxResults: Infinity, matchingOnly: true })
+      .filter((memory) => (!type || memory.type === type) && (!idea || memory.entities?.ideas?.includes(idea)))
+      .slice(0, limit || 10);
+
+    return { response: { query, results } };
+  },
+};
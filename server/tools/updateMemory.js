@@ -0,0 +1,77 @@
+import memoryStore from '../memoryStore.js';
+
+export default {
+  name: 'update_memory',
+  description:
+    'Change a Memory Bank item, e.g. when new evidence strengthens or contradicts it. Only the fields given are changed; ideas and customers replace the current lists.',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description: 'The memory ID',
+      },
+      summary: {
+        type: 'string',
+        description: 'New one-sentence summary',
+      },
+      details: {
+        type: 'string',
+        description: 'New details (replaces the current details)',
+      },
+      ideas: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Idea folders the item is about',
+      },
+      customers: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Customers the item is about',
+      },
+      importance: {
+        type: 'number',
+        description: 'From 0 to 1',
+      },
+      evidenceQuality: {
+        type: 'string',
+        enum: ['none', 'weak', 'moderate', 'strong'],
+        description: 'How well the item is backed by evidence',
+      },
+    },
+    required: ['id'],
+  },
+  readOnly: false,
+
+  status() {
+    return 'Updating memory...';
+  },
+
+  handler({ id, summary, details, ideas, customers, importance, evidenceQuality }) {
+    const memory = memoryStore.getMemory(id);
+
+    if (!memory) {
+      return { response: { error: `Memory not found: "${id}"` } };
+    }
+
+    const updated = memoryStore.updateMemory(id, {
+      ...(summary && { summary }),
+      ...(details !== undefined && { details }),
+      entities: {
+        ...memory.entities,
+        ...(ideas && { ideas }),
+        ...(customers && { customers }),
+      },
+      signals: { ...memory.signals, ...(evidenceQuality && { evidenceQuality }) },
+      ...(typeof importance === 'number' && { importance: Math.min(Math.max(importance, 0), 1) }),
+    });
+
+    return {
+      response: {
+        success: true,
+        id: updated.id,
+        message: `Updated memory ${updated.id}.`,
+      },
+    };
+  },
+};
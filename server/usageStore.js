@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { nanoid } from 'nanoid';
+import pricing from './pricing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage records (in-memory array + disk sync)
+let records = [];
+
+// Workspace paths
+const WORKSPACE_DIR = process.env.WORKSPACE_DIR || path.join(__dirname, '../workspace');
+const USAGE_PATH = path.join(WORKSPACE_DIR, 'usage.json');
+
+/**
+ * UsageRecord Schema:
+ * {
+ *   id: string,
+ *   sessionId: string,
+ *   mode: string,
+ *   idea: string | null,       // Idea folder the turn worked on (null = none)
+ *   provider: string,
+ *   model: string,
+ *   calls: number,             // Model calls of the turn with this provider/model
+ *   inputTokens: number,
+ *   outputTokens: number,
+ *   estimated: boolean,        // Some counts are estimates (the API reported none)
+ *   cost: number | null,       // USD at the prices of the time (null = model has no price, see pricing.js)
+ *   createdAt: string
+ * }
+ *
+ * One record per chat turn and model. Records are kept when their session is
+ * deleted, since the bill is too.
+ */
+
+// Load usage records from JSON file
+function loadFromDisk() {
+  try {
+    records = fs.existsSync(USAGE_PATH) ? JSON.parse(fs.readFileSync(USAGE_PATH, 'utf-8')) : [];
+  } catch (error) {
+    console.error('Error loading usage from disk:', error);
+    records = [];
+  }
+}
+
+// Save usage records to JSON
+function saveToDisk() {
+  try {
+    fs.writeFileSync(USAGE_PATH, JSON.stringify(records, null, 2), 'utf-8');
+  } catch (error) {
+    console.error('Error saving usage to disk:', error);
+  }
+}
+
+// Record the model calls of a turn: calls are { provider, model, inputTokens, outputTokens, estimated }
+function recordTurn({ sessionId, mode, idea = null, calls }) {
+  const now = new Date().toISOString();
+  const byModel = new Map();
+
+  for (const call of calls) {
+    const key = `${call.provider}:${call.model}`;
+    const record = byModel.get(key) || {
+      id: nanoid(10),
+      sessionId,
+      mode,
+      idea,
+      provider: call.provider,
+      model: call.model,
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      estimated: false,
+      cost: null,
+      createdAt: now,
+    };
+    record.calls++;
+    record.inputTokens += call.inputTokens;
+    record.outputTokens += call.outputTokens;
+    record.estimated = record.estimated || Boolean(call.estimated);
+    byModel.set(key, record);
+  }
+
+  const added = [...byModel.values()].map((record) => ({ ...record, cost: pricing.getCost(record.model, record) }));
+  if (added.length === 0) return [];
+
+  records.push(...added);
+  saveToDisk();
+  return added;
+}
+
+// Add up records (cost counts priced records only; `unpriced` flags the others)
+function summarize(list) {
+  return {
+    calls: list.reduce((sum, r) => sum + r.calls, 0),
+    inputTokens: list.reduce((sum, r) => sum + r.inputTokens, 0),
+    outputTokens: list.reduce((sum, r) => sum + r.outputTokens, 0),
+    cost: list.reduce((sum, r) => sum + (r.cost || 0), 0),
+    unpriced: list.some((r) => r.cost === null),
+    estimated: list.some((r) => r.estimated),
+  };
+}
+
+// Group records by a key and add up each group, most expensive first
+function groupBy(list, getKey, describe) {
+  const groups = new Map();
+  for (const record of list) {
+    const key = getKey(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return [...groups.values()]
+    .map((group) => ({ ...describe(group[0]), ...summarize(group) }))
+    .sort((a, b) => b.cost - a.cost || b.inputTokens + b.outputTokens - (a.inputTokens + a.outputTokens));
+}
+
+// Get a usage report, optionally for one session and/or since a date (ISO string)
+function getReport({ sessionId = null, since = null } = {}) {
+  const list = records.filter((r) => (!sessionId || r.sessionId === sessionId) && (!since || r.createdAt >= since));
+
+  return {
+    totals: summarize(list),
+    bySession: groupBy(list, (r) => r.sessionId, (r) => ({ sessionId: r.sessionId })),
+    byMode: groupBy(list, (r) => r.mode, (r) => ({ mode: r.mode })),
+    byIdea: groupBy(list, (r) => r.idea, (r) => ({ idea: r.idea })),
+    byModel: groupBy(list, (r) => `${r.provider}:${r.model}`, (r) => ({ provider: r.provider, model: r.model })),
+  };
+}
+
+// Initialize on module load
+loadFromDisk();
+
+export default {
+  recordTurn,
+  getReport,
+  loadFromDisk,
+};
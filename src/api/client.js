@@ -29,6 +29,32 @@ export async function saveFile(path, content) {
   return res.json();
 }
 
+/** Fetch a file's revisions, newest first: [{ id, author, sessionId?, createdAt, size }] */
+export async function fetchFileHistory(path) {
+  const res = await fetch(`${BASE}/history/${path}`);
+  if (!res.ok) throw new Error(`Failed to fetch history: ${path}`);
+  const data = await res.json();
+  return data.revisions;
+}
+
+/** Fetch side-by-side diff rows from a revision to another revision (default: the current content) */
+export async function fetchRevisionDiff(path, revisionId, toRevisionId = null) {
+  const query = toRevisionId ? `?to=${encodeURIComponent(toRevisionId)}` : '';
+  const res = await fetch(`${BASE}/diff/${revisionId}/${path}${query}`);
+  if (!res.ok) throw new Error(`Failed to fetch diff: ${path}`);
+  const data = await res.json();
+  return data.rows;
+}
+
+/** Restore a file to an earlier revision */
+export async function restoreRevision(path, revisionId) {
+  const res = await fetch(`${BASE}/restore/${revisionId}/${path}`, {
+    method: 'POST',
+  });
+  if (!res.ok) throw new Error(`Failed to restore revision: ${path}`);
+  return res.json();
+}
+
 /** Rename a file or folder */
 export async function renameFile(oldPath, newPath) {
   const res = await fetch(`${BASE}/files/rename`, {
@@ -50,6 +76,14 @@ export async function createIdea() {
   return res.json(); // { ideaName }
 }
 
+/** Search workspace files; returns ranked { path, line, snippet, score } hits */
+export async function searchFiles(query) {
+  const res = await fetch(`${BASE}/search?q=${encodeURIComponent(query)}`);
+  if (!res.ok) throw new Error('Failed to search files');
+  const data = await res.json();
+  return data.results;
+}
+
 // ===== Chat Sessions =====
 
 /** Fetch all chat sessions */
@@ -71,6 +105,25 @@ export async function createSession(title = null) {
   return res.json();
 }
 
+/**
+ * Fork a chat session into a new one
+ * @param {string} sessionId
+ * @param {string|null} messageId - Last message to copy (default: the end of the shown branch)
+ * @returns {Promise<Object>} The new session, with `forkedFrom: { sessionId, messageId }`
+ */
+export async function forkSession(sessionId, messageId = null) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/fork`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageId }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Failed to fork session');
+  }
+  return res.json();
+}
+
 /** Delete a chat session */
 export async function deleteSession(sessionId) {
   const res = await fetch(`${BASE}/sessions/${sessionId}`, {
@@ -91,6 +144,83 @@ export async function renameSession(sessionId, title) {
   return res.json();
 }
 
+/**
+ * Pick the provider and model of a chat session
+ * @param {string} sessionId
+ * @param {{ provider: string|null, model: string|null, mode?: string }} selection - With `mode`, applies to that agent mode only; nulls reset to the default
+ */
+export async function updateSessionModel(sessionId, { provider, model, mode }) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ provider, model, mode }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Failed to update session model');
+  }
+  return res.json();
+}
+
+/** Turn review of agent edits on or off for a chat session */
+export async function updateSessionReviewEdits(sessionId, reviewEdits) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reviewEdits }),
+  });
+  if (!res.ok) throw new Error('Failed to update session');
+  return res.json();
+}
+
+/** Fetch the persisted messages of a chat session */
+export async function fetchSessionMessages(sessionId) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/messages`);
+  if (!res.ok) throw new Error('Failed to fetch session messages');
+  const data = await res.json();
+  return data.messages;
+}
+
+/**
+ * Undo the file changes of a chat turn
+ * @param {string} sessionId
+ * @param {string} messageId - Transcript message with a changeset
+ * @param {boolean} force - Revert even if the files changed after the turn
+ * @returns {Promise<{ ok: true, message: Object }>} The logged revert event
+ * @throws {Error} With `status` and, for edits made since the turn, `conflicts` (paths)
+ */
+export async function revertTurn(sessionId, messageId, force = false) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/messages/${messageId}/revert`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ force }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    const error = new Error(err.error || 'Failed to revert turn');
+    error.status = res.status;
+    error.conflicts = err.conflicts || [];
+    throw error;
+  }
+  return res.json();
+}
+
+/**
+ * Switch a session to the branch through a message (newest reply below it)
+ * @param {string} sessionId
+ * @param {string} messageId - Any message of the branch, e.g. a sibling from `siblingIds`
+ * @returns {Promise<Object[]>} The transcript of the selected branch
+ */
+export async function selectBranch(sessionId, messageId) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/messages/${messageId}/select`, { method: 'POST' });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Failed to switch branch');
+  }
+  const data = await res.json();
+  return data.messages;
+}
+
 /** Send a chat message to a session (non-streaming) */
 export async function sendMessage(sessionId, message) {
   const res = await fetch(`${BASE}/chat`, {
@@ -106,18 +236,28 @@ export async function sendMessage(sessionId, message) {
 }
 
 /**
- * Send a chat message with streaming status updates
+ * Send a chat message with streaming status updates and reply text
  * @param {string} sessionId
  * @param {string} message
- * @param {Function} onStatus - Callback for status updates: (status: string) => void
- * @param {string} mode - Agent mode: 'copilot' or 'devils_advocate'
- * @returns {Promise<{text: string, editedFiles: string[], memoryUsed?: any[]}>}
+ * @param {Object} options
+ * @param {string} options.mode - Agent mode ID (see fetchModes)
+ * @param {boolean} options.allowEdits - Let a read-only mode edit files for this message
+ * @param {number} options.rounds - Debate modes: rounds of speaker turns
+ * @param {boolean} options.saveDecision - Debate modes: save the verdict as a DECISION memory
+ * @param {Function} options.onStatus - Callback for status updates: (status: string) => void
+ * @param {Function} options.onDelta - Callback for reply text as it arrives: (text: string) => void
+ * @param {Function} options.onChange - Callback when an edit is staged for review: (change: Object) => void
+ * @param {Function} options.onSpeaker - Debate modes: callback when a speaker's turn starts: ({ mode, label, round }) => void
+ * @param {AbortSignal} options.signal - Aborting disconnects, which stops the turn on the server
+ * @param {string} options.branchFrom - Message to branch from: a user message (edit & resend) or an agent reply (regenerate)
+ * @returns {Promise<{text: string, editedFiles: string[], proposedFiles: string[], memoryUsed?: any[], turns?: any[], compaction?: Object}>}
  */
-export async function sendMessageStream(sessionId, message, onStatus, mode = 'copilot') {
+export async function sendMessageStream(sessionId, message, { mode = 'copilot', allowEdits = false, rounds, saveDecision = false, onStatus, onDelta, onChange, onSpeaker, signal, branchFrom } = {}) {
   const res = await fetch(`${BASE}/chat`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ sessionId, message, stream: true, mode }),
+    body: JSON.stringify({ sessionId, message, stream: true, mode, allowEdits, rounds, saveDecision, branchFrom }),
+    signal,
   });
 
   if (!res.ok) {
@@ -140,26 +280,42 @@ export async function sendMessageStream(sessionId, message, onStatus, mode = 'co
     buffer = lines.pop() || ''; // Keep incomplete line in buffer
 
     for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        try {
-          const data = JSON.parse(line.slice(6));
-          
-          if (data.type === 'status' && onStatus) {
-            onStatus(data.status);
-          } else if (data.type === 'done') {
-            return {
-              text: data.text,
-              editedFiles: data.editedFiles || [],
-              memoryUsed: data.memoryUsed || []
-            };
-          } else if (data.type === 'error') {
-            throw new Error(data.error);
-          }
-        } catch (e) {
-          if (e.message !== 'Unexpected end of JSON input') {
-            console.error('SSE parse error:', e);
-          }
-        }
+      if (!line.startsWith('data: ')) continue;
+
+      let data;
+      try {
+        data = JSON.parse(line.slice(6));
+      } catch (e) {
+        console.error('SSE parse error:', e);
+        continue;
+      }
+
+      if (data.type === 'status' && onStatus) {
+        onStatus(data.status);
+      } else if (data.type === 'delta' && onDelta) {
+        onDelta(data.text);
+      } else if (data.type === 'change' && onChange) {
+        onChange(data.change);
+      } else if (data.type === 'speaker' && onSpeaker) {
+        onSpeaker({ mode: data.mode, label: data.label, round: data.round });
+      } else if (data.type === 'done') {
+        return {
+          messageId: data.messageId,
+          userMessageId: data.userMessageId,
+          compaction: data.compaction,
+          changeset: data.changeset,
+          text: data.text,
+          editedFiles: data.editedFiles || [],
+          proposedFiles: data.proposedFiles || [],
+          memoryUsed: data.memoryUsed || [],
+          provider: data.provider,
+          model: data.model,
+          turns: data.turns,
+          citedMemories: data.citedMemories,
+          decisionMemoryId: data.decisionMemoryId,
+        };
+      } else if (data.type === 'error') {
+        throw new Error(data.error);
       }
     }
   }
@@ -167,6 +323,13 @@ export async function sendMessageStream(sessionId, message, onStatus, mode = 'co
   throw new Error('Stream ended without response');
 }
 
+/** Stop a session's running chat turn; resolves once the stopped reply is recorded */
+export async function stopChat(sessionId) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/stop`, { method: 'POST' });
+  if (!res.ok) throw new Error('Failed to stop chat');
+  return res.json();
+}
+
 /** Clear a session's chat history */
 export async function clearChat(sessionId) {
   const res = await fetch(`${BASE}/chat/clear`, {
@@ -178,9 +341,82 @@ export async function clearChat(sessionId) {
   return res.json();
 }
 
+/**
+ * Get a token usage and cost report
+ * @param {{ sessionId?: string, since?: string }} filters - `since` is a date (ISO string)
+ * @returns {Promise<{ totals: Object, bySession: any[], byMode: any[], byIdea: any[], byModel: any[] }>}
+ *   Totals are { calls, inputTokens, outputTokens, cost (USD), unpriced, estimated }
+ */
+export async function fetchUsage({ sessionId, since } = {}) {
+  const params = new URLSearchParams();
+  if (sessionId) params.set('sessionId', sessionId);
+  if (since) params.set('since', since);
+  const res = await fetch(`${BASE}/usage?${params}`);
+  if (!res.ok) throw new Error('Failed to fetch usage');
+  return res.json();
+}
+
 /** Get AI provider info */
 export async function fetchProviderInfo() {
   const res = await fetch(`${BASE}/provider`);
   if (!res.ok) throw new Error('Failed to fetch provider info');
   return res.json();
 }
+
+/** Get the agent modes (built-in and user-defined) */
+export async function fetchModes() {
+  const res = await fetch(`${BASE}/modes`);
+  if (!res.ok) throw new Error('Failed to fetch modes');
+  const data = await res.json();
+  return data.modes;
+}
+
+/** Get the chat's slash commands: [{ name, usage, description, argRequired, mode }] */
+export async function fetchCommands() {
+  const res = await fetch(`${BASE}/commands`);
+  if (!res.ok) throw new Error('Failed to fetch commands');
+  const data = await res.json();
+  return data.commands;
+}
+
+// ===== Pending Changes (edit review) =====
+
+/** Fetch the agent edits awaiting review in a session */
+export async function fetchPendingChanges(sessionId) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/changes`);
+  if (!res.ok) throw new Error('Failed to fetch pending changes');
+  const data = await res.json();
+  return data.changes;
+}
+
+/** Fetch a pending edit with its original, proposed content and side-by-side diff rows */
+export async function fetchPendingChange(sessionId, path) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/changes/${path}`);
+  if (!res.ok) throw new Error(`Failed to fetch pending change: ${path}`);
+  return res.json();
+}
+
+/** Apply a pending edit to the workspace; returns { ok, change }, with the updated changeset of the turn that proposed it */
+export async function acceptPendingChange(sessionId, path) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/changes/accept`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `Failed to accept change: ${path}`);
+  }
+  return res.json();
+}
+
+/** Discard a pending edit */
+export async function rejectPendingChange(sessionId, path) {
+  const res = await fetch(`${BASE}/sessions/${sessionId}/changes/reject`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path }),
+  });
+  if (!res.ok) throw new Error(`Failed to reject change: ${path}`);
+  return res.json();
+}
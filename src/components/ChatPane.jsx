@@ -1,6 +1,57 @@
-import { useState, useRef, useEffect } from 'react'
-import { Send, Bot, User, Loader2, FileEdit, Plus, Trash2, MessageSquare, ChevronLeft, ChevronRight } from 'lucide-react'
+import { Fragment, useState, useRef, useEffect } from 'react'
+import { Send, Square, Bot, User, Loader2, FileEdit, FileDiff, Plus, Trash2, MessageSquare, ChevronLeft, ChevronRight, Check, X, Eye, Undo2, Pencil, RefreshCw, GitFork, FoldVertical } from 'lucide-react'
 import { useChat } from '../hooks/useChat'
+import { useFiles } from '../context/FileContext'
+
+// Full class names per mode color so Tailwind keeps them in the build
+const MODE_COLORS = {
+  blue: { button: 'bg-blue-500 text-white', dot: 'bg-blue-500', avatar: 'bg-blue-100 dark:bg-blue-900/40', icon: 'text-blue-600 dark:text-blue-400', accent: 'accent-blue-500' },
+  red: { button: 'bg-red-500 text-white', dot: 'bg-red-500', avatar: 'bg-red-100 dark:bg-red-900/40', icon: 'text-red-600 dark:text-red-400', accent: 'accent-red-500' },
+  emerald: { button: 'bg-emerald-500 text-white', dot: 'bg-emerald-500', avatar: 'bg-emerald-100 dark:bg-emerald-900/40', icon: 'text-emerald-600 dark:text-emerald-400', accent: 'accent-emerald-500' },
+  amber: { button: 'bg-amber-500 text-white', dot: 'bg-amber-500', avatar: 'bg-amber-100 dark:bg-amber-900/40', icon: 'text-amber-600 dark:text-amber-400', accent: 'accent-amber-500' },
+  violet: { button: 'bg-violet-500 text-white', dot: 'bg-violet-500', avatar: 'bg-violet-100 dark:bg-violet-900/40', icon: 'text-violet-600 dark:text-violet-400', accent: 'accent-violet-500' },
+  gray: { button: 'bg-gray-500 text-white', dot: 'bg-gray-500', avatar: 'bg-gray-100 dark:bg-gray-700', icon: 'text-gray-600 dark:text-gray-400', accent: 'accent-gray-500' },
+}
+
+// Token counts in thousands once they get large
+function formatTokens(n) {
+  return n >= 1000 ? `${Math.round(n / 1000)}k` : `${n}`
+}
+
+// USD cost; small amounts keep enough digits to show up. "+" marks models without a price.
+function formatCost({ cost, unpriced }) {
+  const digits = cost > 0 && cost < 0.01 ? 4 : 2
+  return `$${cost.toFixed(digits)}${unpriced ? '+' : ''}`
+}
+
+// Describe how a turn compacted the older history to fit the model's context window
+function describeCompaction({ summary, tokensBefore, tokensAfter }) {
+  const what = summary ? 'Earlier messages summarized' : 'Old tool outputs dropped'
+  return `${what} to fit the context window (~${formatTokens(tokensBefore)} → ~${formatTokens(tokensAfter)} tokens)`
+}
+
+// Slash commands matching the input while their name is typed (e.g. "/su" -> /summarize)
+function matchCommands(commands, input) {
+  const typed = input.match(/^\/([\w-]*)$/)
+  return typed ? commands.filter((c) => c.name.startsWith(typed[1].toLowerCase())) : []
+}
+
+// Order sessions so forks follow their parent session, indented one level per fork
+function nestSessions(sessions) {
+  const ids = new Set(sessions.map((s) => s.id))
+  const rows = []
+  const addWithForks = (session, depth) => {
+    rows.push({ session, depth })
+    sessions
+      .filter((s) => s.forkedFrom?.sessionId === session.id)
+      .forEach((fork) => addWithForks(fork, depth + 1))
+  }
+  // Forks of deleted sessions are listed at the top level
+  sessions
+    .filter((s) => !ids.has(s.forkedFrom?.sessionId))
+    .forEach((session) => addWithForks(session, 0))
+  return rows
+}
 
 export default function ChatPane() {
   const {
@@ -9,17 +60,38 @@ export default function ChatPane() {
     activeSessionId,
     switchSession,
     newSession,
+    forkSession,
     removeSession,
     messages,
     loading,
     status,
+    providerInfo,
+    modes,
+    commands,
+    setSessionModel,
+    pendingChanges,
+    usage,
+    setReviewEdits,
+    acceptChange,
+    rejectChange,
+    revertTurn,
     send,
+    switchBranch,
+    stop,
     clear
   } = useChat()
+  const { openChangeReview } = useFiles()
 
   const [input, setInput] = useState('')
   const [showSessions, setShowSessions] = useState(true)
-  const [agentMode, setAgentMode] = useState('copilot') // 'copilot' or 'devils_advocate'
+  const [agentMode, setAgentMode] = useState('copilot') // Mode ID from GET /api/modes
+  const [changeError, setChangeError] = useState(null)
+  const [allowEdits, setAllowEdits] = useState(false) // One-off permission for a read-only mode
+  const [debateRounds, setDebateRounds] = useState(null) // null = the debate mode's default
+  const [saveDecision, setSaveDecision] = useState(false) // Save the next debate verdict as a DECISION memory
+  const [editing, setEditing] = useState(null) // { id, text } of the user message being edited
+  const [commandIndex, setCommandIndex] = useState(0) // Highlighted slash command suggestion
+  const [dismissedInput, setDismissedInput] = useState(null) // Input for which Escape closed the suggestions
   const scrollRef = useRef(null)
 
   useEffect(() => {
@@ -31,17 +103,93 @@ export default function ChatPane() {
   const handleSend = () => {
     const text = input.trim()
     if (!text || loading) return
-    send(text, agentMode)
+    send(text, agentMode, { allowEdits, rounds: debateRounds, saveDecision })
     setInput('')
+    setAllowEdits(false)
+    setSaveDecision(false)
+  }
+
+  // Edit & resend: the edited message starts a new branch, the original stays switchable
+  const handleResend = () => {
+    const text = editing.text.trim()
+    if (!text || loading) return
+    send(text, agentMode, { branchFrom: editing.id })
+    setEditing(null)
+  }
+
+  const commandSuggestions = input === dismissedInput ? [] : matchCommands(commands, input)
+  const selectedCommand = commandSuggestions[Math.min(commandIndex, commandSuggestions.length - 1)]
+
+  const handleInputChange = (e) => {
+    setInput(e.target.value)
+    setCommandIndex(0)
+  }
+
+  // Complete the command name; commands that take text get a space to type it after
+  const completeCommand = (command) => {
+    setInput(command.usage === `/${command.name}` ? `/${command.name}` : `/${command.name} `)
+    setCommandIndex(0)
   }
 
   const handleKeyDown = (e) => {
+    if (selectedCommand) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setCommandIndex((commandSuggestions.indexOf(selectedCommand) + step + commandSuggestions.length) % commandSuggestions.length)
+        return
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        setDismissedInput(input)
+        return
+      }
+      // Enter sends a command that is typed in full; otherwise it completes the highlighted one
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && input !== `/${selectedCommand.name}`)) {
+        e.preventDefault()
+        completeCommand(selectedCommand)
+        return
+      }
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
       handleSend()
     }
   }
 
+  const handleModelChange = (e) => {
+    // Option values are "provider:model"; model names may contain ':' themselves
+    const value = e.target.value
+    const separator = value.indexOf(':')
+    setSessionModel(agentMode, value
+      ? { provider: value.slice(0, separator), model: value.slice(separator + 1) }
+      : null)
+  }
+
+  const handleViewChange = (change) => {
+    openChangeReview({
+      sessionId: activeSessionId,
+      path: change.path,
+      onAccept: acceptChange,
+      onReject: rejectChange,
+    })
+  }
+
+  const handleResolveChange = async (action, path) => {
+    const result = await action(path)
+    setChangeError(result.ok ? null : result.error)
+  }
+
+  const handleRevert = async (messageId) => {
+    let result = await revertTurn(messageId)
+    if (!result.ok && result.conflicts.length > 0) {
+      const files = result.conflicts.map((p) => `  ${p}`).join('\n')
+      if (!confirm(`These files were edited after this turn:\n${files}\n\nRevert anyway? Those later edits will be lost.`)) return
+      result = await revertTurn(messageId, true)
+    }
+    if (!result.ok) alert(result.error)
+  }
+
   const handleDeleteSession = (e, sessionId) => {
     e.stopPropagation()
     if (sessions.length > 1 || confirm('Delete this chat? A new one will be created.')) {
@@ -49,6 +197,17 @@ export default function ChatPane() {
     }
   }
 
+  // Provider/model picked for the current mode in this session (null = default)
+  const modeSelection = activeSession?.modeProviders?.[agentMode] || null
+  const currentMode = modes.find((m) => m.id === agentMode) || null
+  const colors = MODE_COLORS[currentMode?.color] || MODE_COLORS.blue
+
+  // Debate turns are colored by their speaker's mode rather than the selected one
+  const messageColors = (msg) => {
+    if (!msg.debate) return colors
+    return MODE_COLORS[modes.find((m) => m.id === msg.mode)?.color] || MODE_COLORS.gray
+  }
+
   if (!activeSession) {
     return (
       <div className="h-full flex items-center justify-center bg-gray-50 dark:bg-gray-900 border-l border-gray-200 dark:border-gray-700">
@@ -77,17 +236,22 @@ export default function ChatPane() {
 
           {/* Session List */}
           <div className="flex-1 overflow-y-auto py-1">
-            {sessions.map((session) => (
+            {nestSessions(sessions).map(({ session, depth }) => (
               <div
                 key={session.id}
                 onClick={() => switchSession(session.id)}
+                style={{ paddingLeft: `${0.75 + depth * 0.75}rem` }}
                 className={`group flex items-center gap-2 px-3 py-2 mx-1 my-0.5 rounded-lg cursor-pointer transition-colors
                   ${session.id === activeSessionId 
                     ? 'bg-gray-200 dark:bg-gray-700' 
                     : 'hover:bg-gray-100 dark:hover:bg-gray-800'
                   }`}
               >
-                <MessageSquare className="w-3.5 h-3.5 text-gray-400 shrink-0" />
+                {depth > 0 ? (
+                  <GitFork className="w-3.5 h-3.5 text-gray-400 shrink-0" />
+                ) : (
+                  <MessageSquare className="w-3.5 h-3.5 text-gray-400 shrink-0" />
+                )}
                 <span className="flex-1 text-xs text-gray-700 dark:text-gray-300 truncate">
                   {session.title}
                 </span>
@@ -120,110 +284,347 @@ export default function ChatPane() {
               )}
             </button>
             <div className="flex items-center gap-2">
-              <span className={`w-2 h-2 rounded-full ${agentMode === 'devils_advocate' ? 'bg-red-500' : 'bg-blue-500'}`} />
+              <span className={`w-2 h-2 rounded-full ${colors.dot}`} title={currentMode?.label} />
               <span className="text-xs font-semibold text-gray-700 dark:text-gray-300 truncate max-w-[180px]">
                 {activeSession.title}
               </span>
             </div>
           </div>
+          {usage?.calls > 0 && (
+            <span
+              className="text-xs text-gray-400 dark:text-gray-500 tabular-nums"
+              title={[
+                `Input: ${usage.inputTokens.toLocaleString()} tokens`,
+                `Output: ${usage.outputTokens.toLocaleString()} tokens`,
+                `Model calls: ${usage.calls}`,
+                ...(usage.estimated ? ['Some counts are estimates'] : []),
+                ...(usage.unpriced ? ['Some models have no price (see workspace/pricing.json)'] : []),
+              ].join('\n')}
+            >
+              {formatTokens(usage.inputTokens + usage.outputTokens)} tokens · {formatCost(usage)}
+            </span>
+          )}
         </div>
 
         {/* Agent Mode Toggle */}
         <div className="px-3 py-2 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/50">
-          <div className="flex gap-1">
-            <button
-              onClick={() => setAgentMode('copilot')}
-              className={`flex-1 px-2 py-1 text-xs rounded transition-colors ${
-                agentMode === 'copilot'
-                  ? 'bg-blue-500 text-white'
-                  : 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
-              }`}
+          <div className="flex flex-wrap gap-1">
+            {modes.map((mode) => (
+              <button
+                key={mode.id}
+                onClick={() => setAgentMode(mode.id)}
+                title={mode.description}
+                className={`flex-1 px-2 py-1 text-xs rounded whitespace-nowrap transition-colors ${
+                  agentMode === mode.id
+                    ? (MODE_COLORS[mode.color] || MODE_COLORS.gray).button
+                    : 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          {providerInfo && (
+            <select
+              value={modeSelection ? `${modeSelection.provider}:${modeSelection.model}` : ''}
+              onChange={handleModelChange}
+              disabled={loading}
+              title="Model used for this mode in this chat"
+              className="mt-1.5 w-full px-2 py-1 text-xs rounded
+                bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-400
+                ring-1 ring-gray-200 dark:ring-gray-700 focus:outline-none disabled:opacity-50"
             >
-              Copilot
-            </button>
-            <button
-              onClick={() => setAgentMode('devils_advocate')}
-              className={`flex-1 px-2 py-1 text-xs rounded transition-colors ${
-                agentMode === 'devils_advocate'
-                  ? 'bg-red-500 text-white'
-                  : 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
-              }`}
+              <option value="">
+                Default ({currentMode?.model ? `${currentMode.provider || providerInfo.name} · ${currentMode.model}` : `${providerInfo.name} · ${providerInfo.model}`})
+              </option>
+              {providerInfo.providers
+                .filter((p) => p.configured)
+                .flatMap((p) => p.models.map((m) => (
+                  <option key={`${p.name}:${m}`} value={`${p.name}:${m}`}>
+                    {p.name} · {m}
+                  </option>
+                )))}
+            </select>
+          )}
+          <label
+            className="mt-1.5 flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400 cursor-pointer select-none"
+            title="Stage the agent's file edits as diffs to accept or reject"
+          >
+            <input
+              type="checkbox"
+              checked={Boolean(activeSession.reviewEdits)}
+              onChange={(e) => setReviewEdits(e.target.checked)}
+              disabled={loading}
+              className="rounded accent-amber-500"
+            />
+            Review edits before applying
+          </label>
+          {currentMode?.debate && (
+            <div className="mt-1.5 flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+              <label className="flex items-center gap-1.5" title="Each round is one turn per speaker">
+                Rounds
+                <select
+                  value={debateRounds || currentMode.debate.defaultRounds}
+                  onChange={(e) => setDebateRounds(Number(e.target.value))}
+                  disabled={loading}
+                  className="px-1 py-0.5 rounded bg-white dark:bg-gray-800 ring-1 ring-gray-200 dark:ring-gray-700 focus:outline-none"
+                >
+                  {Array.from({ length: currentMode.debate.maxRounds }, (_, n) => n + 1).map((n) => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-1.5 cursor-pointer select-none" title="Add the verdict and transcript to the Memory Bank">
+                <input
+                  type="checkbox"
+                  checked={saveDecision}
+                  onChange={(e) => setSaveDecision(e.target.checked)}
+                  disabled={loading}
+                  className={`rounded ${colors.accent}`}
+                />
+                Save verdict as a decision
+              </label>
+            </div>
+          )}
+          {currentMode?.permissions.readOnly && !currentMode.debate && (
+            <label
+              className="mt-1 flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400 cursor-pointer select-none"
+              title={`${currentMode.label} is read-only; let it edit files for the next message only`}
             >
-              Devil's Advocate
-            </button>
-          </div>
+              <input
+                type="checkbox"
+                checked={allowEdits}
+                onChange={(e) => setAllowEdits(e.target.checked)}
+                disabled={loading}
+                className={`rounded ${colors.accent}`}
+              />
+              Allow edits for the next message
+            </label>
+          )}
         </div>
 
         {/* Messages */}
         <div ref={scrollRef} className="flex-1 overflow-y-auto px-3 py-3 space-y-3">
-          {messages.map((msg, i) => (
-            <div key={i} className={`flex gap-2 ${msg.role === 'user' ? 'justify-end' : ''}`}>
-              {msg.role === 'agent' && (
-                <div className={`w-6 h-6 rounded-full flex items-center justify-center shrink-0 mt-0.5 ${
-                  agentMode === 'devils_advocate'
-                    ? 'bg-red-100 dark:bg-red-900/40'
-                    : 'bg-blue-100 dark:bg-blue-900/40'
-                }`}>
-                  <Bot className={`w-3.5 h-3.5 ${
-                    agentMode === 'devils_advocate'
-                      ? 'text-red-600 dark:text-red-400'
-                      : 'text-blue-600 dark:text-blue-400'
-                  }`} />
-                </div>
-              )}
-              <div className="max-w-[85%] min-w-0">
-                <div
-                  className={`rounded-xl px-3 py-2 text-sm leading-relaxed whitespace-pre-wrap break-words overflow-hidden
-                    ${
-                      msg.role === 'user'
-                        ? 'bg-gray-800 dark:bg-gray-200 text-white dark:text-gray-900'
-                        : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 ring-1 ring-gray-200 dark:ring-gray-700'
-                    }`}
+          {messages.map((msg, i) => msg.pending && !msg.text ? null : msg.role === 'event' ? (
+            <div key={msg.id || i} className="flex items-center justify-center gap-2 text-xs text-gray-400 dark:text-gray-500">
+              <Undo2 className="w-3 h-3 shrink-0" />
+              <span>{msg.text}</span>
+              {msg.changeset && !msg.changeset.revertedBy && (
+                <button
+                  onClick={() => handleRevert(msg.id)}
+                  disabled={loading}
+                  className="underline hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
                 >
-                  {msg.text}
-                </div>
-                {msg.editedFiles?.length > 0 && (
-                  <div className="flex flex-wrap gap-1 mt-1.5">
-                    {msg.editedFiles.map((f) => (
-                      <span
-                        key={f}
-                        className="inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full
-                          bg-emerald-50 dark:bg-emerald-900/30 text-emerald-600 dark:text-emerald-400 break-all"
-                      >
-                        <FileEdit className="w-3 h-3 shrink-0" />
-                        <span className="truncate">{f.split('/').pop().replace(/\.md$/, '')}</span>
-                      </span>
-                    ))}
+                  Undo
+                </button>
+              )}
+            </div>
+          ) : (
+            <Fragment key={msg.id || i}>
+              {msg.compaction && (
+                <details className="text-xs text-gray-400 dark:text-gray-500">
+                  <summary className="flex items-center justify-center gap-2 cursor-pointer list-none">
+                    <FoldVertical className="w-3 h-3 shrink-0" />
+                    <span>{describeCompaction(msg.compaction)}</span>
+                  </summary>
+                  {msg.compaction.summary && (
+                    <div className="mt-1.5 mx-auto max-w-[85%] rounded-lg px-3 py-2 whitespace-pre-wrap bg-gray-100 dark:bg-gray-800">
+                      {msg.compaction.summary}
+                    </div>
+                  )}
+                </details>
+              )}
+              <div className={`flex gap-2 ${msg.role === 'user' ? 'justify-end' : ''}`}>
+                {msg.role === 'agent' && (
+                  <div className={`w-6 h-6 rounded-full flex items-center justify-center shrink-0 mt-0.5 ${messageColors(msg).avatar}`}>
+                    <Bot className={`w-3.5 h-3.5 ${messageColors(msg).icon}`} />
                   </div>
                 )}
-                {msg.memoryUsed?.length > 0 && (
-                  <div className="mt-1.5">
-                    <span className="text-xs text-gray-500 dark:text-gray-400">
-                      Memory Used: {msg.memoryUsed.length} {msg.memoryUsed.length === 1 ? 'item' : 'items'}
-                    </span>
+                <div className="max-w-[85%] min-w-0">
+                  {msg.debate && (
+                    <div className="mb-0.5 text-xs font-medium text-gray-500 dark:text-gray-400">
+                      {msg.debate.label}{msg.debate.round ? ` · round ${msg.debate.round}` : ''}
+                    </div>
+                  )}
+                  {editing?.id === msg.id ? (
+                    <div className="w-72 max-w-full">
+                      <textarea
+                        value={editing.text}
+                        onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' && !e.shiftKey) {
+                            e.preventDefault()
+                            handleResend()
+                          } else if (e.key === 'Escape') {
+                            setEditing(null)
+                          }
+                        }}
+                        rows={3}
+                        autoFocus
+                        className="w-full resize-none rounded-xl px-3 py-2 text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200
+                          ring-1 ring-gray-300 dark:ring-gray-600 focus:outline-none focus:ring-gray-400"
+                      />
+                      <div className="mt-1 flex justify-end gap-2 text-xs">
+                        <button
+                          onClick={() => setEditing(null)}
+                          className="px-2 py-1 rounded text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={handleResend}
+                          disabled={loading || !editing.text.trim()}
+                          className="px-2 py-1 rounded bg-gray-800 dark:bg-gray-200 text-white dark:text-gray-900 disabled:opacity-50"
+                        >
+                          Save & send
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div
+                      className={`rounded-xl px-3 py-2 text-sm leading-relaxed whitespace-pre-wrap break-words overflow-hidden
+                        ${
+                          msg.role === 'user'
+                            ? 'bg-gray-800 dark:bg-gray-200 text-white dark:text-gray-900'
+                            : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 ring-1 ring-gray-200 dark:ring-gray-700'
+                        }`}
+                    >
+                      {msg.text}
+                    </div>
+                  )}
+                  {msg.id && !msg.pending && editing?.id !== msg.id && (
+                    <div className={`mt-1 flex items-center gap-2 text-xs text-gray-400 dark:text-gray-500 ${msg.role === 'user' ? 'justify-end' : ''}`}>
+                      {msg.siblingIds && (
+                        <span className="flex items-center gap-0.5" title="Alternative branches">
+                          <button
+                            onClick={() => switchBranch(msg.siblingIds[msg.siblingIds.indexOf(msg.id) - 1])}
+                            disabled={loading || msg.siblingIds.indexOf(msg.id) === 0}
+                            className="hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-40"
+                          >
+                            <ChevronLeft className="w-3 h-3" />
+                          </button>
+                          {msg.siblingIds.indexOf(msg.id) + 1}/{msg.siblingIds.length}
+                          <button
+                            onClick={() => switchBranch(msg.siblingIds[msg.siblingIds.indexOf(msg.id) + 1])}
+                            disabled={loading || msg.siblingIds.indexOf(msg.id) === msg.siblingIds.length - 1}
+                            className="hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-40"
+                          >
+                            <ChevronRight className="w-3 h-3" />
+                          </button>
+                        </span>
+                      )}
+                      {msg.role === 'user' ? (
+                        <button
+                          onClick={() => setEditing({ id: msg.id, text: msg.text })}
+                          disabled={loading}
+                          className="flex items-center gap-1 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+                          title="Edit and resend (keeps this version as a branch)"
+                        >
+                          <Pencil className="w-3 h-3" />
+                          Edit
+                        </button>
+                      ) : messages[i - 1]?.role === 'user' && (
+                        <button
+                          onClick={() => send('', agentMode, { branchFrom: msg.id })}
+                          disabled={loading}
+                          className="flex items-center gap-1 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+                          title="Regenerate (keeps this reply as a branch)"
+                        >
+                          <RefreshCw className="w-3 h-3" />
+                          Regenerate
+                        </button>
+                      )}
+                      <button
+                        onClick={() => forkSession(msg.id)}
+                        disabled={loading}
+                        className="flex items-center gap-1 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+                        title="Continue from here in a new chat"
+                      >
+                        <GitFork className="w-3 h-3" />
+                        Fork
+                      </button>
+                    </div>
+                  )}
+                  {msg.editedFiles?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1.5">
+                      {msg.editedFiles.map((f) => (
+                        <span
+                          key={f}
+                          className="inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full
+                            bg-emerald-50 dark:bg-emerald-900/30 text-emerald-600 dark:text-emerald-400 break-all"
+                        >
+                          <FileEdit className="w-3 h-3 shrink-0" />
+                          <span className="truncate">{f.split('/').pop().replace(/\.md$/, '')}</span>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {msg.changeset && !msg.changeset.revertedBy && (
+                    <button
+                      onClick={() => handleRevert(msg.id)}
+                      disabled={loading}
+                      className="mt-1 flex items-center gap-1 text-xs text-gray-400 dark:text-gray-500
+                        hover:text-gray-600 dark:hover:text-gray-300 transition-colors disabled:opacity-50"
+                      title={`Restore ${msg.changeset.files.map((f) => f.path).join(', ')}`}
+                    >
+                      <Undo2 className="w-3 h-3" />
+                      Revert this turn
+                    </button>
+                  )}
+                  {msg.proposedFiles?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1.5">
+                      {msg.proposedFiles.map((f) => (
+                        <span
+                          key={f}
+                          className="inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full
+                            bg-amber-50 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400 break-all"
+                          title={`Proposed edit: ${f}`}
+                        >
+                          <FileDiff className="w-3 h-3 shrink-0" />
+                          <span className="truncate">{f.split('/').pop().replace(/\.md$/, '')}</span>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {(msg.memoryUsed?.length > 0 || msg.model || msg.stopped) && (
+                    <div className="mt-1.5 flex flex-wrap gap-x-2">
+                      {msg.memoryUsed?.length > 0 && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          Memory Used: {msg.memoryUsed.length} {msg.memoryUsed.length === 1 ? 'item' : 'items'}
+                        </span>
+                      )}
+                      {msg.citedMemories?.length > 0 && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400" title={msg.citedMemories.join(', ')}>
+                          Cited: {msg.citedMemories.length}
+                        </span>
+                      )}
+                      {msg.decisionMemoryId && (
+                        <span className="text-xs text-violet-500 dark:text-violet-400">Saved as decision</span>
+                      )}
+                      {msg.model && (
+                        <span className="text-xs text-gray-400 dark:text-gray-500">
+                          {msg.provider} · {msg.model}
+                        </span>
+                      )}
+                      {msg.stopped && (
+                        <span className="text-xs text-gray-400 dark:text-gray-500">Stopped</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+                {msg.role === 'user' && (
+                  <div className="w-6 h-6 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center shrink-0 mt-0.5">
+                    <User className="w-3.5 h-3.5 text-gray-500 dark:text-gray-400" />
                   </div>
                 )}
               </div>
-              {msg.role === 'user' && (
-                <div className="w-6 h-6 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center shrink-0 mt-0.5">
-                  <User className="w-3.5 h-3.5 text-gray-500 dark:text-gray-400" />
-                </div>
-              )}
-            </div>
+            </Fragment>
           ))}
 
           {loading && (
             <div className="flex gap-2">
-              <div className={`w-6 h-6 rounded-full flex items-center justify-center shrink-0 mt-0.5 ${
-                agentMode === 'devils_advocate'
-                  ? 'bg-red-100 dark:bg-red-900/40'
-                  : 'bg-blue-100 dark:bg-blue-900/40'
-              }`}>
-                <Bot className={`w-3.5 h-3.5 ${
-                  agentMode === 'devils_advocate'
-                    ? 'text-red-600 dark:text-red-400'
-                    : 'text-blue-600 dark:text-blue-400'
-                }`} />
+              <div className={`w-6 h-6 rounded-full flex items-center justify-center shrink-0 mt-0.5 ${colors.avatar}`}>
+                <Bot className={`w-3.5 h-3.5 ${colors.icon}`} />
               </div>
               <div className="bg-white dark:bg-gray-800 ring-1 ring-gray-200 dark:ring-gray-700 rounded-xl px-3 py-2 text-sm text-gray-400 dark:text-gray-500 flex items-center gap-2">
                 <Loader2 className="w-3.5 h-3.5 animate-spin" />
@@ -233,39 +634,124 @@ export default function ChatPane() {
           )}
         </div>
 
+        {/* Pending changes awaiting review */}
+        {pendingChanges.length > 0 && (
+          <div className="px-3 py-2 border-t border-gray-200 dark:border-gray-700 bg-amber-50/50 dark:bg-amber-900/10 shrink-0">
+            <div className="text-[10px] font-medium uppercase tracking-wider text-amber-600 dark:text-amber-400 mb-1">
+              Pending changes ({pendingChanges.length})
+            </div>
+            {changeError && <div className="text-xs text-red-500 mb-1">{changeError}</div>}
+            <div className="space-y-0.5 max-h-32 overflow-y-auto">
+              {pendingChanges.map((change) => (
+                <div key={change.path} className="flex items-center gap-1.5 text-xs">
+                  <FileDiff className="w-3 h-3 shrink-0 text-amber-500" />
+                  <button
+                    onClick={() => handleViewChange(change)}
+                    className="flex-1 min-w-0 text-left font-mono text-gray-700 dark:text-gray-300 truncate hover:underline"
+                    title={change.path}
+                  >
+                    {change.path}
+                  </button>
+                  <span className="shrink-0 font-mono text-emerald-600 dark:text-emerald-400">+{change.additions}</span>
+                  <span className="shrink-0 font-mono text-red-500">-{change.deletions}</span>
+                  <button
+                    onClick={() => handleViewChange(change)}
+                    className="p-0.5 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"
+                    title="View diff"
+                  >
+                    <Eye className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => handleResolveChange(acceptChange, change.path)}
+                    className="p-0.5 rounded text-emerald-600 hover:text-emerald-700 hover:bg-gray-200 dark:hover:bg-gray-700"
+                    title="Accept"
+                  >
+                    <Check className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => handleResolveChange(rejectChange, change.path)}
+                    className="p-0.5 rounded text-red-500 hover:text-red-600 hover:bg-gray-200 dark:hover:bg-gray-700"
+                    title="Reject"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Input */}
         <div className="px-3 py-3 border-t border-gray-200 dark:border-gray-700 shrink-0">
           <div className="flex gap-2 items-end">
-            <textarea
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              onKeyDown={handleKeyDown}
-              disabled={loading}
-              rows={1}
-              placeholder={agentMode === 'devils_advocate' ? 'Challenge me...' : 'Message assistant...'}
-              className="flex-1 px-3 py-2 text-sm rounded-xl resize-none
-                bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200
-                ring-1 ring-gray-200 dark:ring-gray-700
-                placeholder-gray-400 dark:placeholder-gray-500
-                focus:outline-none focus:ring-2 focus:ring-blue-500/50 dark:focus:ring-blue-400/50
-                disabled:opacity-50 transition-all"
-              style={{ minHeight: '38px', maxHeight: '120px' }}
-              onInput={(e) => {
-                e.target.style.height = '38px'
-                e.target.style.height = Math.min(e.target.scrollHeight, 120) + 'px'
-              }}
-            />
-            <button
-              onClick={handleSend}
-              disabled={loading || !input.trim()}
-              className="px-3 py-2 rounded-xl bg-gray-800 dark:bg-gray-200
-                hover:bg-gray-700 dark:hover:bg-gray-300
-                text-white dark:text-gray-900
-                transition-colors focus:outline-none
-                disabled:opacity-30"
-            >
-              <Send className="w-4 h-4" />
-            </button>
+            <div className="relative flex-1 flex">
+              {commandSuggestions.length > 0 && (
+                <div className="absolute bottom-full left-0 right-0 mb-1 py-1 rounded-xl shadow-lg overflow-hidden z-10
+                  bg-white dark:bg-gray-800 ring-1 ring-gray-200 dark:ring-gray-700">
+                  {commandSuggestions.map((command) => (
+                    <button
+                      key={command.name}
+                      onMouseDown={(e) => {
+                        e.preventDefault() // Keep the focus in the textarea
+                        completeCommand(command)
+                      }}
+                      onMouseEnter={() => setCommandIndex(commandSuggestions.indexOf(command))}
+                      className={`w-full px-3 py-1.5 flex items-baseline gap-2 text-left text-xs ${command === selectedCommand
+                        ? 'bg-gray-100 dark:bg-gray-700'
+                        : ''}`}
+                    >
+                      <span className="font-mono text-gray-800 dark:text-gray-200 shrink-0">{command.usage}</span>
+                      <span className="text-gray-500 dark:text-gray-400 truncate">{command.description}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+              <textarea
+                value={input}
+                onChange={handleInputChange}
+                onKeyDown={handleKeyDown}
+                disabled={loading}
+                rows={1}
+                placeholder={agentMode === 'devils_advocate'
+                  ? 'Challenge me...'
+                  : currentMode?.debate ? 'Ask a question to debate...' : 'Message assistant... (/ for commands)'}
+                className="flex-1 px-3 py-2 text-sm rounded-xl resize-none
+                  bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200
+                  ring-1 ring-gray-200 dark:ring-gray-700
+                  placeholder-gray-400 dark:placeholder-gray-500
+                  focus:outline-none focus:ring-2 focus:ring-blue-500/50 dark:focus:ring-blue-400/50
+                  disabled:opacity-50 transition-all"
+                style={{ minHeight: '38px', maxHeight: '120px' }}
+                onInput={(e) => {
+                  e.target.style.height = '38px'
+                  e.target.style.height = Math.min(e.target.scrollHeight, 120) + 'px'
+                }}
+              />
+            </div>
+            {loading ? (
+              <button
+                onClick={stop}
+                title="Stop"
+                className="px-3 py-2 rounded-xl bg-gray-800 dark:bg-gray-200
+                  hover:bg-gray-700 dark:hover:bg-gray-300
+                  text-white dark:text-gray-900
+                  transition-colors focus:outline-none"
+              >
+                <Square className="w-4 h-4 fill-current" />
+              </button>
+            ) : (
+              <button
+                onClick={handleSend}
+                disabled={!input.trim()}
+                className="px-3 py-2 rounded-xl bg-gray-800 dark:bg-gray-200
+                  hover:bg-gray-700 dark:hover:bg-gray-300
+                  text-white dark:text-gray-900
+                  transition-colors focus:outline-none
+                  disabled:opacity-30"
+              >
+                <Send className="w-4 h-4" />
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,55 @@
+// Side-by-side line diff; rows come from the server (see server/diff.js)
+const CELL_STYLES = {
+  equal: 'text-gray-600 dark:text-gray-400',
+  removed: 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300',
+  added: 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-800 dark:text-emerald-300',
+  empty: 'bg-gray-50 dark:bg-gray-900/50',
+}
+
+function DiffCell({ line, kind }) {
+  if (!line) {
+    return <td colSpan={2} className={CELL_STYLES.empty} />
+  }
+
+  return (
+    <>
+      <td className="w-10 px-2 text-right align-top select-none text-gray-300 dark:text-gray-600">
+        {line.number}
+      </td>
+      <td className={`px-2 whitespace-pre-wrap break-words align-top ${CELL_STYLES[kind]}`}>
+        {line.text || ' '}
+      </td>
+    </>
+  )
+}
+
+export default function DiffView({ rows, leftLabel = 'Current', rightLabel = 'Proposed' }) {
+  return (
+    <table className="w-full table-fixed border-collapse font-mono text-xs leading-relaxed">
+      <colgroup>
+        <col className="w-10" />
+        <col />
+        <col className="w-10" />
+        <col />
+      </colgroup>
+      <thead>
+        <tr className="text-[10px] font-medium uppercase tracking-wider text-gray-400 dark:text-gray-500">
+          <th colSpan={2} className="px-3 py-1 text-left bg-gray-50 dark:bg-gray-900 border-b border-r border-gray-200 dark:border-gray-700">
+            {leftLabel}
+          </th>
+          <th colSpan={2} className="px-3 py-1 text-left bg-gray-50 dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700">
+            {rightLabel}
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i}>
+            <DiffCell line={row.left} kind={row.type === 'equal' ? 'equal' : 'removed'} />
+            <DiffCell line={row.right} kind={row.type === 'equal' ? 'equal' : 'added'} />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
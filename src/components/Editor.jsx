@@ -1,16 +1,19 @@
 import { useState, useEffect, useCallback } from 'react'
-import { X, Loader2, Edit3, Eye, Save, Check, Lightbulb, ArrowRight } from 'lucide-react'
+import { X, Loader2, Edit3, Eye, Save, Check, Lightbulb, ArrowRight, GitCompare, History } from 'lucide-react'
 import { useFiles } from '../context/FileContext'
-import { saveFile } from '../api/client'
+import { saveFile, fetchPendingChange } from '../api/client'
+import DiffView from './DiffView'
+import FileHistory from './FileHistory'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 
 export default function Editor() {
-  const { selectedPath, fileContent, loading, closeFile, refreshFiles } = useFiles()
+  const { selectedPath, fileContent, loading, closeFile, refreshFiles, reviewedChange } = useFiles()
   const [isEditing, setIsEditing] = useState(false)
   const [editContent, setEditContent] = useState('')
   const [isSaving, setIsSaving] = useState(false)
   const [saveStatus, setSaveStatus] = useState(null) // 'saved' | 'error' | null
+  const [showHistory, setShowHistory] = useState(false)
 
   // Sync edit content when file content changes
   useEffect(() => {
@@ -22,6 +25,7 @@ export default function Editor() {
   // Reset editing state when file changes
   useEffect(() => {
     setIsEditing(false)
+    setShowHistory(false)
     setSaveStatus(null)
   }, [selectedPath])
 
@@ -62,6 +66,10 @@ export default function Editor() {
     return () => window.removeEventListener('keydown', handleKeyDown)
   }, [isEditing, handleSave])
 
+  if (reviewedChange) {
+    return <ChangeReview key={`${reviewedChange.sessionId}:${reviewedChange.path}`} review={reviewedChange} />
+  }
+
   if (!selectedPath) {
     return (
       <div className="h-full flex flex-col items-center justify-center bg-white dark:bg-gray-800">
@@ -130,7 +138,23 @@ export default function Editor() {
           )}
 
           <button
-            onClick={() => setIsEditing(!isEditing)}
+            onClick={() => setShowHistory(!showHistory)}
+            className={`flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded transition-colors
+              ${showHistory
+                ? 'bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                : 'text-gray-400 dark:text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700 hover:text-gray-600 dark:hover:text-gray-300'
+              }`}
+            title="Revision history"
+          >
+            <History className="w-3 h-3" />
+            History
+          </button>
+
+          <button
+            onClick={() => {
+              setShowHistory(false)
+              setIsEditing(!isEditing)
+            }}
             className={`flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded transition-colors
               ${isEditing
                 ? 'bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
@@ -145,7 +169,9 @@ export default function Editor() {
 
       {/* Editor content area */}
       <div className="flex-1 overflow-hidden">
-        {loading ? (
+        {showHistory ? (
+          <FileHistory path={selectedPath} onRestored={() => refreshFiles([selectedPath])} />
+        ) : loading ? (
           <div className="flex items-center justify-center h-full">
             <Loader2 className="w-5 h-5 animate-spin text-gray-300" />
           </div>
@@ -190,6 +216,85 @@ export default function Editor() {
   )
 }
 
+// Side-by-side diff of a pending agent edit, with accept/reject
+function ChangeReview({ review }) {
+  const { closeChangeReview } = useFiles()
+  const [change, setChange] = useState(null)
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    fetchPendingChange(review.sessionId, review.path)
+      .then(setChange)
+      .catch((err) => setError(err.message))
+  }, [review.sessionId, review.path])
+
+  const resolve = async (action) => {
+    setBusy(true)
+    setError(null)
+    const result = await action(review.path)
+    setBusy(false)
+    if (result.ok) {
+      closeChangeReview()
+    } else {
+      setError(result.error)
+    }
+  }
+
+  return (
+    <div className="h-full flex flex-col bg-white dark:bg-gray-800">
+      <div className="flex items-center h-9 border-b border-gray-200 dark:border-gray-700 bg-gray-50/50 dark:bg-gray-900/50 shrink-0">
+        <div className="flex items-center gap-1.5 px-3 min-w-0">
+          <button
+            onClick={() => closeChangeReview()}
+            className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
+            title="Close diff"
+          >
+            <X className="w-3 h-3 text-gray-400" />
+          </button>
+          <GitCompare className="w-3.5 h-3.5 shrink-0 text-amber-500" />
+          <span className="text-xs font-mono text-gray-600 dark:text-gray-300 truncate">{review.path}</span>
+          {change?.isNew && <span className="text-xs text-amber-600 dark:text-amber-400">(new file)</span>}
+        </div>
+
+        <div className="flex-1" />
+
+        <div className="flex items-center gap-1.5 px-3">
+          {error && <span className="text-xs text-red-500 truncate max-w-[240px]" title={error}>{error}</span>}
+          <button
+            onClick={() => resolve(review.onReject)}
+            disabled={busy}
+            className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded transition-colors
+              text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <X className="w-3 h-3" />
+            Reject
+          </button>
+          <button
+            onClick={() => resolve(review.onAccept)}
+            disabled={busy || !change}
+            className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded
+              bg-emerald-600 hover:bg-emerald-700 text-white transition-colors disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />}
+            Accept
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {change ? (
+          <DiffView rows={change.rows} leftLabel={change.isNew ? 'New file' : 'Current'} />
+        ) : !error && (
+          <div className="flex items-center justify-center h-full">
+            <Loader2 className="w-5 h-5 animate-spin text-gray-300" />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
 function MarkdownContent({ content }) {
   return (
     <div className="prose prose-sm dark:prose-invert max-w-none
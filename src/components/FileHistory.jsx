@@ -0,0 +1,141 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Loader2, User, Bot, Settings, RotateCcw } from 'lucide-react'
+import { fetchFileHistory, fetchRevisionDiff, restoreRevision } from '../api/client'
+import DiffView from './DiffView'
+
+const AUTHOR_LABELS = {
+  user: 'You',
+  agent: 'Agent',
+  system: 'System',
+  unknown: 'Before history',
+}
+
+function AuthorIcon({ author }) {
+  if (author === 'agent') return <Bot className="w-3 h-3 shrink-0 text-blue-500" />
+  if (author === 'user') return <User className="w-3 h-3 shrink-0 text-gray-500" />
+  return <Settings className="w-3 h-3 shrink-0 text-gray-400" />
+}
+
+// Revision list of a file with a diff of the selected revision against the current content
+export default function FileHistory({ path, onRestored }) {
+  const [revisions, setRevisions] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+  const [rows, setRows] = useState(null)
+  const [restoring, setRestoring] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadRevisions = useCallback(async () => {
+    try {
+      const list = await fetchFileHistory(path)
+      setRevisions(list)
+      // Preselect the revision before the current one, the usual restore target
+      setSelectedId((current) => current && list.some((r) => r.id === current) ? current : list[1]?.id || list[0]?.id || null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [path])
+
+  useEffect(() => {
+    loadRevisions()
+  }, [loadRevisions])
+
+  useEffect(() => {
+    if (!selectedId) return
+    let cancelled = false
+    fetchRevisionDiff(path, selectedId)
+      .then((diffRows) => !cancelled && setRows(diffRows))
+      .catch((err) => !cancelled && setError(err.message))
+    return () => {
+      cancelled = true
+    }
+  }, [path, selectedId, revisions])
+
+  const handleRestore = async () => {
+    setRestoring(true)
+    setError(null)
+    try {
+      await restoreRevision(path, selectedId)
+      await onRestored()
+      await loadRevisions()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  if (!revisions) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        {error
+          ? <p className="text-sm text-red-500">{error}</p>
+          : <Loader2 className="w-5 h-5 animate-spin text-gray-300" />}
+      </div>
+    )
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <p className="text-sm text-gray-400 dark:text-gray-500">No revisions recorded yet.</p>
+      </div>
+    )
+  }
+
+  const isCurrent = selectedId === revisions[0].id
+
+  return (
+    <div className="flex h-full">
+      <div className="w-56 shrink-0 overflow-y-auto border-r border-gray-200 dark:border-gray-700 py-1">
+        {revisions.map((revision, i) => (
+          <button
+            key={revision.id}
+            onClick={() => setSelectedId(revision.id)}
+            className={`w-full px-3 py-1.5 text-left transition-colors
+              ${revision.id === selectedId
+                ? 'bg-blue-100 dark:bg-blue-900/40'
+                : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+          >
+            <div className="flex items-center gap-1.5 text-xs text-gray-700 dark:text-gray-300">
+              <AuthorIcon author={revision.author} />
+              <span className="font-medium">{AUTHOR_LABELS[revision.author] || revision.author}</span>
+              {i === 0 && <span className="text-[10px] text-emerald-600 dark:text-emerald-400">current</span>}
+              {revision.restoredFrom && (
+                <span title="Restored from an earlier revision">
+                  <RotateCcw className="w-3 h-3 text-gray-400" />
+                </span>
+              )}
+            </div>
+            <div className="text-[10px] text-gray-400 dark:text-gray-500 truncate">
+              {new Date(revision.createdAt).toLocaleString()}
+              {revision.sessionId && ` · ${revision.sessionId}`}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex-1 flex flex-col min-w-0">
+        <div className="flex items-center gap-2 px-3 py-1.5 border-b border-gray-200 dark:border-gray-700 shrink-0">
+          <span className="flex-1 text-xs text-gray-500 dark:text-gray-400">
+            {isCurrent ? 'This is the current version' : 'Changes from this revision to the current version'}
+          </span>
+          {error && <span className="text-xs text-red-500 truncate">{error}</span>}
+          <button
+            onClick={handleRestore}
+            disabled={isCurrent || restoring}
+            className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded
+              bg-gray-800 dark:bg-gray-200 hover:bg-gray-700 dark:hover:bg-gray-300
+              text-white dark:text-gray-900 transition-colors disabled:opacity-30"
+          >
+            {restoring ? <Loader2 className="w-3 h-3 animate-spin" /> : <RotateCcw className="w-3 h-3" />}
+            Restore
+          </button>
+        </div>
+        <div className="flex-1 overflow-auto">
+          {rows && <DiffView rows={rows} leftLabel="Revision" rightLabel="Current" />}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect } from 'react'
 import { useFiles } from '../context/FileContext'
+import { searchFiles } from '../api/client'
 import {
   ChevronRight,
   ChevronDown,
@@ -11,6 +12,7 @@ import {
   X,
   Plus,
   Lightbulb,
+  Search,
 } from 'lucide-react'
 
 // Helper to get display name without .md extension
@@ -271,8 +273,74 @@ function TreeNode({ node, depth = 0, parentPath = '' }) {
   )
 }
 
+// Ranked full-text search hits; clicking one opens the file in the Editor
+function SearchResults({ query }) {
+  const { selectedPath, selectFile } = useFiles()
+  const [results, setResults] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Debounce so the index isn't queried on every keystroke
+  useEffect(() => {
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const hits = await searchFiles(query)
+        if (!cancelled) {
+          setResults(hits)
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      }
+    }, 200)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query])
+
+  if (error) {
+    return <div className="px-2 py-1 text-sm text-red-500">{error}</div>
+  }
+
+  if (!results) {
+    return <div className="px-2 py-1 text-sm text-gray-400">Searching...</div>
+  }
+
+  if (results.length === 0) {
+    return <div className="px-2 py-1 text-sm text-gray-400">No matches</div>
+  }
+
+  return (
+    <div>
+      {results.map((hit) => (
+        <button
+          key={`${hit.path}:${hit.line}`}
+          onClick={() => selectFile(hit.path)}
+          className={`w-full px-2 py-1 text-left rounded transition-colors
+            ${
+              selectedPath === hit.path
+                ? 'bg-blue-100 dark:bg-blue-900/40'
+                : 'hover:bg-gray-200 dark:hover:bg-gray-700'
+            }`}
+          title={`${hit.path}:${hit.line}`}
+        >
+          <div className="flex items-center gap-1 text-xs font-mono text-gray-500 dark:text-gray-400">
+            <FileText className="w-3 h-3 shrink-0" />
+            <span className="truncate">{getDisplayName(hit.path)}</span>
+            <span className="shrink-0">:{hit.line}</span>
+          </div>
+          <div className="text-sm text-gray-700 dark:text-gray-300 truncate">{hit.snippet}</div>
+        </button>
+      ))}
+    </div>
+  )
+}
+
 export default function Sidebar() {
   const { tree, createNewIdea } = useFiles()
+  const [query, setQuery] = useState('')
 
   const handleAddIdea = async () => {
     await createNewIdea()
@@ -309,10 +377,38 @@ export default function Sidebar() {
           <Plus className="w-4 h-4" />
         </button>
       </div>
+      <div className="px-2 py-1.5 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center gap-1 px-2 py-1 rounded bg-white dark:bg-gray-800
+          border border-gray-200 dark:border-gray-700 focus-within:border-blue-500">
+          <Search className="w-3.5 h-3.5 shrink-0 text-gray-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setQuery('')}
+            placeholder="Search files"
+            className="flex-1 min-w-0 text-sm bg-transparent outline-none
+              text-gray-800 dark:text-gray-200 placeholder-gray-400"
+          />
+          {query && (
+            <button
+              onClick={() => setQuery('')}
+              className="p-0.5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+              title="Clear search"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      </div>
       <div className="flex-1 overflow-y-auto p-1">
-        {ideaFolders.map((ideaNode) => (
-          <TreeNode key={ideaNode.name} node={ideaNode} depth={0} parentPath="" />
-        ))}
+        {query.trim() ? (
+          <SearchResults query={query.trim()} />
+        ) : (
+          ideaFolders.map((ideaNode) => (
+            <TreeNode key={ideaNode.name} node={ideaNode} depth={0} parentPath="" />
+          ))
+        )}
       </div>
     </div>
   )
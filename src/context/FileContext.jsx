@@ -8,6 +8,7 @@ export function FileProvider({ children }) {
   const [selectedPath, setSelectedPath] = useState(null)
   const [fileContent, setFileContent] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [reviewedChange, setReviewedChange] = useState(null) // { sessionId, path, onAccept, onReject } shown as a diff in the Editor
 
   // Fetch tree on mount
   useEffect(() => {
@@ -60,6 +61,16 @@ export function FileProvider({ children }) {
     setFileContent(null)
   }, [])
 
+  // Show a pending agent edit as a diff in the Editor; onAccept/onReject resolve it
+  const openChangeReview = useCallback((review) => {
+    setReviewedChange(review)
+  }, [])
+
+  // Close the diff (only if it still shows `path`, when given)
+  const closeChangeReview = useCallback((path = null) => {
+    setReviewedChange((current) => (!path || current?.path === path ? null : current))
+  }, [])
+
   // Create a new idea
   const createNewIdea = useCallback(async () => {
     try {
@@ -119,6 +130,9 @@ export function FileProvider({ children }) {
         refreshFiles,
         rename,
         createNewIdea,
+        reviewedChange,
+        openChangeReview,
+        closeChangeReview,
       }}
     >
       {children}
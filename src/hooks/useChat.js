@@ -1,17 +1,44 @@
 import { useState, useCallback, useEffect, useRef } from 'react'
-import { fetchSessions, createSession, deleteSession, sendMessageStream, clearChat } from '../api/client'
+import {
+  fetchSessions,
+  fetchSessionMessages,
+  createSession,
+  forkSession as forkSessionApi,
+  deleteSession,
+  updateSessionModel,
+  updateSessionReviewEdits,
+  fetchPendingChanges,
+  acceptPendingChange,
+  rejectPendingChange,
+  revertTurn as revertTurnApi,
+  selectBranch,
+  sendMessageStream,
+  stopChat,
+  clearChat,
+  fetchProviderInfo,
+  fetchModes,
+  fetchCommands,
+  fetchUsage,
+} from '../api/client'
 import { useFiles } from '../context/FileContext'
 
 const GREETING = "Hi! I'm your AI assistant for Ekpa. I can help with strategy, product development, and customer insights. What would you like to work on?"
 
 export function useChat() {
-  const { refreshFiles } = useFiles()
+  const { refreshFiles, closeChangeReview } = useFiles()
   const [sessions, setSessions] = useState([]) // Array of { id, title, createdAt, updatedAt }
   const [activeSessionId, setActiveSessionId] = useState(null)
   const [messages, setMessages] = useState({}) // sessionId -> [{role, text, editedFiles?}]
   const [loading, setLoading] = useState(false)
   const [status, setStatus] = useState('') // Current thinking status
+  const [providerInfo, setProviderInfo] = useState(null) // Default provider + selectable providers/models
+  const [modes, setModes] = useState([]) // Agent modes: [{ id, label, color, permissions, ... }]
+  const [commands, setCommands] = useState([]) // Slash commands: [{ name, usage, description, argRequired, mode }]
+  const [pendingChanges, setPendingChanges] = useState({}) // sessionId -> [{ path, isNew, additions, deletions }]
+  const [usage, setUsage] = useState({}) // sessionId -> { calls, inputTokens, outputTokens, cost, unpriced, estimated }
   const initialized = useRef(false)
+  const requestedSessions = useRef(new Set()) // Sessions whose transcript has been requested
+  const abortRef = useRef(null) // AbortController of the request in flight
 
   // Initialize: fetch sessions or create first one
   useEffect(() => {
@@ -21,14 +48,9 @@ export function useChat() {
     fetchSessions()
       .then((sessionList) => {
         if (sessionList.length > 0) {
+          // Messages are restored from the server when a session is opened
           setSessions(sessionList)
           setActiveSessionId(sessionList[0].id)
-          // Initialize empty messages for existing sessions
-          const init = {}
-          for (const s of sessionList) {
-            init[s.id] = [{ role: 'agent', text: GREETING }]
-          }
-          setMessages(init)
         } else {
           // Create first session
           return createSession('New Chat').then((session) => {
@@ -39,8 +61,58 @@ export function useChat() {
         }
       })
       .catch((err) => console.error('Failed to initialize chat:', err))
+
+    fetchProviderInfo()
+      .then(setProviderInfo)
+      .catch((err) => console.error('Failed to load provider info:', err))
+
+    fetchModes()
+      .then(setModes)
+      .catch((err) => console.error('Failed to load agent modes:', err))
+
+    fetchCommands()
+      .then(setCommands)
+      .catch((err) => console.error('Failed to load slash commands:', err))
   }, [])
 
+  // Restore the persisted transcript the first time a session is opened
+  useEffect(() => {
+    if (!activeSessionId || messages[activeSessionId]) return
+    if (requestedSessions.current.has(activeSessionId)) return
+    requestedSessions.current.add(activeSessionId)
+
+    const sessionId = activeSessionId
+    fetchSessionMessages(sessionId)
+      .then((saved) => {
+        setMessages((prev) => ({
+          ...prev,
+          [sessionId]: prev[sessionId] || [{ role: 'agent', text: GREETING }, ...saved],
+        }))
+      })
+      .catch((err) => {
+        console.error('Failed to load session messages:', err)
+        setMessages((prev) => ({
+          ...prev,
+          [sessionId]: prev[sessionId] || [{ role: 'agent', text: GREETING }],
+        }))
+      })
+
+    fetchPendingChanges(sessionId)
+      .then((changes) => setPendingChanges((prev) => ({ ...prev, [sessionId]: changes })))
+      .catch((err) => console.error('Failed to load pending changes:', err))
+  }, [activeSessionId, messages])
+
+  // Reload the token usage and cost of a session
+  const refreshUsage = useCallback((sessionId) => {
+    fetchUsage({ sessionId })
+      .then((report) => setUsage((prev) => ({ ...prev, [sessionId]: report.totals })))
+      .catch((err) => console.error('Failed to load usage:', err))
+  }, [])
+
+  useEffect(() => {
+    if (activeSessionId) refreshUsage(activeSessionId)
+  }, [activeSessionId, refreshUsage])
+
   // Create a new chat session
   const newSession = useCallback(async () => {
     try {
@@ -57,6 +129,19 @@ export function useChat() {
     }
   }, [])
 
+  // Continue the current session in a new one, from a copy of its transcript up to a message
+  const forkSession = useCallback(async (messageId) => {
+    try {
+      const session = await forkSessionApi(activeSessionId, messageId)
+      setSessions((prev) => [session, ...prev])
+      // The copied transcript is restored from the server like any other session
+      setActiveSessionId(session.id)
+      return session
+    } catch (err) {
+      console.error('Failed to fork session:', err)
+    }
+  }, [activeSessionId])
+
   // Delete a chat session
   const removeSession = useCallback(async (sessionId) => {
     try {
@@ -90,41 +175,237 @@ export function useChat() {
     }
   }, [sessions])
 
-  // Send message to current session (with streaming status)
+  // Pick the provider/model the current session uses for an agent mode (null resets to default)
+  const setSessionModel = useCallback(
+    async (mode, selection) => {
+      if (!activeSessionId) return
+      try {
+        const updated = await updateSessionModel(activeSessionId, {
+          provider: selection?.provider || null,
+          model: selection?.model || null,
+          mode,
+        })
+        setSessions((prev) => prev.map((s) => (s.id === updated.id ? { ...s, ...updated } : s)))
+      } catch (err) {
+        console.error('Failed to update session model:', err)
+      }
+    },
+    [activeSessionId]
+  )
+
+  // Turn review of agent edits on or off for the current session
+  const setReviewEdits = useCallback(
+    async (reviewEdits) => {
+      if (!activeSessionId) return
+      try {
+        const updated = await updateSessionReviewEdits(activeSessionId, reviewEdits)
+        setSessions((prev) => prev.map((s) => (s.id === updated.id ? { ...s, ...updated } : s)))
+      } catch (err) {
+        console.error('Failed to update edit review:', err)
+      }
+    },
+    [activeSessionId]
+  )
+
+  // Add or replace a pending change of a session
+  const upsertPendingChange = useCallback((sessionId, change) => {
+    setPendingChanges((prev) => {
+      const others = (prev[sessionId] || []).filter((c) => c.path !== change.path)
+      return { ...prev, [sessionId]: [...others, change] }
+    })
+  }, [])
+
+  // Drop a resolved change from the current session's list and close its diff
+  const dropPendingChange = useCallback(
+    (sessionId, path) => {
+      setPendingChanges((prev) => ({
+        ...prev,
+        [sessionId]: (prev[sessionId] || []).filter((c) => c.path !== path),
+      }))
+      closeChangeReview(path)
+    },
+    [closeChangeReview]
+  )
+
+  // Apply a pending edit of the current session; returns { ok, error? }
+  const acceptChange = useCallback(
+    async (path) => {
+      const sessionId = activeSessionId
+      try {
+        const { change } = await acceptPendingChange(sessionId, path)
+        dropPendingChange(sessionId, path)
+        // The accepted edit joins its turn's changeset, so the turn can be reverted
+        if (change.changeset) {
+          setMessages((prev) => ({
+            ...prev,
+            [sessionId]: (prev[sessionId] || []).map((m) => (m.id === change.turnId ? { ...m, changeset: change.changeset } : m)),
+          }))
+        }
+        await refreshFiles([path])
+        return { ok: true }
+      } catch (err) {
+        console.error('Failed to accept change:', err)
+        return { ok: false, error: err.message }
+      }
+    },
+    [activeSessionId, dropPendingChange, refreshFiles]
+  )
+
+  // Discard a pending edit of the current session; returns { ok, error? }
+  const rejectChange = useCallback(
+    async (path) => {
+      const sessionId = activeSessionId
+      try {
+        await rejectPendingChange(sessionId, path)
+        dropPendingChange(sessionId, path)
+        return { ok: true }
+      } catch (err) {
+        console.error('Failed to reject change:', err)
+        return { ok: false, error: err.message }
+      }
+    },
+    [activeSessionId, dropPendingChange]
+  )
+
+  // Undo the file changes of a turn; returns { ok, error?, conflicts? } so the caller can offer to force
+  const revertTurn = useCallback(
+    async (messageId, force = false) => {
+      const sessionId = activeSessionId
+      try {
+        const { message: event } = await revertTurnApi(sessionId, messageId, force)
+        setMessages((prev) => ({
+          ...prev,
+          [sessionId]: [
+            ...(prev[sessionId] || []).map((m) => (m.id === messageId
+              ? { ...m, changeset: { ...m.changeset, revertedBy: event.id } }
+              : m)),
+            event,
+          ],
+        }))
+        await refreshFiles(event.editedFiles)
+        return { ok: true }
+      } catch (err) {
+        console.error('Failed to revert turn:', err)
+        return { ok: false, error: err.message, conflicts: err.conflicts || [] }
+      }
+    },
+    [activeSessionId, refreshFiles]
+  )
+
+  // Replace a session's transcript with the one saved on the server (e.g. after switching branches)
+  const showTranscript = useCallback((sessionId, saved) => {
+    setMessages((prev) => ({ ...prev, [sessionId]: [{ role: 'agent', text: GREETING }, ...saved] }))
+  }, [])
+
+  // Send message to current session (streams status and reply text).
+  // `branchFrom` starts a new branch: from a user message (edit & resend, with the new text)
+  // or from an agent reply (regenerate, text may be empty).
   const send = useCallback(
-    async (text, mode = 'copilot') => {
-      if (!activeSessionId || !text.trim() || loading) return
+    async (text, mode = 'copilot', { allowEdits = false, rounds, saveDecision = false, branchFrom } = {}) => {
+      if (!activeSessionId || loading) return
+      if (!text.trim() && !branchFrom) return
+
+      const sessionId = activeSessionId
+      const list = messages[sessionId] || []
+      const branchIndex = branchFrom ? list.findIndex((m) => m.id === branchFrom) : -1
+      if (branchFrom && branchIndex === -1) return
+      const regenerate = branchIndex !== -1 && list[branchIndex].role === 'agent'
 
       const userMsg = { role: 'user', text: text.trim() }
+      // Placeholder agent message that fills in as reply deltas arrive
+      const pendingMsg = { role: 'agent', text: '', pending: true }
+      // A branch replaces everything from the branched message on; the old branch stays on the server
+      const kept = branchFrom ? list.slice(0, branchIndex) : list
       setMessages((prev) => ({
         ...prev,
-        [activeSessionId]: [...(prev[activeSessionId] || []), userMsg],
+        [sessionId]: [...kept, ...(regenerate ? [] : [userMsg]), pendingMsg],
       }))
       setLoading(true)
       setStatus('Thinking...')
 
+      // Replace the pending agent message of this session
+      const updatePending = (update) => {
+        setMessages((prev) => ({
+          ...prev,
+          [sessionId]: (prev[sessionId] || []).map((m) => (m.pending ? update(m) : m)),
+        }))
+      }
+
+      // Debates stream one message per speaker: finish the current one and start the next
+      const startSpeaker = ({ mode: speakerMode, label, round }) => {
+        const next = { role: 'agent', text: '', pending: true, mode: speakerMode, debate: { label, round } }
+        setMessages((prev) => {
+          const list = prev[sessionId] || []
+          const current = list.find((m) => m.pending)
+          if (current && !current.text && !current.debate) {
+            return { ...prev, [sessionId]: list.map((m) => (m === current ? next : m)) }
+          }
+          return {
+            ...prev,
+            [sessionId]: [...list.map((m) => (m === current ? { ...m, pending: false, streamed: true } : m)), next],
+          }
+        })
+      }
+
+      const controller = new AbortController()
+      abortRef.current = controller
+
       try {
-        const result = await sendMessageStream(
-          activeSessionId,
-          text.trim(),
-          (newStatus) => setStatus(newStatus), // Status callback
-          mode // Pass mode to API
-        )
-
-        const agentMsg = {
+        const result = await sendMessageStream(sessionId, text.trim(), {
+          mode,
+          allowEdits,
+          rounds,
+          saveDecision,
+          signal: controller.signal,
+          onStatus: (newStatus) => setStatus(newStatus),
+          onDelta: (delta) => updatePending((m) => ({ ...m, text: m.text + delta })),
+          onChange: (change) => upsertPendingChange(sessionId, change),
+          onSpeaker: startSpeaker,
+          branchFrom,
+        })
+
+        updatePending((m) => ({
+          id: result.messageId,
           role: 'agent',
           text: result.text,
+          ...(m.debate && { mode: m.mode, debate: m.debate }),
+          changeset: result.changeset,
           editedFiles: result.editedFiles,
+          proposedFiles: result.proposedFiles,
           memoryUsed: result.memoryUsed,
-        }
-        setMessages((prev) => ({
-          ...prev,
-          [activeSessionId]: [...(prev[activeSessionId] || []), agentMsg],
+          citedMemories: result.citedMemories,
+          decisionMemoryId: result.decisionMemoryId,
+          provider: result.provider,
+          model: result.model,
         }))
 
+        // Swap the streamed debate turns for the recorded ones (with IDs and models)
+        if (result.turns) {
+          setMessages((prev) => {
+            const list = prev[sessionId] || []
+            const firstStreamed = list.findIndex((m) => m.streamed)
+            if (firstStreamed === -1) return prev
+            const rest = list.filter((m, idx) => idx >= firstStreamed && !m.streamed)
+            return { ...prev, [sessionId]: [...list.slice(0, firstStreamed), ...result.turns, ...rest] }
+          })
+        }
+
+        if (branchFrom) {
+          // Reload the branch so the branched message shows its siblings
+          showTranscript(sessionId, await fetchSessionMessages(sessionId))
+        } else {
+          // Give the new user message its ID so it can be edited, and show if its turn compacted the context
+          setMessages((prev) => ({
+            ...prev,
+            [sessionId]: (prev[sessionId] || []).map((m) => (m === userMsg
+              ? { ...m, id: result.userMessageId, ...(result.compaction && { compaction: result.compaction }) }
+              : m)),
+          }))
+        }
+
         // Update session title if it was auto-generated
         setSessions((prev) => prev.map((s) => {
-          if (s.id === activeSessionId && s.title === 'New Chat') {
+          if (s.id === sessionId && s.title === 'New Chat' && text.trim()) {
             return { ...s, title: text.trim().slice(0, 40) + (text.length > 40 ? '...' : '') }
           }
           return s
@@ -135,22 +416,58 @@ export function useChat() {
           await refreshFiles(result.editedFiles)
         }
       } catch (err) {
-        const errorMsg = {
-          role: 'agent',
-          text: `Error: ${err.message}`,
+        if (controller.signal.aborted) {
+          updatePending((m) => ({ ...m, pending: false, text: m.text || '(Stopped)', stopped: true }))
+          // Pick up files written before the stop
+          refreshFiles()
+          // The server records the partial reply once its turn winds down; the stop endpoint answers
+          // then, so the reloaded transcript gives the stopped messages their IDs (to edit, regenerate or revert)
+          try {
+            await stopChat(sessionId)
+            showTranscript(sessionId, await fetchSessionMessages(sessionId))
+          } catch (reloadErr) {
+            console.error('Failed to reload the stopped reply:', reloadErr)
+          }
+        } else {
+          updatePending(() => ({
+            role: 'agent',
+            text: `Error: ${err.message}`,
+          }))
+          // A reply that failed partway is saved with the files it wrote; show it with its ID so it can be reverted
+          const saved = await fetchSessionMessages(sessionId).catch(() => null)
+          if (saved?.at(-1)?.failed) {
+            showTranscript(sessionId, saved)
+            refreshFiles()
+          }
         }
-        setMessages((prev) => ({
-          ...prev,
-          [activeSessionId]: [...(prev[activeSessionId] || []), errorMsg],
-        }))
       } finally {
+        abortRef.current = null
         setLoading(false)
         setStatus('')
+        refreshUsage(sessionId)
       }
     },
-    [activeSessionId, loading, refreshFiles]
+    [activeSessionId, messages, loading, refreshFiles, upsertPendingChange, showTranscript, refreshUsage]
   )
 
+  // Show another branch of the current session (a sibling from a message's `siblingIds`)
+  const switchBranch = useCallback(
+    async (messageId) => {
+      const sessionId = activeSessionId
+      try {
+        showTranscript(sessionId, await selectBranch(sessionId, messageId))
+      } catch (err) {
+        console.error('Failed to switch branch:', err)
+      }
+    },
+    [activeSessionId, showTranscript]
+  )
+
+  // Stop the reply in flight; the server ends the turn when the stream disconnects
+  const stop = useCallback(() => {
+    abortRef.current?.abort()
+  }, [])
+
   // Clear current session's chat
   const clear = useCallback(async () => {
     if (!activeSessionId) return
@@ -174,11 +491,24 @@ export function useChat() {
     activeSessionId,
     switchSession,
     newSession,
+    forkSession,
     removeSession,
     messages: messages[activeSessionId] || [],
     loading,
     status, // Current thinking status (e.g., "Reading file...", "Editing features.md...")
+    providerInfo,
+    modes,
+    commands,
+    setSessionModel,
+    pendingChanges: pendingChanges[activeSessionId] || [],
+    usage: usage[activeSessionId] || null,
+    setReviewEdits,
+    acceptChange,
+    rejectChange,
+    revertTurn,
     send,
+    switchBranch,
+    stop,
     clear,
   }
 }